@@ -0,0 +1,81 @@
+import { getRelayChannel, isRelayEnabled, isRelayTargetAllowed } from "@/lib/relayHub";
+
+// Browser ⇄ device relay (see lib/relayHub.js).
+//   GET  /api/relay?host=…&port=…           Server-Sent Events, one JSON message per event
+//   POST /api/relay?host=…&port=…  { … }    forward one message to the device
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const target = (request) => {
+  const { searchParams } = new URL(request.url);
+  const host = (searchParams.get("host") || "").trim();
+  const port = Number(searchParams.get("port") || 81);
+  if (!host || !/^[\w.-]+$/.test(host) || !(port > 0 && port < 65536)) {
+    return { error: Response.json({ error: "host and port required" }, { status: 400 }) };
+  }
+  if (!isRelayEnabled()) {
+    return { error: Response.json({ error: "relay disabled: set TUBEDROP_RELAY_HOSTS to the devices it may reach" }, { status: 403 }) };
+  }
+  if (!isRelayTargetAllowed(host, port)) {
+    return { error: Response.json({ error: `${host}:${port} is not an allowed relay target` }, { status: 403 }) };
+  }
+  return { channel: getRelayChannel(host, port) };
+};
+
+export async function GET(request) {
+  const { channel, error } = target(request);
+  if (error) return error;
+
+  const encoder = new TextEncoder();
+  let unsubscribe = () => {};
+  let keepAlive = null;
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (chunk) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch (_) {
+          // stream already closed
+        }
+      };
+      unsubscribe = channel.subscribe((text) => write(`data: ${text.replace(/\n/g, "\ndata: ")}\n\n`));
+      // Comment lines keep proxies from timing out idle streams
+      keepAlive = setInterval(() => write(": keep-alive\n\n"), 15000);
+      request.signal.addEventListener("abort", () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+        try { controller.close(); } catch (_) {}
+      });
+    },
+    cancel() {
+      clearInterval(keepAlive);
+      unsubscribe();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
+  });
+}
+
+export async function POST(request) {
+  const { channel, error } = target(request);
+  if (error) return error;
+
+  let message;
+  try {
+    message = await request.json();
+  } catch (_) {
+    return Response.json({ error: "invalid JSON" }, { status: 400 });
+  }
+  if (!message || typeof message.type !== "string") {
+    return Response.json({ error: "message type required" }, { status: 400 });
+  }
+  const result = channel.send(message);
+  return Response.json({ result }, { status: result ? 200 : 503 });
+}
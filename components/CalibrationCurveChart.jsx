@@ -0,0 +1,155 @@
+'use client';
+
+import { useEffect, useRef } from "react";
+import { densityLevelToEHDParams, normalizeCalibrationPoints } from "@/lib/engine";
+
+/**
+ * Small chart of the density level -> ch0 mapping actually used by the
+ * converter, with the measured calibration points overlaid. The duration
+ * mapping is drawn thin on its own scale (range in the top-left corner). When
+ * points carry a measured droplet density it is drawn against the right-hand
+ * axis.
+ */
+export default function CalibrationCurveChart({ calibration, width = 420, height = 180 }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.floor(width * dpr);
+    canvas.height = Math.floor(height * dpr);
+    canvas.style.width = width + 'px';
+    canvas.style.height = height + 'px';
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, width, height);
+
+    const pad = { left: 36, right: 36, top: 12, bottom: 24 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const xOf = (level) => pad.left + ((level - 1) / 9) * plotW;
+
+    const points = normalizeCalibrationPoints(calibration.points);
+    const fitted = [];
+    for (let level = 1; level <= 10.0001; level += 0.1) {
+      const params = densityLevelToEHDParams(level, calibration);
+      fitted.push({ level, ch0: params.ch0, duration: params.duration_base });
+    }
+
+    // ch0 axis range covers both the curve and the measurements
+    const ch0Values = [...fitted.map((p) => p.ch0), ...points.map((p) => p.ch0)];
+    let ch0Min = Math.floor(Math.min(...ch0Values) - 2);
+    let ch0Max = Math.ceil(Math.max(...ch0Values) + 2);
+    if (ch0Max - ch0Min < 5) { ch0Min -= 2; ch0Max += 2; }
+    const yCh0 = (v) => pad.top + (1 - (v - ch0Min) / (ch0Max - ch0Min)) * plotH;
+
+    // Grid + axes
+    ctx.strokeStyle = '#333333';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#888888';
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let level = 1; level <= 10; level++) {
+      const x = xOf(level);
+      ctx.beginPath();
+      ctx.moveTo(x, pad.top);
+      ctx.lineTo(x, pad.top + plotH);
+      ctx.stroke();
+      ctx.fillText(`L${level}`, x, pad.top + plotH + 6);
+    }
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#c4b5fd';
+    ctx.fillText(`${ch0Max}`, pad.left - 4, pad.top);
+    ctx.fillText(`${ch0Min}`, pad.left - 4, pad.top + plotH);
+    ctx.save();
+    ctx.translate(10, pad.top + plotH / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('CH0 %', 0, 0);
+    ctx.restore();
+
+    // Fitted curve (what densityLevelToEHDParams returns)
+    ctx.strokeStyle = '#a78bfa';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    fitted.forEach((p, i) => {
+      const x = xOf(p.level);
+      const y = yCh0(p.ch0);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    // Duration curve and measured durations (own scale)
+    const durValues = [...fitted.map((p) => p.duration), ...points.map((p) => p.duration)];
+    const durMin = Math.min(...durValues);
+    const durMax = Math.max(...durValues);
+    const durSpan = durMax - durMin || 1;
+    const yDur = (v) => pad.top + (1 - (v - durMin) / durSpan) * plotH;
+    ctx.strokeStyle = '#5eead4';
+    ctx.fillStyle = '#5eead4';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    fitted.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(xOf(p.level), yDur(p.duration));
+      else ctx.lineTo(xOf(p.level), yDur(p.duration));
+    });
+    ctx.stroke();
+    points.forEach((p) => {
+      if (p.level < 1 || p.level > 10) return;
+      ctx.beginPath();
+      ctx.arc(xOf(p.level), yDur(p.duration), 2, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`duration ${Math.round(durMin)}–${Math.round(durMax)} ms`, pad.left + 4, pad.top + 2);
+    ctx.textBaseline = 'middle';
+
+    // Measured ch0 points
+    ctx.fillStyle = '#ffffff';
+    points.forEach((p) => {
+      if (p.level < 1 || p.level > 10) return;
+      ctx.beginPath();
+      ctx.arc(xOf(p.level), yCh0(p.ch0), 3.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // Measured droplet density (right axis)
+    const withDensity = points.filter((p) => p.density !== null);
+    if (withDensity.length > 0) {
+      const dMax = Math.max(...withDensity.map((p) => p.density)) * 1.1 || 1;
+      const yD = (v) => pad.top + (1 - v / dMax) * plotH;
+      ctx.strokeStyle = '#fbbf24';
+      ctx.fillStyle = '#fbbf24';
+      ctx.setLineDash([4, 3]);
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      withDensity.forEach((p, i) => {
+        if (i === 0) ctx.moveTo(xOf(p.level), yD(p.density));
+        else ctx.lineTo(xOf(p.level), yD(p.density));
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+      withDensity.forEach((p) => {
+        ctx.fillRect(xOf(p.level) - 3, yD(p.density) - 3, 6, 6);
+      });
+      ctx.textAlign = 'left';
+      ctx.fillText(`${dMax.toFixed(1)}`, pad.left + plotW + 4, pad.top);
+      ctx.fillText('0', pad.left + plotW + 4, pad.top + plotH);
+      ctx.save();
+      ctx.translate(width - 8, pad.top + plotH / 2);
+      ctx.rotate(Math.PI / 2);
+      ctx.textAlign = 'center';
+      ctx.fillText('drops/cm', 0, 0);
+      ctx.restore();
+    }
+  }, [calibration, width, height]);
+
+  return <canvas ref={canvasRef} className="rounded border border-purple-400/20 bg-black" />;
+}
@@ -0,0 +1,242 @@
+'use client';
+
+import { useMemo, useState } from "react";
+import { buildCalibrationStrip, fitCalibration, segmentsToEHDSteps } from "@/lib/engine";
+
+const WIZARD_STAGES = ['Strip', 'Print', 'Measure', 'Fit'];
+
+/**
+ * Guided calibration: build a test strip (one segment per level 1-10,
+ * separated by gaps), send it, collect droplet counts / printed lengths per
+ * segment and fit the Sparse/Dense parameters plus a per-level table.
+ *
+ * `onSend(steps)` must send the EHD steps and resolve to true on success;
+ * `onApply(calibration)` receives the fitted calibration.
+ */
+export default function CalibrationWizard({ calibration, onSend, onApply, onClose }) {
+  const [stage, setStage] = useState(0);
+  const [stripOpts, setStripOpts] = useState({ fromLevel: 1, toLevel: 10, segmentCm: 3, gapCm: 2 });
+  const [measurements, setMeasurements] = useState([]); // { count, lengthMm } per segment
+  const [targets, setTargets] = useState({ sparseDensity: '', denseDensity: '' });
+  const [sent, setSent] = useState(null); // { steps, calibration } as actually printed
+
+  const strip = useMemo(() => {
+    const lo = Math.max(1, Math.min(stripOpts.fromLevel, stripOpts.toLevel));
+    const hi = Math.min(10, Math.max(stripOpts.fromLevel, stripOpts.toLevel));
+    const levels = [];
+    for (let l = lo; l <= hi; l++) levels.push(l);
+    return buildCalibrationStrip({ levels, segmentCm: stripOpts.segmentCm, gapCm: stripOpts.gapCm });
+  }, [stripOpts]);
+  const steps = useMemo(
+    () => segmentsToEHDSteps(strip.segments, calibration.feedSpeed, calibration, strip.tubeLengthCm),
+    [strip, calibration]
+  );
+  // Fit against what was printed, even if the calibration was edited since.
+  // Segment steps only, in segment order.
+  const printed = sent || { steps, calibration };
+  const segmentSteps = useMemo(
+    () => printed.steps.filter((s) => s.kind === "segment"),
+    [printed.steps]
+  );
+
+  const result = useMemo(() => {
+    try {
+      return fitCalibration({
+        segments: strip.segments,
+        steps: segmentSteps,
+        measurements,
+        calibration: printed.calibration,
+        targets: {
+          sparseDensity: targets.sparseDensity === '' ? undefined : parseFloat(targets.sparseDensity),
+          denseDensity: targets.denseDensity === '' ? undefined : parseFloat(targets.denseDensity),
+        },
+      });
+    } catch (e) {
+      return { error: e.message };
+    }
+  }, [strip, segmentSteps, measurements, printed.calibration, targets]);
+
+  const updateStrip = (key, raw) => {
+    const v = parseFloat(raw);
+    if (!Number.isFinite(v) || v <= 0) return;
+    setStripOpts((o) => ({ ...o, [key]: v }));
+    setMeasurements([]);
+    setSent(null);
+  };
+
+  const updateMeasurement = (i, key, raw) => {
+    setMeasurements((ms) => {
+      const next = strip.segments.map((_, j) => ms[j] || { count: '', lengthMm: '' });
+      next[i] = { ...next[i], [key]: raw };
+      return next;
+    });
+  };
+
+  const handleSend = async () => {
+    if (await onSend(steps)) setSent({ steps, calibration });
+  };
+
+  const stageButton = "px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs disabled:opacity-40";
+  const primaryButton = "px-3 py-1 rounded bg-purple-600/40 text-purple-100 border border-purple-400/30 hover:bg-purple-600/60 text-xs disabled:opacity-40";
+
+  return (
+    <div className="mt-6 border-t border-purple-400/20 pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h5 className="text-purple-200 text-sm font-medium">Calibration Wizard</h5>
+        <div className="flex items-center gap-1 text-xs">
+          {WIZARD_STAGES.map((name, i) => (
+            <span
+              key={name}
+              className={`px-2 py-0.5 rounded ${i === stage ? 'bg-purple-600/60 text-purple-50' : 'text-purple-300/70'}`}
+            >
+              {i + 1}. {name}
+            </span>
+          ))}
+          <button onClick={onClose} className="ml-2 px-2 py-0.5 rounded text-purple-200 hover:bg-purple-600/30" title="Close wizard">×</button>
+        </div>
+      </div>
+
+      {stage === 0 && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-4 gap-3">
+            {[
+              ['fromLevel', 'From Level'],
+              ['toLevel', 'To Level'],
+              ['segmentCm', 'Segment (cm)'],
+              ['gapCm', 'Gap (cm)'],
+            ].map(([key, label]) => (
+              <div key={key}>
+                <label className="block text-purple-300 text-xs mb-1">{label}</label>
+                <input
+                  type="number"
+                  className="input-field w-full text-sm"
+                  value={stripOpts[key]}
+                  min={key.endsWith('Level') ? 1 : 0.5}
+                  max={key.endsWith('Level') ? 10 : 20}
+                  step={key.endsWith('Level') ? 1 : 0.5}
+                  onChange={(e) => updateStrip(key, e.target.value)}
+                />
+              </div>
+            ))}
+          </div>
+          <p className="text-purple-300/70 text-xs">
+            {strip.segments.length} segments, {steps.length} steps, tube length {strip.tubeLengthCm.toFixed(1)} cm.
+            CH0 per segment follows the current calibration.
+          </p>
+          <div className="flex justify-end">
+            <button onClick={() => setStage(1)} className={primaryButton}>Next</button>
+          </div>
+        </div>
+      )}
+
+      {stage === 1 && (
+        <div className="space-y-3">
+          <p className="text-purple-200/80 text-xs">
+            Load a fresh tube of at least {strip.tubeLengthCm.toFixed(1)} cm, then send the strip and start it from the device controls.
+          </p>
+          <div className="flex items-center justify-between">
+            <button onClick={() => setStage(0)} className={stageButton}>Back</button>
+            <div className="flex items-center gap-2">
+              {sent && <span className="text-green-300 text-xs">Strip sent</span>}
+              <button onClick={handleSend} className={primaryButton}>Send Strip</button>
+              <button onClick={() => setStage(2)} className={primaryButton}>Next</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {stage === 2 && (
+        <div className="space-y-3">
+          <p className="text-purple-200/80 text-xs">Count the droplets in each printed segment and measure its length.</p>
+          <table className="w-full text-xs">
+            <thead className="text-purple-300">
+              <tr>
+                <th className="text-left font-normal pb-1">Level</th>
+                <th className="text-left font-normal pb-1">CH0 sent</th>
+                <th className="text-left font-normal pb-1">Nominal (mm)</th>
+                <th className="text-left font-normal pb-1">Droplets</th>
+                <th className="text-left font-normal pb-1">Measured (mm)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {strip.segments.map((seg, i) => (
+                <tr key={i}>
+                  <td className="pr-2 pb-1 text-purple-100">L{seg.densityLevel}</td>
+                  <td className="pr-2 pb-1 text-purple-100">{segmentSteps[i]?.ch0}</td>
+                  <td className="pr-2 pb-1 text-purple-100">{((seg.endCm - seg.startCm) * 10).toFixed(0)}</td>
+                  {['count', 'lengthMm'].map((key) => (
+                    <td key={key} className="pr-2 pb-1">
+                      <input
+                        type="number"
+                        className="input-field w-full text-xs py-1"
+                        min={0}
+                        step={key === 'count' ? 1 : 0.5}
+                        value={measurements[i]?.[key] ?? ''}
+                        onChange={(e) => updateMeasurement(i, key, e.target.value)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex items-center justify-between">
+            <button onClick={() => setStage(1)} className={stageButton}>Back</button>
+            <button onClick={() => setStage(3)} className={primaryButton}>Next</button>
+          </div>
+        </div>
+      )}
+
+      {stage === 3 && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            {[
+              ['sparseDensity', 'Target Level 1 (drops/cm)'],
+              ['denseDensity', 'Target Level 10 (drops/cm)'],
+            ].map(([key, label]) => (
+              <div key={key}>
+                <label className="block text-purple-300 text-xs mb-1">{label}</label>
+                <input
+                  type="number"
+                  className="input-field w-full text-sm"
+                  min={0}
+                  step={0.1}
+                  placeholder="measured range"
+                  value={targets[key]}
+                  onChange={(e) => setTargets((t) => ({ ...t, [key]: e.target.value }))}
+                />
+              </div>
+            ))}
+          </div>
+          {result.error ? (
+            <p className="text-rose-300 text-xs">{result.error}</p>
+          ) : (
+            <div className="text-xs text-purple-100 space-y-1">
+              <p>
+                density = {result.fit.slope.toFixed(3)} × CH0 {result.fit.intercept >= 0 ? '+' : '−'} {Math.abs(result.fit.intercept).toFixed(2)}
+                <span className="text-purple-300/70"> (r² {result.fit.r2.toFixed(3)})</span>
+              </p>
+              <p>
+                Length ratio {result.fit.lengthRatio.toFixed(3)} → Feed {result.calibration.feedSpeed} mm/s
+              </p>
+              <p>
+                Sparse CH0 {result.calibration.sparseCh0}% / {result.calibration.sparseDuration} ms ·
+                Dense CH0 {result.calibration.denseCh0}% / {result.calibration.denseDuration} ms
+              </p>
+            </div>
+          )}
+          <div className="flex items-center justify-between">
+            <button onClick={() => setStage(2)} className={stageButton}>Back</button>
+            <button
+              onClick={() => onApply(result.calibration)}
+              disabled={!!result.error}
+              className={primaryButton}
+            >
+              Apply Calibration
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+'use client';
+
+import { useRef, useState } from "react";
+import { DEFAULT_DEVICE_PORT, DEVICE_TRANSPORTS, parseDeviceAddress, scanSubnet } from "@/lib/deviceRegistry";
+import { DEFAULT_SAFETY_LIMITS } from "@/lib/engine";
+import { formatLogTime } from "@/lib/deviceLog";
+
+const STATUS_BADGE = {
+  connected: ['Connected', 'bg-emerald-600/30 text-emerald-200'],
+  connecting: ['Connecting...', 'bg-yellow-600/30 text-yellow-200'],
+  reconnecting: ['Reconnecting...', 'bg-yellow-600/30 text-yellow-200'],
+  disconnected: ['Offline', 'bg-white/10 text-white/60'],
+};
+
+// Safety limit inputs: stored key, label, and display unit (value shown = ms / scale)
+const LIMIT_FIELDS = [
+  { key: 'maxCh0', label: 'Max CH0', scale: 1, max: 100 },
+  { key: 'maxCh1', label: 'Max CH1', scale: 1, max: 100 },
+  { key: 'maxOnTimeMs', label: 'CH0 on-time (s)', scale: 1000 },
+  { key: 'maxJobMs', label: 'Job (min)', scale: 60 * 1000 },
+];
+
+/**
+ * Saved devices with per-device connection, step budget and log, plus a LAN
+ * scan to find boards. Checked devices receive patterns and commands; the
+ * focused one drives the highlight on the canvases. Each device is reached
+ * directly or through the server relay (/api/relay). Each device has its own
+ * safety limits (lib/safety.js); empty fields use the defaults.
+ *
+ * `deviceStates` maps device id → session state (lib/deviceSession.js).
+ */
+export default function DevicePanel({
+  devices,
+  deviceStates,
+  selectedIds,
+  focusedId,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onToggleSelected,
+  onFocus,
+  onConnect,
+  onDisconnect,
+  onStop,
+  onCapacityChange,
+  onSafetyLimitsChange,
+}) {
+  const [form, setForm] = useState({ name: '', address: '', via: '' });
+  const [openLogId, setOpenLogId] = useState(null);
+  const [openLimitsId, setOpenLimitsId] = useState(null);
+  const [scan, setScan] = useState({ prefix: '192.168.0', port: DEFAULT_DEVICE_PORT, running: false, checked: 0, total: 0, found: [] });
+  const scanAbortRef = useRef(null);
+
+  const submit = () => {
+    const address = parseDeviceAddress(form.address);
+    if (!address) return;
+    if (onAdd({ name: form.name, ...address, via: form.via || undefined })) setForm(f => ({ ...f, name: '', address: '' }));
+  };
+
+  const startScan = async () => {
+    const prefix = scan.prefix.trim().replace(/\.$/, '');
+    if (!/^\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(prefix)) return;
+    const controller = new AbortController();
+    scanAbortRef.current = controller;
+    setScan(s => ({ ...s, running: true, checked: 0, total: 254, found: [] }));
+    await scanSubnet({
+      prefix,
+      port: scan.port,
+      signal: controller.signal,
+      onProgress: (checked, total) => setScan(s => ({ ...s, checked, total })),
+      onFound: (hit) => setScan(s => ({ ...s, found: [...s.found, hit] })),
+    });
+    scanAbortRef.current = null;
+    setScan(s => ({ ...s, running: false }));
+  };
+
+  const isSaved = (hit) => devices.some(d => d.host === hit.host && d.port === hit.port);
+
+  return (
+    <section className="bg-black/40 border border-white/10 rounded-xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-white/80 text-sm font-medium">Devices</h3>
+        <span className="text-xs text-white/50">Checked devices receive Send / Start / Stop</span>
+      </div>
+
+      {devices.length === 0 && (
+        <div className="text-xs text-white/50">No devices yet. Add one by address or scan the network.</div>
+      )}
+
+      <div className="space-y-2">
+        {devices.map((device) => {
+          const state = deviceStates[device.id];
+          const status = state?.status || 'disconnected';
+          const [badgeText, badgeClass] = STATUS_BADGE[status];
+          const offline = status === 'disconnected';
+          const capacity = state?.capacity ?? device.stepCapacity ?? '';
+          return (
+            <div
+              key={device.id}
+              className={`p-2 rounded-lg border ${device.id === focusedId ? 'border-amber-400/40 bg-amber-400/5' : 'border-white/10 bg-white/5'}`}
+            >
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(device.id)}
+                  onChange={() => onToggleSelected(device.id)}
+                  title="Send patterns and commands to this device"
+                />
+                <input
+                  type="text"
+                  className="input-field w-28 text-sm"
+                  value={device.name}
+                  disabled={!offline}
+                  onChange={(e) => onUpdate(device.id, { name: e.target.value })}
+                />
+                <input
+                  type="text"
+                  className="input-field w-36 text-sm font-mono"
+                  defaultValue={`${device.host}:${device.port}`}
+                  disabled={!offline}
+                  title="host:port"
+                  onBlur={(e) => {
+                    const address = parseDeviceAddress(e.target.value);
+                    if (address && (address.host !== device.host || address.port !== device.port)) onUpdate(device.id, address);
+                    else e.target.value = `${device.host}:${device.port}`;
+                  }}
+                />
+                <select
+                  className="input-field text-sm"
+                  value={device.via || 'direct'}
+                  disabled={!offline}
+                  title="Direct WebSocket from this browser, or through the server relay (needed over HTTPS or off the device's network)"
+                  onChange={(e) => onUpdate(device.id, { via: e.target.value })}
+                >
+                  {DEVICE_TRANSPORTS.map((t) => <option key={t} value={t}>{t === 'relay' ? 'Relay' : 'Direct'}</option>)}
+                </select>
+                <label className="flex items-center gap-1 text-xs text-white/60" title="Steps the device accepts per upload (updated when the device reports it)">
+                  Steps/upload
+                  <input
+                    type="number"
+                    className="input-field w-16 text-center text-sm"
+                    min={1}
+                    value={capacity}
+                    onChange={(e) => onCapacityChange(device.id, Math.max(1, parseInt(e.target.value) || 1))}
+                  />
+                </label>
+                <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${badgeClass}`}>{badgeText}</span>
+                <div className="ml-auto flex items-center gap-1">
+                  <button
+                    onClick={() => onFocus(device.id)}
+                    className={`px-3 py-1 rounded border text-xs ${device.id === focusedId ? 'bg-amber-500/20 text-amber-200 border-amber-400/40' : 'bg-white/10 text-white/80 border-white/20 hover:bg-white/20'}`}
+                    title="Show this device's job on the canvases"
+                  >Focus</button>
+                  {offline ? (
+                    <button onClick={() => onConnect(device)} className="px-3 py-1 rounded bg-white/20 text-white border border-white/30 hover:bg-white/30 text-xs">Connect</button>
+                  ) : (
+                    <button onClick={() => onDisconnect(device)} className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs">
+                      {status === 'connected' ? 'Disconnect' : 'Cancel'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onStop(device)}
+                    disabled={status !== 'connected'}
+                    className="px-3 py-1 rounded bg-red-600/20 text-red-200 border border-red-400/30 hover:bg-red-600/30 text-xs disabled:opacity-40"
+                  >Stop</button>
+                  <button
+                    onClick={() => setOpenLogId(id => (id === device.id ? null : device.id))}
+                    className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                  >Log</button>
+                  <button
+                    onClick={() => setOpenLimitsId(id => (id === device.id ? null : device.id))}
+                    className={`px-3 py-1 rounded border text-xs ${device.safetyLimits ? 'bg-red-600/20 text-red-200 border-red-400/30' : 'bg-white/10 text-white/80 border-white/20 hover:bg-white/20'}`}
+                    title="Safety limits checked before any pattern is sent to this device"
+                  >Limits</button>
+                  <button
+                    onClick={() => onRemove(device.id)}
+                    disabled={!offline}
+                    className="px-2 py-1 rounded text-white/60 hover:bg-white/10 text-xs disabled:opacity-40"
+                    title="Remove device"
+                  >×</button>
+                </div>
+              </div>
+              {openLimitsId === device.id && (
+                <div className="mt-2 flex flex-wrap items-center gap-3">
+                  {LIMIT_FIELDS.map(({ key, label, scale, max }) => (
+                    <label key={key} className="flex items-center gap-1 text-xs text-white/60">
+                      {label}
+                      <input
+                        type="number"
+                        className="input-field w-16 text-center text-sm"
+                        min={0}
+                        max={max}
+                        placeholder={String(DEFAULT_SAFETY_LIMITS[key] / scale)}
+                        value={device.safetyLimits?.[key] != null ? device.safetyLimits[key] / scale : ''}
+                        onChange={(e) => {
+                          const v = parseFloat(e.target.value);
+                          const next = { ...device.safetyLimits };
+                          if (v >= 0) next[key] = Math.round(v * scale);
+                          else delete next[key];
+                          onSafetyLimitsChange(device.id, Object.keys(next).length > 0 ? next : null);
+                        }}
+                      />
+                    </label>
+                  ))}
+                  <span className="text-[11px] text-white/40">Empty = default</span>
+                </div>
+              )}
+              {openLogId === device.id && (
+                <pre className="mt-2 max-h-40 overflow-y-auto text-[11px] leading-tight text-white/70 bg-black/40 rounded p-2 font-mono">
+                  {(state?.logs || []).slice(-50).map((l) => `${formatLogTime(l)} ${l.msg}`).join('\n') || 'No log yet'}
+                </pre>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-white/10">
+        <span className="text-xs text-white/60">Add</span>
+        <input
+          type="text"
+          className="input-field w-28 text-sm"
+          placeholder="Name"
+          value={form.name}
+          onChange={(e) => setForm(f => ({ ...f, name: e.target.value }))}
+        />
+        <input
+          type="text"
+          className="input-field w-40 text-sm font-mono"
+          placeholder={`192.168.0.x:${DEFAULT_DEVICE_PORT}`}
+          value={form.address}
+          onChange={(e) => setForm(f => ({ ...f, address: e.target.value.trim() }))}
+          onKeyDown={(e) => e.key === 'Enter' && submit()}
+        />
+        <select
+          className="input-field text-sm"
+          value={form.via}
+          onChange={(e) => setForm(f => ({ ...f, via: e.target.value }))}
+        >
+          <option value="">Auto</option>
+          {DEVICE_TRANSPORTS.map((t) => <option key={t} value={t}>{t === 'relay' ? 'Relay' : 'Direct'}</option>)}
+        </select>
+        <button
+          onClick={submit}
+          disabled={!parseDeviceAddress(form.address)}
+          className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs disabled:opacity-40"
+        >Add device</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs text-white/60">Scan</span>
+        <input
+          type="text"
+          className="input-field w-28 text-sm font-mono"
+          value={scan.prefix}
+          disabled={scan.running}
+          title="First three octets of the subnet"
+          onChange={(e) => setScan(s => ({ ...s, prefix: e.target.value.trim() }))}
+        />
+        <span className="text-xs text-white/50">.1-254 :</span>
+        <input
+          type="number"
+          className="input-field w-20 text-center text-sm"
+          min={1}
+          max={65535}
+          value={scan.port}
+          disabled={scan.running}
+          onChange={(e) => setScan(s => ({ ...s, port: parseInt(e.target.value) || DEFAULT_DEVICE_PORT }))}
+        />
+        {scan.running ? (
+          <button onClick={() => scanAbortRef.current?.abort()} className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs">
+            Cancel ({scan.checked}/{scan.total})
+          </button>
+        ) : (
+          <button onClick={startScan} className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs">Scan network</button>
+        )}
+        {!scan.running && scan.total > 0 && scan.found.length === 0 && (
+          <span className="text-xs text-white/50">No devices found</span>
+        )}
+      </div>
+      {scan.found.length > 0 && (
+        <div className="space-y-1">
+          {scan.found.map((hit) => (
+            <div key={`${hit.host}:${hit.port}`} className="flex items-center gap-2 text-xs text-white/70">
+              <span className="font-mono">{hit.host}:{hit.port}</span>
+              {hit.info.firmware && <span className="text-white/50">{hit.info.firmware}</span>}
+              {hit.info.maxSteps && <span className="text-white/50">{hit.info.maxSteps} steps</span>}
+              {isSaved(hit) ? (
+                <span className="text-white/40">saved</span>
+              ) : (
+                <button
+                  onClick={() => onAdd({ name: hit.info.name || hit.host, host: hit.host, port: hit.port, stepCapacity: hit.info.maxSteps })}
+                  className="px-2 py-0.5 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20"
+                >Add</button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,156 @@
+'use client';
+
+import { useState } from "react";
+import { formatDuration } from "@/lib/engine";
+import { formatLogTime } from "@/lib/deviceLog";
+
+const STATUS_CLASS = {
+  queued: 'bg-white/10 text-white/70',
+  running: 'bg-amber-500/20 text-amber-200',
+  done: 'bg-emerald-600/30 text-emerald-200',
+  failed: 'bg-rose-600/30 text-rose-200',
+  cancelled: 'bg-white/10 text-white/50',
+};
+
+const jobDurationMs = (job) => job.steps.reduce((sum, s) => sum + s.duration, 0);
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+
+/**
+ * Queued and running print jobs (lib/jobQueue.js) plus the persisted history.
+ * `queue` is the queue snapshot `{ jobs, paused, delayMs, readyAt }`; `now`
+ * drives the delay countdowns.
+ */
+export default function JobQueuePanel({
+  queue,
+  history,
+  now,
+  onPause,
+  onResume,
+  onCancel,
+  onMove,
+  onDelayChange,
+  onSkipWait,
+  onRequeue,
+  onClearHistory,
+}) {
+  const [openLogId, setOpenLogId] = useState(null);
+  const waiting = Object.entries(queue.readyAt).filter(([, at]) => at > now);
+
+  return (
+    <div className="mb-4 p-3 bg-black/40 border border-white/10 rounded-lg space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-white/80 text-sm font-medium">
+          Job Queue
+          <span className="ml-2 text-xs text-white/50">
+            {queue.jobs.length} job{queue.jobs.length === 1 ? '' : 's'}{queue.paused && ' • paused'}
+          </span>
+        </h3>
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-1 text-xs text-white/60" title="Wait after each job before the device's next one (tube change)">
+            Delay (s)
+            <input
+              type="number"
+              className="input-field w-16 text-center text-sm"
+              min={0}
+              value={queue.delayMs / 1000}
+              onChange={(e) => onDelayChange(Math.max(0, parseFloat(e.target.value) || 0) * 1000)}
+            />
+          </label>
+          {queue.paused ? (
+            <button onClick={onResume} className="px-3 py-1 rounded bg-emerald-600/30 text-emerald-100 border border-emerald-400/30 hover:bg-emerald-600/50 text-xs">Resume</button>
+          ) : (
+            <button onClick={onPause} className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs">Pause</button>
+          )}
+        </div>
+      </div>
+
+      {waiting.map(([deviceId, at]) => {
+        const next = queue.jobs.find(j => j.deviceId === deviceId && j.status === 'queued');
+        if (!next) return null;
+        return (
+          <div key={deviceId} className="flex items-center gap-2 text-xs text-sky-300">
+            {next.deviceName}: next job in {formatDuration(at - now)}
+            <button onClick={() => onSkipWait(deviceId)} className="px-2 py-0.5 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20">Start now</button>
+          </div>
+        );
+      })}
+
+      {queue.jobs.length === 0 ? (
+        <div className="text-xs text-white/50">Queue is empty. Use “Queue Pattern” or “Queue Imported” to add jobs.</div>
+      ) : (
+        <div className="space-y-1">
+          {queue.jobs.map((job, i) => (
+            <div key={job.id} className="flex items-center gap-2 text-xs text-white/80">
+              <span className={`px-2 py-0.5 rounded-full ${STATUS_CLASS[job.status]}`}>{job.status}</span>
+              <span className="font-medium truncate max-w-48" title={job.name}>{job.name}</span>
+              <span className="text-white/50">→ {job.deviceName}</span>
+              <span className="text-white/50">{job.steps.length} steps • {formatDuration(jobDurationMs(job))}</span>
+              <div className="ml-auto flex items-center gap-1">
+                <button
+                  onClick={() => onMove(job.id, -1)}
+                  disabled={job.status !== 'queued' || i === 0}
+                  className="px-2 py-0.5 rounded text-white/60 hover:bg-white/10 disabled:opacity-30"
+                  title="Move up"
+                >↑</button>
+                <button
+                  onClick={() => onMove(job.id, 1)}
+                  disabled={job.status !== 'queued' || i === queue.jobs.length - 1}
+                  className="px-2 py-0.5 rounded text-white/60 hover:bg-white/10 disabled:opacity-30"
+                  title="Move down"
+                >↓</button>
+                <button
+                  onClick={() => onCancel(job.id)}
+                  className="px-2 py-0.5 rounded bg-rose-600/20 text-rose-200 border border-rose-400/30 hover:bg-rose-600/30"
+                >{job.status === 'running' ? 'Cancel' : 'Remove'}</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="pt-2 border-t border-white/10">
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-white/70 text-xs font-medium">History ({history.length})</h4>
+          {history.length > 0 && (
+            <button onClick={onClearHistory} className="px-2 py-0.5 rounded text-white/50 hover:bg-white/10 text-xs">Clear</button>
+          )}
+        </div>
+        <div className="space-y-1 max-h-64 overflow-y-auto">
+          {history.map((job) => (
+            <div key={job.id} className="text-xs text-white/70">
+              <div className="flex items-center gap-2">
+                <span className={`px-2 py-0.5 rounded-full ${STATUS_CLASS[job.status]}`}>{job.status}</span>
+                <span className="font-medium truncate max-w-40" title={job.name}>{job.name}</span>
+                <span className="text-white/50">→ {job.deviceName}</span>
+                <span className="text-white/50" title={`Ended ${formatTime(job.endedAt)}`}>
+                  {formatTime(job.startedAt)}
+                  {job.startedAt && job.endedAt && ` • ${formatDuration(new Date(job.endedAt) - new Date(job.startedAt))}`}
+                </span>
+                {job.profileName && (
+                  <span className="text-purple-300/70" title={`Calibration ${job.calibrationHash}`}>{job.profileName}</span>
+                )}
+                <div className="ml-auto flex items-center gap-1">
+                  <button
+                    onClick={() => setOpenLogId(id => (id === job.id ? null : job.id))}
+                    className="px-2 py-0.5 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20"
+                  >Log</button>
+                  <button
+                    onClick={() => onRequeue(job)}
+                    className="px-2 py-0.5 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20"
+                    title="Queue this pattern again on the same device"
+                  >Re-queue</button>
+                </div>
+              </div>
+              {job.error && <div className="text-rose-300 mt-1">{job.error}</div>}
+              {openLogId === job.id && (
+                <pre className="mt-1 max-h-40 overflow-y-auto text-[11px] leading-tight text-white/70 bg-black/40 rounded p-2 font-mono">
+                  {job.log.map(l => `${formatLogTime(l)} ${l.msg}`).join('\n') || 'No log'}
+                </pre>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
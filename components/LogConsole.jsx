@@ -0,0 +1,125 @@
+'use client';
+
+import { useEffect, useRef, useState } from "react";
+import { LOG_CATEGORIES, filterLogEntries, formatLogTime, logCategory, logToCsv, logToJsonl } from "@/lib/deviceLog";
+
+const CATEGORY_CLASS = {
+  tx: 'bg-sky-600/30 text-sky-200',
+  rx: 'bg-emerald-600/30 text-emerald-200',
+  status: 'bg-white/10 text-white/60',
+  info: 'bg-white/10 text-white/80',
+  error: 'bg-rose-600/30 text-rose-200',
+};
+
+// Status lines arrive several times a second; they are opt-in
+const DEFAULT_CATEGORIES = LOG_CATEGORIES.filter(c => c !== 'status');
+
+const download = (text, type, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * The app-wide device log (lib/deviceLog.js entries) with category, device
+ * and text filters. It follows new entries until the operator scrolls up or
+ * pauses it; exports write the filtered entries as JSONL or CSV.
+ */
+export default function LogConsole({ entries, devices, onClear }) {
+  const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
+  const [deviceId, setDeviceId] = useState('');
+  const [query, setQuery] = useState('');
+  const [follow, setFollow] = useState(true);
+  const listRef = useRef(null);
+
+  const names = Object.fromEntries(devices.map(d => [d.id, d.name]));
+  const shown = filterLogEntries(entries, { categories, deviceId: deviceId === 'app' ? null : deviceId, query });
+
+  useEffect(() => {
+    if (follow && listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [follow, shown.length, entries.at(-1)?.id]);
+
+  const onScroll = (e) => {
+    const el = e.currentTarget;
+    const atBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 8;
+    if (atBottom !== follow) setFollow(atBottom);
+  };
+
+  const toggleCategory = (c) => setCategories(cs => (cs.includes(c) ? cs.filter(x => x !== c) : [...cs, c]));
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+  return (
+    <div className="mb-4 p-3 bg-black/40 border border-white/10 rounded-lg space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="text-white/80 text-sm font-medium mr-2">
+          Log
+          <span className="ml-2 text-xs text-white/50">{shown.length}/{entries.length}</span>
+        </h3>
+        {LOG_CATEGORIES.map((c) => (
+          <button
+            key={c}
+            onClick={() => toggleCategory(c)}
+            className={`px-2 py-0.5 rounded-full text-xs uppercase ${categories.includes(c) ? CATEGORY_CLASS[c] : 'bg-transparent text-white/30 border border-white/10'}`}
+          >{c}</button>
+        ))}
+        <select className="input-field text-sm" value={deviceId} onChange={(e) => setDeviceId(e.target.value)}>
+          <option value="">All devices</option>
+          <option value="app">App only</option>
+          {devices.map((d) => <option key={d.id} value={d.id}>{d.name}</option>)}
+        </select>
+        <input
+          type="search"
+          className="input-field w-40 text-sm"
+          placeholder="Search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <div className="ml-auto flex items-center gap-1">
+          <button
+            onClick={() => setFollow(f => !f)}
+            className={`px-2 py-0.5 rounded border text-xs ${follow ? 'bg-white/10 text-white/80 border-white/20 hover:bg-white/20' : 'bg-amber-500/20 text-amber-200 border-amber-400/40'}`}
+            title="Keep the newest entry in view"
+          >{follow ? 'Auto-scroll' : 'Paused'}</button>
+          <button
+            onClick={() => download(logToJsonl(shown), 'application/x-ndjson', `tubedrop-log-${stamp}.jsonl`)}
+            disabled={shown.length === 0}
+            className="px-2 py-0.5 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs disabled:opacity-40"
+            title="Export the entries shown as JSON Lines"
+          >JSONL</button>
+          <button
+            onClick={() => download(logToCsv(shown, names), 'text/csv;charset=utf-8;', `tubedrop-log-${stamp}.csv`)}
+            disabled={shown.length === 0}
+            className="px-2 py-0.5 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs disabled:opacity-40"
+            title="Export the entries shown as CSV"
+          >CSV</button>
+          <button onClick={onClear} className="px-2 py-0.5 rounded text-white/50 hover:bg-white/10 text-xs">Clear</button>
+        </div>
+      </div>
+      <div
+        ref={listRef}
+        onScroll={onScroll}
+        className="max-h-72 overflow-y-auto bg-black/40 rounded p-2 font-mono text-[11px] leading-tight space-y-0.5"
+      >
+        {shown.length === 0 ? (
+          <div className="text-white/40">No entries</div>
+        ) : shown.map((e) => {
+          const category = logCategory(e);
+          return (
+            <div key={e.id} className="flex gap-2 text-white/70" title={e.payload ? JSON.stringify(e.payload, null, 2) : undefined}>
+              <span className="text-white/40 shrink-0" title={e.ts}>{formatLogTime(e)}</span>
+              <span className={`px-1 rounded shrink-0 uppercase ${CATEGORY_CLASS[category]}`}>{category}</span>
+              <span className="text-amber-200/80 shrink-0 w-20 truncate">{e.deviceId ? names[e.deviceId] ?? e.deviceId : 'app'}</span>
+              {e.jobId && <span className="text-purple-300/70 shrink-0" title={e.jobId}>{e.jobId.slice(-6)}</span>}
+              <span className={`whitespace-pre-wrap break-all ${category === 'error' ? 'text-rose-200' : ''}`}>{e.msg}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
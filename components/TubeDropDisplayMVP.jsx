@@ -1,6 +1,61 @@
 'use client';
 
 import { useEffect, useRef, useState } from "react";
+import CalibrationCurveChart from "@/components/CalibrationCurveChart";
+import CalibrationWizard from "@/components/CalibrationWizard";
+import DevicePanel from "@/components/DevicePanel";
+import JobQueuePanel from "@/components/JobQueuePanel";
+import LogConsole from "@/components/LogConsole";
+import {
+  clamp,
+  lerp,
+  dist,
+  mmToPx,
+  pxToMm,
+  sampleCatmullRom,
+  resampleUniform,
+  pathSlice,
+  sampleTarget,
+  synthesize,
+  SYNTHESIS_MODES,
+  DENSE_PARAMS,
+  SPARSE_PARAMS,
+  segmentsToEHDSteps,
+  toDeviceSteps,
+  CALIBRATION_INTERPOLATIONS,
+  normalizeCalibrationPoints,
+  seedCalibrationPoints,
+  DEFAULT_STEP_CAPACITY,
+  planStepBudget,
+  executionProgress,
+  formatDuration,
+  simulateSteps,
+  simulationAt,
+  generatePattern,
+  getPatternGenerator,
+  listPatternGenerators,
+  defaultPatternParams,
+  checkSafetyLimits,
+  describeViolations,
+  validatePath,
+  filletBendIssues,
+  defaultMinBendRadiusMm,
+} from "@/lib/engine";
+import { CONNECTION_DEFAULTS } from "@/lib/deviceConnection";
+import { createDevice, loadDevices, saveDevices } from "@/lib/deviceRegistry";
+import { createDeviceSession } from "@/lib/deviceSession";
+import { LOG_CONSOLE_LIMIT, createLogEntry } from "@/lib/deviceLog";
+import { createRelayWebSocket } from "@/lib/relaySocket";
+import { JOB_HISTORY_LIMIT, createJob, createJobQueue, loadJobHistory, saveJobHistory } from "@/lib/jobQueue";
+import {
+  createProfile,
+  hashCalibration,
+  loadProfileStore,
+  saveProfileStore,
+  serializeProfiles,
+  parseProfilesJson,
+  pickCalibration,
+} from "@/lib/calibrationProfiles";
 
 /**
  * TubeDropDisplay-MVP
@@ -8,119 +63,35 @@ import { useEffect, useRef, useState } from "react";
  *  - Spline (one-stroke) path editing on a 2D canvas
  *  - Image/Text import to define target picture
  *  - 1D sampling of the image along the path (arc-length parameterization)
- *  - Drop schedule synthesis (PWM / AM / 1-bit Dither)
+ *  - Drop schedule synthesis (PWM / AM / 1-bit Dither / diffusion-model OPTIMIZE)
+ *  - Droplet diffusion forward model + error metric (RMSE / PSNR)
  *  - 2D preview rendering of droplets along the path
  *  - 1D timeline view of target vs. synthesized signal
  *  - JSON/CSV export of the drop schedule
  *
+ * Path sampling, synthesis and EHD step conversion live in the headless
+ * engine (`lib/engine.js`); this component owns UI state and drawing only.
+ *
  * Tailwind for styling. No external chart/UI libs.
  * Default export is a React component that should render in ChatGPT Canvas preview.
  */
 
-// ---------- Utility ----------
-const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-const lerp = (a, b, t) => a + (b - a) * t;
-const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
-
-// Physical unit conversion functions
-const mmToPx = (mm, mmPerPixel) => mm / mmPerPixel;
-const pxToMm = (px, mmPerPixel) => px * mmPerPixel;
-
-// EHD parameter mapping functions
-// CSV values: dense(80,70,0,1500,0.135), sparse(73,70,0,2000,0.05)
-const DENSE_PARAMS = { ch0: 80, ch1: 70, ch2: 0, duration_base: 1500, resistance_factor: 0.135 };
-const SPARSE_PARAMS = { ch0: 73, ch1: 70, ch2: 0, duration_base: 2000, resistance_factor: 0.05 };
-
-// Convert density level (1-10) to EHD parameters using linear interpolation
-const densityLevelToEHDParams = (densityLevel, calibration = null) => {
-  const level = clamp(densityLevel, 1, 10);
-  const ratio = (level - 1) / 9; // 0-1に正規化 (1→0, 10→1)
-
-  // Use calibration params if provided, otherwise use defaults
-  const denseParams = calibration ? {
-    ch0: calibration.denseCh0,
-    ch1: calibration.ch1,
-    ch2: 0,
-    duration_base: calibration.denseDuration,
-    resistance_factor: calibration.denseResistance
-  } : DENSE_PARAMS;
-
-  const sparseParams = calibration ? {
-    ch0: calibration.sparseCh0,
-    ch1: calibration.ch1,
-    ch2: 0,
-    duration_base: calibration.sparseDuration,
-    resistance_factor: calibration.sparseResistance
-  } : SPARSE_PARAMS;
-
-  return {
-    ch0: Math.round(lerp(sparseParams.ch0, denseParams.ch0, ratio)),
-    ch1: denseParams.ch1, // 共通値
-    ch2: denseParams.ch2, // 共通値
-    duration_base: Math.round(lerp(sparseParams.duration_base, denseParams.duration_base, ratio)),
-    resistance_factor: lerp(sparseParams.resistance_factor, denseParams.resistance_factor, ratio)
-  };
-};
-
-// Convert segments to EHD steps with resistance accumulation
-const segmentsToEHDSteps = (segments, feedSpeedMmPerSec = 10, maxSteps = 50, calibration = null, tubeLengthCm = 30) => {
-  if (!segments || segments.length === 0) {
-    // No segments: return single step covering entire tube with ch0=0, ch1=70, duration=1000
-    return [{
-      ch0: 0,
-      ch1: 70,
-      duration: 1500
-    }];
-  }
-
-  // Sort segments by start position
-  const sortedSegments = [...segments].sort((a, b) => a.startCm - b.startCm);
-  const steps = [];
-  let currentPos = 0;
-
-  for (let i = 0; i < sortedSegments.length && steps.length < maxSteps; i++) {
-    const seg = sortedSegments[i];
-
-    // Add gap step if there's a gap before this segment
-    if (seg.startCm > currentPos) {
-      const gapLengthCm = seg.startCm - currentPos;
-      const gapDurationMs = Math.round((gapLengthCm * 10 / feedSpeedMmPerSec) * 1000);
-      steps.push({
-        ch0: 0,
-        ch1: 70,
-        duration: Math.max(1000, gapDurationMs) // minimum 1000ms for gaps
-      });
-    }
-
-    // Add segment step
-    const ehdParams = densityLevelToEHDParams(seg.densityLevel, calibration);
-    const segmentLengthMm = (seg.endCm - seg.startCm) * 10; // cm to mm
-    const baseDurationMs = (segmentLengthMm / feedSpeedMmPerSec) * 1000;
-    const adjustedDuration = Math.round(baseDurationMs);
-
-    steps.push({
-      ch0: ehdParams.ch0,
-      ch1: ehdParams.ch1,
-      duration: Math.max(1000, adjustedDuration) // minimum 1000ms
-    });
-
-    currentPos = seg.endCm;
-  }
-
-  // Add final gap if there's space after the last segment
-  if (currentPos < tubeLengthCm) {
-    const gapLengthCm = tubeLengthCm - currentPos;
-    const gapDurationMs = Math.round((gapLengthCm * 10 / feedSpeedMmPerSec) * 1000);
-    steps.push({
-      ch0: 0,
-      ch1: 70,
-      duration: Math.max(1000, gapDurationMs) // minimum 1000ms for gaps
-    });
-  }
-
-  return steps;
+// Calibration a profile starts from; profiles only store the fields they set,
+// so loading one must start here rather than from the previous profile
+const DEFAULT_CALIBRATION = {
+  denseCh0: DENSE_PARAMS.ch0,
+  denseDuration: DENSE_PARAMS.duration_base,
+  denseResistance: DENSE_PARAMS.resistance_factor,
+  sparseCh0: SPARSE_PARAMS.ch0,
+  sparseDuration: SPARSE_PARAMS.duration_base,
+  sparseResistance: SPARSE_PARAMS.resistance_factor,
+  ch1: DENSE_PARAMS.ch1,
+  feedSpeed: 80,
+  points: [], // measured table: { level, ch0, duration, density }
+  interpolation: 'monotone' // 'monotone' | 'linear'
 };
 
+// ---------- Segment & drawing helpers ----------
 // Check if two segments overlap
 const segmentsOverlap = (seg1, seg2) => {
   return seg1.startCm < seg2.endCm && seg2.startCm < seg1.endCm;
@@ -158,82 +129,6 @@ const findNextAvailablePosition = (segments, preferredStart, preferredLength, tu
   return null;
 };
 
-function catmullRom(p0, p1, p2, p3, t) {
-  // Catmull-Rom with tension=0.5 (centripetal variant would need different parameterization)
-  const t2 = t * t;
-  const t3 = t2 * t;
-  return {
-    x:
-      0.5 *
-      ((2 * p1.x) +
-        (-p0.x + p2.x) * t +
-        (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) * t2 +
-        (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t3),
-    y:
-      0.5 *
-      ((2 * p1.y) +
-        (-p0.y + p2.y) * t +
-        (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) * t2 +
-        (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t3),
-  };
-}
-
-function sampleCatmullRom(points, samplesPerSegment = 20) {
-  if (points.length < 2) return points.slice();
-  const n = points.length;
-  const out = [];
-  for (let i = 0; i < n - 1; i++) {
-    const p0 = i === 0 ? points[0] : points[i - 1];
-    const p1 = points[i];
-    const p2 = points[i + 1];
-    const p3 = i + 2 < n ? points[i + 2] : points[n - 1];
-    for (let j = 0; j < samplesPerSegment; j++) {
-      const t = j / samplesPerSegment;
-      out.push(catmullRom(p0, p1, p2, p3, t));
-    }
-  }
-  out.push(points[points.length - 1]);
-  return out;
-}
-
-function polylineLength(pts) {
-  let L = 0;
-  for (let i = 1; i < pts.length; i++) L += dist(pts[i - 1], pts[i]);
-  return L;
-}
-
-function resampleUniform(pts, stepPx = 2) {
-  if (pts.length === 0) return [];
-  const out = [pts[0]];
-  let acc = 0;
-  for (let i = 1; i < pts.length; i++) {
-    const a = pts[i - 1];
-    const b = pts[i];
-    const segLen = dist(a, b);
-    let t = stepPx - acc;
-    while (t <= segLen) {
-      const u = t / segLen;
-      out.push({ x: lerp(a.x, b.x, u), y: lerp(a.y, b.y, u) });
-      t += stepPx;
-    }
-    acc = (segLen + acc) % stepPx;
-  }
-  return out;
-}
-
-function grayscaleAt(imageData, x, y) {
-  const { width, data } = imageData;
-  const xi = Math.floor(clamp(x, 0, width - 1));
-  const yi = Math.floor(clamp(y, 0, imageData.height - 1));
-  const idx = (yi * width + xi) * 4;
-  const r = data[idx];
-  const g = data[idx + 1];
-  const b = data[idx + 2];
-  // normalized [0,1], perceptual grayscale
-  const gray = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-  return gray;
-}
-
 function drawCircle(ctx, x, y, r, alpha = 1) {
   ctx.save();
   ctx.globalAlpha = alpha;
@@ -429,6 +324,98 @@ function drawContentObject(ctx, obj, isSelected = false, editingTextId = null) {
   ctx.restore();
 }
 
+// Simulated print (lib/ehdSimulator.js) on the straightened tube: the stretch
+// that has passed the nozzle, the steps underneath and the drops deposited
+// so far. Positions use the same mm -> px mapping as the path.
+function drawSimulatedTube(ctx, sim, at, { mmPerPixel, scale, dpr }) {
+  const margin = 50;
+  const canvasHeight = 120;
+  const tubeHeight = 40;
+  const tubeY = canvasHeight / 2;
+  const mmToX = (mm) => margin + (mm / mmPerPixel) * scale;
+  const width = Math.max(800, mmToX(sim.tubeLengthMm) + margin);
+
+  ctx.canvas.width = width * dpr;
+  ctx.canvas.height = canvasHeight * dpr;
+  ctx.scale(dpr, dpr);
+  ctx.fillStyle = "#000000";
+  ctx.fillRect(0, 0, width, canvasHeight);
+
+  const endX = mmToX(sim.tubeLengthMm);
+  ctx.fillStyle = "#1a1a1a";
+  ctx.fillRect(margin, tubeY - tubeHeight / 2, endX - margin, tubeHeight);
+  // Filled so far
+  ctx.fillStyle = "rgba(0, 191, 255, 0.08)";
+  ctx.fillRect(margin, tubeY - tubeHeight / 2, mmToX(at.positionMm) - margin, tubeHeight);
+  ctx.strokeStyle = "#ffffff";
+  ctx.lineWidth = 2;
+  ctx.strokeRect(margin, tubeY - tubeHeight / 2, endX - margin, tubeHeight);
+
+  // Step bar under the tube, brighter for denser steps
+  for (const span of sim.spans) {
+    if (!span.on) continue;
+    ctx.fillStyle = `rgba(168, 85, 247, ${0.2 + 0.08 * span.densityLevel})`;
+    ctx.fillRect(mmToX(span.startMm), tubeY + tubeHeight / 2 + 4, Math.max(1, mmToX(span.endMm) - mmToX(span.startMm)), 6);
+  }
+
+  ctx.fillStyle = "#00bfff";
+  for (let i = 0; i < at.dropCount; i++) {
+    const drop = sim.drops[i];
+    ctx.beginPath();
+    ctx.arc(mmToX(drop.sMm), tubeY, 1.5 + 0.35 * drop.densityLevel, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // Nozzle
+  const x = mmToX(at.positionMm);
+  ctx.strokeStyle = "#fbbf24";
+  ctx.beginPath();
+  ctx.moveTo(x, tubeY - tubeHeight / 2 - 8);
+  ctx.lineTo(x, tubeY + tubeHeight / 2 + 8);
+  ctx.stroke();
+
+  ctx.fillStyle = "#666666";
+  ctx.font = "10px monospace";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  const span = at.span;
+  ctx.fillText(`Simulated: ${(at.positionMm / 10).toFixed(1)} / ${(sim.tubeLengthMm / 10).toFixed(1)} cm`, margin, 14);
+  if (span) {
+    ctx.fillText(`Step ${span.stepIndex + 1}/${sim.spans.length}: ch0=${span.ch0} ch1=${span.ch1}${span.on ? ` • level ${span.densityLevel}` : ' • off'}`, margin, 28);
+  }
+  ctx.fillText(`Drops: ${at.dropCount}/${sim.drops.length}${sim.truncated ? ' (truncated)' : ''}`, margin, canvasHeight - 10);
+}
+
+const PATH_ISSUE_COLORS = { bend: '#f59e0b', cross: '#ef4444', overlap: '#ef4444', bounds: '#d946ef' };
+
+// Problems found by lib/pathValidation.js, drawn over the tube: the offending
+// stretch (and for overlaps the stretch it runs into) plus a ring at the worst point
+function drawPathIssues(ctx, check, tubeWidth) {
+  const strokeRun = (from, to) => {
+    if (to <= from) return;
+    ctx.beginPath();
+    ctx.moveTo(check.samples[from].x, check.samples[from].y);
+    for (let i = from + 1; i <= to; i++) ctx.lineTo(check.samples[i].x, check.samples[i].y);
+    ctx.stroke();
+  };
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  for (const issue of check.issues) {
+    ctx.strokeStyle = PATH_ISSUE_COLORS[issue.kind];
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = Math.max(4, tubeWidth + 4);
+    strokeRun(issue.from, issue.to);
+    if (issue.other) strokeRun(issue.other.from, issue.other.to);
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(issue.at.x, issue.at.y, 9, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
 // Pattern area rendering function
 function drawPatternArea(ctx, area, isSelected = false) {
   ctx.save();
@@ -450,155 +437,6 @@ function drawPatternArea(ctx, area, isSelected = false) {
   ctx.restore();
 }
 
-// Pattern generation functions
-function generateZigzagPattern(startPoint, endPoint, params) {
-  const { topFolds, bottomFolds, tubeWidth } = params;
-  const points = [];
-
-  const startX = startPoint.x;
-  const startY = startPoint.y;
-  const endX = endPoint.x;
-  const endY = endPoint.y;
-  const width = endX - startX;
-  const height = endY - startY;
-
-  // Calculate fold positions
-  const topFoldPositions = [];
-  const bottomFoldPositions = [];
-
-  for (let i = 0; i <= topFolds; i++) {
-    topFoldPositions.push(startX + (width * i) / topFolds);
-  }
-
-  for (let i = 0; i <= bottomFolds; i++) {
-    bottomFoldPositions.push(startX + (width * i) / bottomFolds);
-  }
-
-  // Generate zigzag path: alternate between top and bottom fold positions
-  let currentY = startY;
-  let goingDown = true;
-  let topIndex = 0;
-  let bottomIndex = 0;
-  let stepCount = 0;
-  const maxSteps = 1000; // Safety limit
-
-  while (currentY <= endY && stepCount < maxSteps) {
-    if (goingDown) {
-      // Going from top to bottom
-      const x = topFoldPositions[topIndex % topFoldPositions.length];
-      points.push({ x, y: currentY });
-
-      // Move down by tube width
-      currentY += tubeWidth;
-      if (currentY >= endY) {
-        points.push({ x, y: endY });
-        break;
-      }
-
-      // Switch to going up
-      goingDown = false;
-      topIndex++;
-    } else {
-      // Going from bottom to top
-      const x = bottomFoldPositions[bottomIndex % bottomFoldPositions.length];
-      points.push({ x, y: currentY });
-
-      // Move down by tube width
-      currentY += tubeWidth;
-      if (currentY >= endY) {
-        points.push({ x, y: endY });
-        break;
-      }
-
-      // Switch to going down
-      goingDown = true;
-      bottomIndex++;
-    }
-    stepCount++;
-  }
-
-  return points;
-}
-
-function generateParallelPattern(startPoint, endPoint, params) {
-  const { topFolds, tubeWidth } = params; // Use topFolds as the fold count
-  const points = [];
-
-  const startX = startPoint.x;
-  const startY = startPoint.y;
-  const endX = endPoint.x;
-  const endY = endPoint.y;
-  const width = endX - startX;
-  const height = endY - startY;
-
-  // Calculate control points Z1-Z10 based on fold count
-  const foldCount = topFolds; // Use topFolds as the number of folds
-  const totalPoints = foldCount * 2; // Double the fold count for alternating points
-
-  // Generate control points along X-axis
-  for (let i = 0; i <= totalPoints; i++) {
-    const x = startX + (width * i) / totalPoints;
-
-    // Alternate between startY and endY
-    const y = (i % 2 === 0) ? startY : endY;
-
-    points.push({ x, y });
-  }
-
-  return points;
-}
-
-// Helper to build a folded path with fixed 15cm margins top/bottom/left/right
-function generateParallelWithMargins(startPoint, endPoint, params, mmPerPixel, physicalUnits) {
-  // 15cm = 150mm → px
-  const marginPx = mmToPx(150, mmPerPixel);
-  // Constrain start/end inside margins box
-  const start = { x: Math.max(startPoint.x, marginPx), y: Math.max(startPoint.y, marginPx) };
-  const end = { x: Math.min(endPoint.x, mmToPx(physicalUnits.canvasWidthMm, mmPerPixel) - marginPx), y: Math.min(endPoint.y, mmToPx(physicalUnits.canvasHeightMm, mmPerPixel) - marginPx) };
-  return generateParallelPattern(start, end, params);
-}
-
-function generateWavePattern(startPoint, endPoint, params) {
-  const { spacing, amplitude, frequency } = params;
-  const points = [];
-
-  const startX = startPoint.x;
-  const startY = startPoint.y;
-  const endX = endPoint.x;
-  const endY = endPoint.y;
-  const width = endX - startX;
-  const height = endY - startY;
-  const numLines = Math.floor(height / spacing);
-
-  for (let i = 0; i < numLines; i++) {
-    const lineY = startY + i * spacing;
-
-    // Use adaptive step size for smoother curves
-    const stepSize = Math.max(1, width / 100);
-    for (let j = 0; j <= width; j += stepSize) {
-      const waveX = startX + j;
-      const waveY = lineY + Math.sin(j * frequency) * amplitude;
-      if (waveY >= startY && waveY <= endY) {
-        points.push({ x: waveX, y: waveY });
-      }
-    }
-    // Ensure we always have the end point
-    if (width > 0) {
-      const endWaveY = lineY + Math.sin(width * frequency) * amplitude;
-      if (endWaveY >= startY && endWaveY <= endY) {
-        points.push({ x: endX, y: endWaveY });
-      }
-    }
-  }
-
-  return points;
-}
-
-function generatePatternPoints(patternType, startPoint, endPoint, params) {
-  // Only parallel is supported now; ignore others
-      return generateParallelPattern(startPoint, endPoint, params);
-}
-
 // ---------- Main Component ----------
 export default function TubeDropDisplayMVP() {
   // Prevent hydration mismatch by only rendering on client
@@ -651,21 +489,27 @@ export default function TubeDropDisplayMVP() {
 
   // Pattern system
   const [patternMode, setPatternMode] = useState(false); // Enable pattern mode
-  const [selectedPatternType, setSelectedPatternType] = useState('parallel'); // keep only 'parallel'
+  const [selectedPatternType, setSelectedPatternType] = useState('parallel'); // id in lib/patterns.js
   const [patternStartPoint, setPatternStartPoint] = useState(null); // { x, y } or null
   const [patternEndPoint, setPatternEndPoint] = useState(null); // { x, y } or null
-  const [patternParams, setPatternParams] = useState({
-    topFolds: 5, // Number of folds (used by parallel)
-    tubeWidth: 4,
-    spacing: 8
-  });
-
-  // Physical pattern parameters (in mm)
-  const [physicalPatternParams, setPhysicalPatternParams] = useState({
-    tubeSpacingMm: 2.0,    // Spacing between tube lines in mm
-    amplitudeMm: 4.0,      // Wave amplitude in mm
-    frequencyPerMm: 0.1,   // Wave frequency per mm
-  });
+  const [patternParams, setPatternParams] = useState(defaultPatternParams); // values for every generator's schema
+  const [patternWarning, setPatternWarning] = useState(null); // generator could not honour its parameters
+  const activePatternGenerator = getPatternGenerator(selectedPatternType);
+  // Content raster for generators that trace the artwork (contour spiral); null otherwise so others don't regenerate on edits
+  const patternImage = activePatternGenerator?.usesImage ? imgData : null;
+
+  // Use the selected content object's bounding box (rotation included) as the pattern area
+  const fillSelectedObject = () => {
+    const obj = contentObjects.find(o => o.id === selectedObjectId);
+    if (!obj) return;
+    const cx = obj.x + obj.width / 2;
+    const cy = obj.y + obj.height / 2;
+    const a = ((obj.rotation || 0) * Math.PI) / 180;
+    const hw = (Math.abs(obj.width * Math.cos(a)) + Math.abs(obj.height * Math.sin(a))) / 2;
+    const hh = (Math.abs(obj.width * Math.sin(a)) + Math.abs(obj.height * Math.cos(a))) / 2;
+    setPatternStartPoint({ x: cx - hw, y: cy - hh });
+    setPatternEndPoint({ x: cx + hw, y: cy + hh });
+  };
 
   // Generate 30 vertical tubes (15cm each) laid out horizontally, and map to one-tube schedule
   const generateThirtyVerticalTubes = () => {
@@ -731,7 +575,7 @@ export default function TubeDropDisplayMVP() {
   });
 
   // Rendering params
-  const [mode, setMode] = useState("PWM"); // PWM | AM | DITHER
+  const [mode, setMode] = useState("PWM"); // PWM | AM | DITHER | OPTIMIZE
   const [mmPerPixel, setMmPerPixel] = useState(0.2); // physical scale
   const [feedSpeed, setFeedSpeed] = useState(80); // mm/s
   const [minSpacingMm, setMinSpacingMm] = useState(0.3);
@@ -742,17 +586,31 @@ export default function TubeDropDisplayMVP() {
   const [threshold, setThreshold] = useState(0.5); // for dithering/2bit
   const [tubeVisualizationScale, setTubeVisualizationScale] = useState(1); // scale for tube visualization
 
-  // ----- ESP32 connection (WebSocket) -----
-  const [espIp, setEspIp] = useState("");
-  const [ws, setWs] = useState(null);
-  const [wsStatus, setWsStatus] = useState("disconnected"); // disconnected | connecting | connected
-  const [wsLogs, setWsLogs] = useState([]);
+  // ----- Devices (saved registry + one session per device) -----
+  const [devices, setDevices] = useState([]); // lib/deviceRegistry.js records
+  const [devicesLoaded, setDevicesLoaded] = useState(false);
+  const [deviceStates, setDeviceStates] = useState({}); // id -> session state (lib/deviceSession.js)
+  const [selectedDeviceIds, setSelectedDeviceIds] = useState([]); // where patterns and commands go
+  const [focusedDeviceId, setFocusedDeviceId] = useState(null); // whose job is highlighted on the canvases
+  const [showDevicePanel, setShowDevicePanel] = useState(false);
+  const [wsLogs, setWsLogs] = useState([]); // structured entries (lib/deviceLog.js), app and every device
+  const [showLogConsole, setShowLogConsole] = useState(false);
+  const [heartbeatTimeoutMs, setHeartbeatTimeoutMs] = useState(CONNECTION_DEFAULTS.heartbeatTimeoutMs);
+  const sessionsRef = useRef(new Map()); // id -> createDeviceSession()
+  const [clockMs, setClockMs] = useState(0);
 
   // Imported pattern (JSON) state
   const fileInputRef = useRef(null);
   const [importedSteps, setImportedSteps] = useState(null); // Array<{ ch0, ch1, duration }>
   const [importedMeta, setImportedMeta] = useState(null); // { name, totalSteps, note? }
 
+  // Offline dry run in the tube visualization (lib/ehdSimulator.js)
+  const [simSource, setSimSource] = useState(null); // null (off) | "manual" | "imported"
+  const [simulation, setSimulation] = useState(null);
+  const [simTimeMs, setSimTimeMs] = useState(0);
+  const [simPlaying, setSimPlaying] = useState(false);
+  const [simSpeed, setSimSpeed] = useState(1);
+
   // Toast (popup) state
   const [toast, setToast] = useState({ visible: false, message: "", type: "info" });
   const triggerToast = (message, type = "info") => {
@@ -760,129 +618,238 @@ export default function TubeDropDisplayMVP() {
     setTimeout(() => setToast((t) => ({ ...t, visible: false })), 2500);
   };
 
-  const appendLog = (msg) => {
-    setWsLogs((logs) => {
-      const next = [...logs, { t: new Date().toLocaleTimeString(), msg }];
-      return next.slice(-200);
-    });
+  // Devices report status a few times a second; only changes go to the console
+  const lastStatusMsgRef = useRef({}); // deviceId -> msg of its last status entry
+  const pushLogEntry = (entry) => {
+    if (entry.type === "status") {
+      if (lastStatusMsgRef.current[entry.deviceId] === entry.msg) return;
+      lastStatusMsgRef.current[entry.deviceId] = entry.msg;
+    }
+    setWsLogs((logs) => [...logs, entry].slice(-LOG_CONSOLE_LIMIT));
   };
+  // App-level entry; `fields` may set type ("error"), deviceId or jobId
+  const appendLog = (msg, fields = {}) => pushLogEntry(createLogEntry({ ...fields, msg }));
 
-  const connectWs = () => {
-    if (!espIp) {
-      appendLog("Enter ESP32 IP first");
-      return;
-    }
-    if (wsStatus === "connecting" || wsStatus === "connected") return;
-    try {
-      setWsStatus("connecting");
-      appendLog(`Connecting to ws://${espIp}:81 ...`);
-      const socket = new WebSocket(`ws://${espIp}:81`);
-      socket.onopen = () => {
-        setWs(socket);
-        setWsStatus("connected");
-        appendLog(`WS connected to ${espIp}:81`);
-        triggerToast("Connected to device", "success");
-      };
-      socket.onmessage = (ev) => {
-        try {
-          const data = JSON.parse(ev.data);
-          if (data.type === "status") {
-            appendLog(`STATUS active=${data.patternActive} step=${data.currentStep}/${data.totalSteps}`);
-          } else if (data.type === "log") {
-            appendLog(data.msg);
-          } else {
-            appendLog(`RX: ${ev.data}`);
-          }
-        } catch (e) {
-          appendLog(`RX(raw): ${ev.data}`);
-        }
-      };
-      socket.onerror = (e) => {
-        appendLog("WS error");
-        triggerToast("Connection error", "error");
-      };
-      socket.onclose = () => {
-        setWs(null);
-        const wasConnecting = wsStatus === "connecting";
-        setWsStatus("disconnected");
-        appendLog("WS closed");
-        triggerToast(wasConnecting ? "Connection failed" : "Disconnected", wasConnecting ? "error" : "warning");
-      };
-    } catch (e) {
-      setWsStatus("disconnected");
-      appendLog(`WS connect failed: ${e?.message || e}`);
-      triggerToast("Connection failed", "error");
+  // Load saved devices once on mount (localStorage is client-only)
+  useEffect(() => {
+    const saved = loadDevices();
+    setDevices(saved);
+    setSelectedDeviceIds(saved.slice(0, 1).map(d => d.id));
+    setFocusedDeviceId(saved[0]?.id ?? null);
+    setDevicesLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (devicesLoaded) saveDevices(devices);
+  }, [devices, devicesLoaded]);
+
+  // Close every socket on unmount
+  useEffect(() => () => sessionsRef.current.forEach(s => s.disconnect()), []);
+
+  const getSession = (device) => {
+    let session = sessionsRef.current.get(device.id);
+    if (!session) {
+      session = createDeviceSession({
+        device,
+        heartbeatTimeoutMs,
+        // Relayed devices go through /api/relay instead of a direct WebSocket
+        WebSocketImpl: device.via === "relay" ? createRelayWebSocket() : undefined,
+        onChange: (state) => setDeviceStates(s => ({ ...s, [device.id]: state })),
+        onLog: pushLogEntry,
+      });
+      sessionsRef.current.set(device.id, session);
     }
+    return session;
   };
 
-  const disconnectWs = () => {
-    try { ws?.close(); } catch (_) {}
-    setWs(null);
-    setWsStatus("disconnected");
-    triggerToast("Disconnected", "warning");
+  // Sessions hold the device record they were created with, so edits drop it
+  const dropSession = (id) => {
+    sessionsRef.current.get(id)?.disconnect();
+    sessionsRef.current.delete(id);
+    setDeviceStates(({ [id]: _, ...rest }) => rest);
   };
 
-  const sendWs = (obj) => {
-    if (!ws || ws.readyState !== 1) {
-      appendLog("WS not connected");
-      return false;
+  const addDevice = ({ name, host, port, via, stepCapacity }) => {
+    if (devices.some(d => d.host === host && d.port === port)) {
+      triggerToast(`${host}:${port} は登録済みです`, "warning");
+      return null;
     }
-    const s = JSON.stringify(obj);
-    ws.send(s);
-    appendLog(`TX: ${s}`);
-    return true;
+    // A page served over HTTPS cannot open ws:// itself, so default to the relay there
+    const device = createDevice({ name, host, port, stepCapacity, via: via ?? (window.location.protocol === "https:" ? "relay" : "direct") });
+    setDevices(ds => [...ds, device]);
+    setSelectedDeviceIds(ids => (ids.length === 0 ? [device.id] : ids));
+    setFocusedDeviceId(id => id ?? device.id);
+    appendLog(`Device added: ${device.name} (${host}:${port})`);
+    return device;
   };
 
-  const sendStart = () => sendWs({ type: "control", cmd: "start" });
-  const sendStop = () => sendWs({ type: "control", cmd: "stop" });
-  const sendClear = () => sendWs({ type: "buffer", cmd: "clear" });
+  const updateDevice = (id, patch) => {
+    setDevices(ds => ds.map(d => (d.id === id ? { ...d, ...patch } : d)));
+    if ('host' in patch || 'port' in patch || 'name' in patch || 'via' in patch) dropSession(id);
+  };
 
-  const sendPatternAndStart = async () => {
-    appendLog("Starting pattern execution sequence...");
+  const removeDevice = (id) => {
+    const device = devices.find(d => d.id === id);
+    if (!device || !window.confirm(`デバイス「${device.name}」を削除しますか？`)) return;
+    dropSession(id);
+    setDevices(ds => ds.filter(d => d.id !== id));
+    setSelectedDeviceIds(ids => ids.filter(x => x !== id));
+    setFocusedDeviceId(f => (f === id ? devices.find(d => d.id !== id)?.id ?? null : f));
+  };
 
-    // 1. Clear buffer
-    if (!sendClear()) return;
-    await new Promise(resolve => setTimeout(resolve, 100)); // Wait 100ms
+  const setDeviceSafetyLimits = (id, safetyLimits) => {
+    updateDevice(id, { safetyLimits });
+    sessionsRef.current.get(id)?.setSafetyLimits(safetyLimits);
+  };
 
-    // 2. Send pattern
-    if (!sendPattern()) return;
-    await new Promise(resolve => setTimeout(resolve, 200)); // Wait 200ms
+  const setDeviceCapacity = (id, capacity) => {
+    updateDevice(id, { stepCapacity: capacity });
+    sessionsRef.current.get(id)?.setCapacity(capacity);
+  };
+
+  const toggleDeviceSelected = (id) => {
+    setSelectedDeviceIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+  };
 
-    // 3. Start execution
-    if (sendStart()) {
-      appendLog("Pattern execution started!");
+  const connectDevice = (device) => getSession(device).connect({ heartbeatTimeoutMs });
+  const disconnectDevice = (device) => sessionsRef.current.get(device.id)?.disconnect();
+
+  const targetDevices = devices.filter(d => selectedDeviceIds.includes(d.id));
+  const deviceCapacity = (d) => deviceStates[d.id]?.capacity ?? d.stepCapacity ?? DEFAULT_STEP_CAPACITY;
+  // Jobs are planned against the smallest budget among the selected devices
+  const targetCapacity = targetDevices.length > 0 ? Math.min(...targetDevices.map(deviceCapacity)) : DEFAULT_STEP_CAPACITY;
+  const countTargets = (status) => targetDevices.filter(d => deviceStates[d.id]?.status === status).length;
+  const connectedCount = countTargets('connected');
+  const reconnectingCount = countTargets('connecting') + countTargets('reconnecting');
+
+  // Run `action(session, device)` on every selected device in parallel;
+  // resolves to the devices it succeeded on
+  const forTargets = async (label, action) => {
+    if (targetDevices.length === 0) {
+      appendLog(`${label}: no device selected`, { type: "error" });
+      triggerToast("送信先のデバイスを選択してください", "warning");
+      return [];
+    }
+    const results = await Promise.all(targetDevices.map(async (d) => [d, await action(getSession(d), d)]));
+    return results.filter(([, ok]) => ok).map(([d]) => d);
+  };
+
+  // Upload a job to one device. Budgeted jobs are merged or split per the
+  // device's step capacity (later batches are sent as each one finishes).
+  const deliverJob = async (session, device, { steps, source, budget }) => {
+    if (!budget) return session.uploadSteps(steps);
+    const { ok, plan } = await session.sendSteps(steps, {
+      source,
+      confirmSplit: (p) => window.confirm(`${device.name}: ${p.warning}.\n分割して送信しますか？`),
+    });
+    if (ok && plan.warning) {
+      triggerToast(plan.strategy === "merge" ? "ステップを統合して送信します" : `${plan.batches.length}回に分割して送信します`, "warning");
+    }
+    return ok;
+  };
+
+  // Check a pattern against every selected device's safety limits before
+  // anything is sent; explains and refuses when one is exceeded
+  const passesSafetyLimits = (steps) => {
+    const problems = targetDevices
+      .map(d => ({ device: d, violations: checkSafetyLimits(steps, d.safetyLimits) }))
+      .filter(p => p.violations.length > 0);
+    if (problems.length === 0) return true;
+    const text = problems.map(p => `${p.device.name}:\n${describeViolations(p.violations)}`).join('\n\n');
+    appendLog(`Refused by safety limits:\n${text}`, { type: "error" });
+    triggerToast("安全制限を超えているため送信を中止しました", "error");
+    window.alert(`安全制限を超えているため送信できません。\n\n${text}`);
+    return false;
+  };
+
+  const sendJob = async (job, { start = false } = {}) => {
+    if (targetDevices.length > 0 && !passesSafetyLimits(job.steps)) return [];
+    const delivered = await forTargets(start ? "Send & start" : "Send", async (session, device) => {
+      if (!(await deliverJob(session, device, job))) return false;
+      return start ? session.start() : true;
+    });
+    if (delivered.length < targetDevices.length) {
+      const failed = targetDevices.filter(d => !delivered.includes(d)).map(d => d.name);
+      if (failed.length > 0) triggerToast(`パターンの送信に失敗しました: ${failed.join(", ")}`, "error");
     }
+    return delivered;
   };
-  const sendPattern = () => {
+
+  const sendStart = () => forTargets("Start", (session) => session.start());
+  const sendStop = () => forTargets("Stop", (session) => session.stop());
+  const sendClear = () => forTargets("Clear", (session) => session.clear());
+  const sendPause = () => forTargets("Pause", (session) => session.pause());
+  const sendResume = () => forTargets("Resume", (session) => session.resume());
+
+  // Job for the current manual schedule (or the demo pattern without one)
+  const currentPatternJob = () => {
     if (!useManualSchedule || manualSegments.length === 0) {
       // Fallback to demo pattern if no manual segments
       const demo = [
         { ch0: 80, ch1: 70, duration: 1500 },
         { ch0: 73, ch1: 70, duration: 2000 },
       ];
-      return sendWs({ type: "pattern", steps: demo });
+      return { steps: demo, source: "demo", budget: false };
     }
 
-    // Convert manual segments to EHD steps
-    const steps = segmentsToEHDSteps(manualSegments, calibrationParams.feedSpeed, 50, calibrationParams, manualTubeLengthCm);
-    if (steps.length === 0) {
+    // Manual segments are already converted (with resistance correction) in manualSteps
+    if (manualSteps.length === 0) {
       appendLog("No valid segments to send");
-      return false;
+      return null;
     }
+    appendLog(`Sending ${manualSteps.length} steps from ${manualSegments.length} segments`);
+    return { steps: manualSteps, source: "manual", budget: true };
+  };
+
+  const sendPatternAndStart = async () => {
+    appendLog("Starting pattern execution sequence...");
+    const job = currentPatternJob();
+    if (!job) return;
 
-    appendLog(`Sending ${steps.length} steps from ${manualSegments.length} segments`);
-    return sendWs({ type: "pattern", steps });
+    // Each device starts as soon as its own upload is confirmed
+    const started = await sendJob(job, { start: true });
+    if (started.length > 0) {
+      appendLog(`Pattern execution started on ${started.map(d => d.name).join(", ")}`);
+    }
+  };
+  const sendPattern = async () => {
+    const job = currentPatternJob();
+    return job ? (await sendJob(job)).length > 0 : false;
+  };
+
+  // Send a calibration test strip (built by the wizard) to the selected devices
+  const sendCalibrationStrip = async (steps) => {
+    appendLog(`Sending calibration strip: ${steps.length} steps`);
+    const delivered = await sendJob({ steps, source: "calibration", budget: false });
+    if (delivered.length === 0) return false;
+    triggerToast("キャリブレーションパターンを送信しました", "success");
+    return true;
+  };
+
+  const applyFittedCalibration = (fitted) => {
+    setCalibrationParams(p => ({
+      ...p,
+      sparseCh0: fitted.sparseCh0,
+      denseCh0: fitted.denseCh0,
+      sparseDuration: fitted.sparseDuration,
+      denseDuration: fitted.denseDuration,
+      feedSpeed: fitted.feedSpeed,
+      points: fitted.points
+    }));
+    setShowCalibrationWizard(false);
+    appendLog(`Calibration fitted: sparse CH0 ${fitted.sparseCh0}, dense CH0 ${fitted.denseCh0}, feed ${fitted.feedSpeed} mm/s`);
+    triggerToast("キャリブレーションを適用しました", "success");
   };
 
   // Send imported pattern steps to device
-  const sendImportedPattern = () => {
+  const sendImportedPattern = async () => {
     if (!importedSteps || importedSteps.length === 0) {
       appendLog("No imported steps to send");
       triggerToast("インポートされたパターンがありません", "warning");
       return false;
     }
     appendLog(`Sending imported ${importedSteps.length} steps`);
-    return sendWs({ type: "pattern", steps: importedSteps });
+    return (await sendJob({ steps: importedSteps, source: "imported", budget: true })).length > 0;
   };
 
   // Manual schedule editor states
@@ -898,16 +865,339 @@ export default function TubeDropDisplayMVP() {
 
   // Calibration states
   const [showCalibration, setShowCalibration] = useState(false);
-  const [calibrationParams, setCalibrationParams] = useState({
-    denseCh0: DENSE_PARAMS.ch0,
-    denseDuration: DENSE_PARAMS.duration_base,
-    denseResistance: DENSE_PARAMS.resistance_factor,
-    sparseCh0: SPARSE_PARAMS.ch0,
-    sparseDuration: SPARSE_PARAMS.duration_base,
-    sparseResistance: SPARSE_PARAMS.resistance_factor,
-    ch1: DENSE_PARAMS.ch1,
-    feedSpeed: feedSpeed
-  });
+  const [calibrationParams, setCalibrationParams] = useState({ ...DEFAULT_CALIBRATION, feedSpeed });
+  const [showSteps, setShowSteps] = useState(false);
+  const [showCalibrationWizard, setShowCalibrationWizard] = useState(false);
+
+  // Named calibration profiles (persisted); calibrationParams is the active one
+  const [calibrationProfiles, setCalibrationProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const profileImportRef = useRef(null);
+  const activeProfile = calibrationProfiles.find(p => p.id === activeProfileId) || null;
+
+  // Load profiles once on mount (localStorage is client-only)
+  useEffect(() => {
+    const stored = loadProfileStore();
+    if (stored) {
+      const active = stored.profiles.find(p => p.id === stored.activeId);
+      setCalibrationProfiles(stored.profiles);
+      setActiveProfileId(stored.activeId);
+      setCalibrationParams({ ...DEFAULT_CALIBRATION, ...active.calibration });
+    } else {
+      const initial = createProfile('Default', calibrationParams);
+      setCalibrationProfiles([initial]);
+      setActiveProfileId(initial.id);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // Edits to calibrationParams are saved into the active profile
+  useEffect(() => {
+    if (!activeProfileId) return;
+    setCalibrationProfiles(ps => ps.map(p => (
+      p.id === activeProfileId && hashCalibration(p.calibration) !== hashCalibration(calibrationParams)
+        ? { ...p, calibration: pickCalibration(calibrationParams), updatedAt: new Date().toISOString() }
+        : p
+    )));
+  }, [calibrationParams, activeProfileId]);
+
+  useEffect(() => {
+    if (!activeProfileId || calibrationProfiles.length === 0) return;
+    saveProfileStore({ profiles: calibrationProfiles, activeId: activeProfileId });
+  }, [calibrationProfiles, activeProfileId]);
+
+  const switchCalibrationProfile = (id) => {
+    const profile = calibrationProfiles.find(p => p.id === id);
+    if (!profile) return;
+    setActiveProfileId(id);
+    setCalibrationParams({ ...DEFAULT_CALIBRATION, ...profile.calibration });
+    appendLog(`Calibration profile: ${profile.name} (${hashCalibration(profile.calibration)})`);
+  };
+
+  const addCalibrationProfile = (name, calibration) => {
+    const profile = createProfile(name, calibration, calibrationProfiles);
+    setCalibrationProfiles(ps => [...ps, profile]);
+    setActiveProfileId(profile.id);
+    setCalibrationParams({ ...DEFAULT_CALIBRATION, ...profile.calibration });
+  };
+
+  const deleteCalibrationProfile = () => {
+    if (!activeProfile || calibrationProfiles.length <= 1) return;
+    if (!window.confirm(`プロファイル「${activeProfile.name}」を削除しますか？`)) return;
+    const rest = calibrationProfiles.filter(p => p.id !== activeProfile.id);
+    setCalibrationProfiles(rest);
+    setActiveProfileId(rest[0].id);
+    setCalibrationParams({ ...DEFAULT_CALIBRATION, ...rest[0].calibration });
+  };
+
+  // Rename is committed on blur/Enter; empty and duplicate names are refused
+  const [profileNameDraft, setProfileNameDraft] = useState(null);
+  const renameCalibrationProfile = (name) => {
+    const trimmed = String(name || '').trim();
+    if (!activeProfile || trimmed === activeProfile.name) return;
+    if (!trimmed) {
+      triggerToast("プロファイル名を入力してください", "warning");
+      return;
+    }
+    if (calibrationProfiles.some(p => p.id !== activeProfileId && p.name === trimmed)) {
+      triggerToast(`「${trimmed}」は既にあります`, "warning");
+      return;
+    }
+    setCalibrationProfiles(ps => ps.map(p => p.id === activeProfileId ? { ...p, name: trimmed } : p));
+  };
+
+  const exportCalibrationProfiles = () => {
+    const blob = new Blob([serializeProfiles(calibrationProfiles)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `tubedrop-calibration-profiles-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    appendLog(`Exported ${calibrationProfiles.length} calibration profiles`);
+  };
+
+  const importCalibrationProfiles = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const imported = parseProfilesJson(JSON.parse(String(reader.result || "")), calibrationProfiles);
+        setCalibrationProfiles(ps => [...ps, ...imported]);
+        setActiveProfileId(imported[0].id);
+        setCalibrationParams({ ...DEFAULT_CALIBRATION, ...imported[0].calibration });
+        appendLog(`Imported ${imported.length} calibration profiles from ${file.name}`);
+        triggerToast("プロファイルを読み込みました", "success");
+      } catch (e) {
+        appendLog(`Profile import error: ${e?.message || e}`, { type: "error" });
+        triggerToast("プロファイルの読み込みに失敗しました", "error");
+      }
+    };
+    reader.onerror = () => {
+      triggerToast("ファイル読み込みエラー", "error");
+    };
+    reader.readAsText(file);
+  };
+
+  // EHD steps derived from the manual schedule (incl. flow-resistance correction)
+  const manualSteps = segmentsToEHDSteps(manualSegments, calibrationParams.feedSpeed, calibrationParams, manualTubeLengthCm);
+  const manualStepPlan = planStepBudget(manualSteps, targetCapacity);
+
+  // ----- Job queue (lib/jobQueue.js) -----
+  const [jobQueueState, setJobQueueState] = useState({ jobs: [], paused: false, delayMs: 0, readyAt: {} });
+  const [jobHistory, setJobHistory] = useState([]);
+  const [jobHistoryLoaded, setJobHistoryLoaded] = useState(false);
+  const [showJobQueue, setShowJobQueue] = useState(false);
+  const runJobRef = useRef(null);
+  const jobQueueRef = useRef(null);
+  if (!jobQueueRef.current) {
+    jobQueueRef.current = createJobQueue({
+      runJob: (job, ctx) => runJobRef.current(job, ctx),
+      onChange: setJobQueueState,
+      onFinish: (job) => {
+        setJobHistory(h => [job, ...h].slice(0, JOB_HISTORY_LIMIT));
+        appendLog(`Job "${job.name}" on ${job.deviceName}: ${job.status}${job.error ? ` (${job.error})` : ''}`, {
+          type: job.status === 'failed' ? "error" : "info",
+          deviceId: job.deviceId,
+          jobId: job.id,
+        });
+        if (job.status === 'done') triggerToast(`ジョブ完了: ${job.name}`, "success");
+        if (job.status === 'failed') triggerToast(`ジョブ失敗: ${job.name}（キューを一時停止しました）`, "error");
+      },
+    });
+  }
+
+  useEffect(() => {
+    setJobHistory(loadJobHistory());
+    setJobHistoryLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (jobHistoryLoaded) saveJobHistory(jobHistory);
+  }, [jobHistory, jobHistoryLoaded]);
+
+  // Upload, start and follow one job; the device log is captured into the job
+  runJobRef.current = async (job, { signal }) => {
+    const device = devices.find(d => d.id === job.deviceId);
+    if (!device) return { status: "failed", error: "Device was removed" };
+    const session = getSession(device);
+    const log = [];
+    let lastId = session.getState().logs.at(-1)?.id ?? 0;
+    const unsubscribe = session.subscribe((state) => {
+      for (const entry of state.logs) {
+        // Periodic status lines would drown the job log; payloads repeat msg and only bloat the history
+        if (entry.id > lastId && entry.type !== "status") log.push({ ...entry, payload: null });
+      }
+      lastId = state.logs.at(-1)?.id ?? lastId;
+    });
+    try {
+      if (session.getState().status !== "connected") throw new Error(`${device.name} is not connected`);
+      appendLog(`Job "${job.name}" starting on ${device.name}`, { deviceId: device.id, jobId: job.id });
+      const { ok, violations } = await session.sendSteps(job.steps, { source: job.source, jobId: job.id });
+      if (violations) throw new Error(`Safety limits: ${violations.map(v => v.message).join('; ')}`);
+      if (!ok) throw new Error("Upload failed");
+      if (signal.aborted) return { status: "cancelled", log };
+      session.start();
+      const end = await session.whenJobEnds({ signal });
+      if (end === "disconnected") throw new Error(`${device.name} disconnected`);
+      return { status: end === "finished" ? "done" : "cancelled", log };
+    } catch (e) {
+      return { status: "failed", error: e?.message || String(e), log };
+    } finally {
+      unsubscribe();
+    }
+  };
+
+  // One job per selected device
+  const queueJob = ({ name, source, steps, calibration = null }) => {
+    if (targetDevices.length === 0) {
+      triggerToast("送信先のデバイスを選択してください", "warning");
+      return;
+    }
+    if (!passesSafetyLimits(steps)) return;
+    for (const device of targetDevices) {
+      jobQueueRef.current.enqueue(createJob({
+        name,
+        source,
+        steps,
+        calibration,
+        profileName: calibration ? activeProfile?.name ?? null : null,
+        deviceId: device.id,
+        deviceName: device.name,
+      }));
+    }
+    appendLog(`Queued "${name}" on ${targetDevices.map(d => d.name).join(", ")}`);
+    setShowJobQueue(true);
+  };
+
+  const queuePattern = () => {
+    if (manualSteps.length === 0) {
+      triggerToast("キューに追加するパターンがありません", "warning");
+      return;
+    }
+    if (manualStepPlan.strategy === 'split' && !window.confirm(`${manualStepPlan.warning}.\n分割して実行しますか？`)) return;
+    queueJob({ name: `Manual • ${manualSegments.length} segments`, source: "manual", steps: manualSteps, calibration: calibrationParams });
+  };
+
+  const queueImportedPattern = () => {
+    if (!importedSteps || importedSteps.length === 0) {
+      triggerToast("インポートされたパターンがありません", "warning");
+      return;
+    }
+    queueJob({ name: importedMeta?.name || "Imported pattern", source: "imported", steps: importedSteps });
+  };
+
+  // Emergency stop: every device with a session, whatever is selected. The
+  // queue is paused first so no next job starts.
+  const emergencyStopAll = () => {
+    jobQueueRef.current.pause();
+    const sessions = [...sessionsRef.current.values()];
+    sessions.forEach(session => session.emergencyStop());
+    appendLog(`E-STOP: ${sessions.length} device${sessions.length === 1 ? '' : 's'} stopped, job queue paused`);
+    triggerToast("緊急停止しました（キューは一時停止中）", "error");
+  };
+  const emergencyStopRef = useRef(null);
+  emergencyStopRef.current = emergencyStopAll;
+
+  // Shift+Esc anywhere, before any other key handler (capture phase)
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape' && e.shiftKey) {
+        e.preventDefault();
+        e.stopPropagation();
+        emergencyStopRef.current();
+      }
+    };
+    window.addEventListener('keydown', onKey, true);
+    return () => window.removeEventListener('keydown', onKey, true);
+  }, []);
+
+  const requeueJob = (job) => {
+    const device = devices.find(d => d.id === job.deviceId);
+    if (!device) {
+      triggerToast(`デバイス「${job.deviceName}」は削除されています`, "warning");
+      return;
+    }
+    jobQueueRef.current.enqueue(createJob({ ...job, deviceName: device.name }));
+    appendLog(`Re-queued "${job.name}" on ${device.name}`);
+  };
+
+  // Rebuild the simulation when its steps or the calibration change
+  useEffect(() => {
+    const steps = simSource === 'manual' ? manualSteps : simSource === 'imported' ? importedSteps : null;
+    if (!steps || steps.length === 0) {
+      setSimulation(null);
+      setSimPlaying(false);
+      return;
+    }
+    const sim = simulateSteps(steps, { feedSpeedMmPerSec: calibrationParams.feedSpeed, calibration: calibrationParams });
+    setSimulation(sim);
+    setSimTimeMs(t => Math.min(t, sim.totalMs));
+  }, [simSource, manualSegments, manualTubeLengthCm, importedSteps, calibrationParams]);
+
+  // Playback clock (simulated ms per real ms = simSpeed)
+  useEffect(() => {
+    if (!simPlaying || !simulation) return;
+    let last = Date.now();
+    const id = setInterval(() => {
+      const now = Date.now();
+      const dt = (now - last) * simSpeed;
+      last = now;
+      setSimTimeMs(t => Math.min(simulation.totalMs, t + dt));
+    }, 50);
+    return () => clearInterval(id);
+  }, [simPlaying, simSpeed, simulation]);
+
+  useEffect(() => {
+    if (simPlaying && simulation && simTimeMs >= simulation.totalMs) setSimPlaying(false);
+  }, [simPlaying, simulation, simTimeMs]);
+
+  const toggleSimPlaying = () => {
+    if (!simulation) return;
+    if (!simPlaying && simTimeMs >= simulation.totalMs) setSimTimeMs(0);
+    setSimPlaying(p => !p);
+  };
+
+  // Live execution progress per device; the clock only ticks while one runs
+  // or the queue counts down a delay
+  const clockRunning = Object.values(deviceStates).some(s => s.deviceStatus?.patternActive && !s.deviceStatus.paused)
+    || Object.values(jobQueueState.readyAt).some(at => at > Date.now());
+  useEffect(() => {
+    if (!clockRunning) return;
+    setClockMs(Date.now());
+    const id = setInterval(() => setClockMs(Date.now()), 250);
+    return () => clearInterval(id);
+  }, [clockRunning]);
+  const deviceProgress = (state) => {
+    const { execution, deviceStatus } = state || {};
+    if (!execution) return null;
+    const activeStepIndex = deviceStatus?.patternActive ? execution.batchOffset + deviceStatus.currentStep : -1;
+    // While paused the step clock stands still at pausedAt
+    const intoStepMs = (state.pausedAt ?? clockMs) - state.stepStartedAt;
+    const progress = execution.finished ? executionProgress(execution.steps, execution.steps.length)
+      : executionProgress(execution.steps, activeStepIndex >= 0 ? activeStepIndex : execution.batchOffset, activeStepIndex >= 0 ? intoStepMs : 0);
+    return {
+      ...progress,
+      execution,
+      activeStepIndex,
+      activeStep: activeStepIndex >= 0 ? execution.steps[activeStepIndex] ?? null : null,
+      paused: !!deviceStatus?.paused,
+    };
+  };
+  // The focused device drives the highlight on the canvases
+  const focusedDevice = devices.find(d => d.id === focusedDeviceId) || null;
+  const focusedState = focusedDevice ? deviceStates[focusedDevice.id] : null;
+  const executionState = deviceProgress(focusedState);
+  const execution = executionState?.execution ?? null;
+  const activeStep = executionState?.activeStep ?? null;
+  const pendingBatchCount = focusedState?.pendingBatches ?? 0;
+  // Highlight on the tube canvases only for jobs built from the manual schedule
+  const liveStep = activeStep && execution.source === 'manual' && Number.isFinite(activeStep.startCm) ? activeStep : null;
+  const liveStartCm = liveStep ? liveStep.startCm : null;
+  const liveEndCm = liveStep ? liveStep.endCm : null;
+  const livePositionCm = liveStep && executionState.positionCm !== null ? Math.round(executionState.positionCm * 10) / 10 : null;
 
   // Update canvas size when physical units change
   useEffect(() => {
@@ -917,17 +1207,56 @@ export default function TubeDropDisplayMVP() {
     setCanvasH(newCanvasH);
   }, [physicalUnits.canvasWidthMm, physicalUnits.canvasHeightMm, mmPerPixel]);
 
-  // Derived
-  const minSpacingPx = minSpacingMm / mmPerPixel;
-  const widthMinPx = widthMinMm / mmPerPixel;
-  const widthMaxPx = widthMaxMm / mmPerPixel;
-
   // Signals & drops
   const [fSignal, setFSignal] = useState([]); // target along s
-  const [gSignal, setGSignal] = useState([]); // synthesized signal (normalized)
+  const [gSignal, setGSignal] = useState([]); // simulated signal after diffusion (normalized)
+  const [synthesisError, setSynthesisError] = useState(null); // { rmse, psnr } of f vs g
+  const [optimizeStale, setOptimizeStale] = useState(false); // OPTIMIZE inputs changed since the last solve
   const [dropSchedule, setDropSchedule] = useState([]); // array of {s_px, s_mm, t_ms, width_mm, amplitude}
   const [resampledPath, setResampledPath] = useState([]);
 
+  // Path check (lib/pathValidation.js): bend radius, self-overlap, canvas bounds
+  const [minBendRadiusMm, setMinBendRadiusMm] = useState(''); // '' = derived from the tube
+  const bendRadiusSetting = minBendRadiusMm === '' ? null : parseFloat(minBendRadiusMm);
+  const [showPathIssues, setShowPathIssues] = useState(true);
+  const [pathCheck, setPathCheck] = useState(null);
+
+  const checkPath = (pts) => validatePath(sampleCatmullRom(pts, 24), {
+    mmPerPixel,
+    physicalUnits,
+    minBendRadiusMm: bendRadiusSetting,
+  });
+
+  // Validation takes tens of ms on long paths: hold it while a control point
+  // is dragged and debounce other edits
+  useEffect(() => {
+    if (points.length < 2) {
+      setPathCheck(null);
+      return;
+    }
+    if (dragIdx !== -1) return;
+    const timer = setTimeout(() => setPathCheck(checkPath(points)), 200);
+    return () => clearTimeout(timer);
+  }, [points, mmPerPixel, physicalUnits, bendRadiusSetting, dragIdx]);
+
+  const roundPathCorners = () => {
+    if (!pathCheck) return;
+    const fixed = filletBendIssues(points, pathCheck.issues, mmToPx(pathCheck.minBendRadiusMm, mmPerPixel));
+    if (fixed.rounded === 0) {
+      triggerToast(`丸められる角がありません（${fixed.unfixed.length} 箇所は隣の点が近すぎます）`, "warning");
+      return;
+    }
+    const check = checkPath(fixed.points);
+    setPoints(fixed.points);
+    setPathCheck(check);
+    if (check.issues.length > 0) {
+      const left = check.issues.map(issue => issue.message).slice(0, 3).join(" / ");
+      triggerToast(`${fixed.rounded} 箇所を丸めましたが ${check.issues.length} 件の問題が残っています: ${left}`, "warning");
+    } else {
+      triggerToast(`角を丸めました（${fixed.rounded} 箇所）`, "success");
+    }
+  };
+
   // ----------------- Image/Text drawing to offscreen -----------------
   useEffect(() => {
     // Prepare an offscreen canvas to hold the target image/text
@@ -1140,7 +1469,28 @@ export default function TubeDropDisplayMVP() {
         ctx.strokeRect(endX - 3, tubeY - tubeRadius - 5, 6, 10);
       }
     });
-  }, [manualSegments, manualSelectedIdx, manualTubeLengthCm, manualEditorZoom]);
+
+    // 実行中のステップ（デバイスのstatusから）と現在位置
+    if (liveStartCm !== null) {
+      const startX = clamp(liveStartCm, 0, manualTubeLengthCm) * pxPerCm;
+      const endX = clamp(liveEndCm, liveStartCm, manualTubeLengthCm) * pxPerCm;
+      ctx.save();
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = '#fbbf24';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 3]);
+      ctx.strokeRect(startX, tubeY - tubeRadius - 8, endX - startX, tubeRadius * 2 + 16);
+      ctx.setLineDash([]);
+      if (livePositionCm !== null) {
+        const x = clamp(livePositionCm, 0, manualTubeLengthCm) * pxPerCm;
+        ctx.beginPath();
+        ctx.moveTo(x, tubeY - tubeRadius - 14);
+        ctx.lineTo(x, tubeY + tubeRadius + 14);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+  }, [manualSegments, manualSelectedIdx, manualTubeLengthCm, manualEditorZoom, liveStartCm, liveEndCm, livePositionCm]);
 
   // Manual editor pointer handlers
   const hitTestManualSegment = (mx, my) => {
@@ -1346,7 +1696,10 @@ export default function TubeDropDisplayMVP() {
   }, [manualSelectedIdx, isEditingNumeric]);
 
   // ----------------- Path sampling & signal synthesis -----------------
-  const recompute = () => {
+  // The OPTIMIZE solve takes about a second on long paths, so automatic
+  // recomputes only resample the target and the fit runs on demand (`solve`).
+  // Until then the last solved schedule stays on screen, marked stale
+  const recompute = (solve = false) => {
     console.log('recompute called:', {
       hasImgData: !!imgData,
       pointsLength: points.length,
@@ -1358,75 +1711,40 @@ export default function TubeDropDisplayMVP() {
       console.log('recompute: clearing signals - no imgData or points');
       setFSignal([]);
       setGSignal([]);
+      setSynthesisError(null);
       // 手動スケジュール使用時は dropSchedule をクリアしない
       if (!useManualSchedule) setDropSchedule([]);
       setResampledPath([]);
+      setOptimizeStale(false);
       return;
     }
 
-    // 1) Smooth sample along Catmull-Rom, then resample uniformly
-    const smooth = sampleCatmullRom(points, 24);
-    const uniform = resampleUniform(smooth, Math.max(1, sampleStepPx));
-    setResampledPath(uniform);
-
-    // 2) Sample image along path -> intensity in [0,1], where 1 means "ink"
-    // Convert image grayscale: intensity = 1 - gray
-    const f = uniform.map((p) => 1 - grayscaleAt(imgData, p.x, p.y));
-
-    // 3) Synthesize droplets according to mode
-    let drops = [];
-    let g = new Array(f.length).fill(0);
-
-    const stepPx = Math.max(minSpacingPx, sampleStepPx);
-    const stepIdx = Math.max(1, Math.round(stepPx / sampleStepPx));
-
-    if (mode === "PWM") {
-      const widthRangePx = Math.max(0, widthMaxPx - widthMinPx);
-      for (let i = 0; i < f.length; i += stepIdx) {
-        const v = clamp(f[i], 0, 1);
-        const wpx = widthMinPx + v * widthRangePx;
-        const wmm = wpx * mmPerPixel;
-        const s_px = i * sampleStepPx;
-        const s_mm = s_px * mmPerPixel;
-        const t_ms = (s_mm / feedSpeed) * 1000;
-        drops.push({ s_px, s_mm, t_ms, width_mm: wmm, amplitude: 1.0 });
-        g[i] = widthRangePx > 0 ? (wpx - widthMinPx) / widthRangePx : 0;
-      }
-    } else if (mode === "AM") {
-      const w0mm = 0.5 * (widthMinMm + widthMaxMm);
-      for (let i = 0; i < f.length; i += stepIdx) {
-        const v = clamp(f[i], 0, 1);
-        const s_px = i * sampleStepPx;
-        const s_mm = s_px * mmPerPixel;
-        const t_ms = (s_mm / feedSpeed) * 1000;
-        drops.push({ s_px, s_mm, t_ms, width_mm: w0mm, amplitude: v });
-        g[i] = v;
-      }
-    } else if (mode === "DITHER") {
-      // 1D Floyd–Steinberg style error diffusion to next 4 samples
-      const fCopy = f.slice();
-      const weights = [7 / 16, 5 / 16, 3 / 16, 1 / 16];
-      const w0mm = 0.5 * (widthMinMm + widthMaxMm);
-      for (let i = 0; i < fCopy.length; i++) {
-        const v = clamp(fCopy[i], 0, 1);
-        const out = v >= threshold ? 1 : 0;
-        const err = v - out;
-        g[i] = out;
-        for (let k = 1; k <= 4; k++) {
-          if (i + k < fCopy.length) fCopy[i + k] += err * weights[k - 1];
-        }
-        // Place droplets sparsely by stepIdx
-        if (i % stepIdx === 0 && out > 0) {
-          const s_px = i * sampleStepPx;
-          const s_mm = s_px * mmPerPixel;
-          const t_ms = (s_mm / feedSpeed) * 1000;
-          drops.push({ s_px, s_mm, t_ms, width_mm: w0mm, amplitude: 1.0 });
-        }
-      }
+    const params = {
+      mmPerPixel,
+      feedSpeed,
+      minSpacingMm,
+      widthMinMm,
+      widthMaxMm,
+      sigmaMm,
+      sampleStepPx,
+      threshold,
+      samplesPerSegment: 24,
+    };
+    if (mode === "OPTIMIZE" && !solve) {
+      const { path: uniform, f } = sampleTarget({ path: points, image: imgData, params });
+      setResampledPath(uniform);
+      setFSignal(f);
+      setOptimizeStale(true);
+      return;
     }
 
+    // Path sampling + synthesis run in the headless engine
+    const { path: uniform, f, g, drops, error } = synthesize({ path: points, image: imgData, mode, params });
+    setOptimizeStale(false);
+    setResampledPath(uniform);
     setFSignal(f);
     setGSignal(g);
+    setSynthesisError(error);
     // 手動スケジュール使用時は canvas 由来のドロップを上書きしない
     if (!useManualSchedule) setDropSchedule(drops);
 
@@ -1434,7 +1752,8 @@ export default function TubeDropDisplayMVP() {
       fSignalLength: f.length,
       gSignalLength: g.length,
       dropScheduleLength: drops.length,
-      resampledPathLength: uniform.length
+      resampledPathLength: uniform.length,
+      rmse: error.rmse
     });
   };
 
@@ -1456,7 +1775,7 @@ export default function TubeDropDisplayMVP() {
       ctx.restore();
     }
 
-    // Draw tube as hollow structure with blue fill only where it overlaps with content
+    // Draw tube as hollow structure filled with the scheduled drops
     // Use the same points array that includes both manual and pattern points
     if (points.length >= 2) {
       // Use the same resolution as manual points
@@ -1513,88 +1832,32 @@ export default function TubeDropDisplayMVP() {
         }
         ctx.stroke();
 
-        // Draw droplets where tube overlaps with content
-        if (offscreenRef.current && imgData) {
-          const imageData = imgData;
-          const data = imageData.data;
-
-          // Sample points along the tube centerline with higher density
-          const samplePoints = [];
-          for (let i = 0; i < tubeEdges.length; i++) {
-            const center = tubeEdges[i].center;
-            samplePoints.push(center);
-
-            // Add intermediate points for higher droplet density
-            if (i < tubeEdges.length - 1) {
-              const nextCenter = tubeEdges[i + 1].center;
-              const midX = (center.x + nextCenter.x) / 2;
-              const midY = (center.y + nextCenter.y) / 2;
-              samplePoints.push({ x: midX, y: midY });
-            }
-          }
-
-          // Draw droplets at points where tube overlaps with content
-          for (let i = 0; i < samplePoints.length; i++) {
-            const point = samplePoints[i];
-            const x = Math.floor(point.x);
-            const y = Math.floor(point.y);
-
-            // Check if point is within canvas bounds
-            if (x >= 0 && x < canvasW && y >= 0 && y < canvasH) {
-              const pixelIndex = (y * canvasW + x) * 4;
-              const r = data[pixelIndex];
-              const g = data[pixelIndex + 1];
-              const b = data[pixelIndex + 2];
-              const a = data[pixelIndex + 3];
-
-              // Calculate intensity (grayscale value)
-              const intensity = (r + g + b) / 3;
-
-               // Only draw droplet if there's content (not white background)
-               if (intensity < 240) { // Threshold to detect content vs background
-                 // Calculate droplet density based on intensity (darker = more droplets)
-                 const density = (255 - intensity) / 255; // 0 (white) to 1 (black)
-
-                 // Skip some droplets based on density to create sparse/dense effect
-                 const shouldDraw = Math.random() < density;
-
-                 if (shouldDraw) {
-                   const dropletSize = 4; // Fixed size for consistent appearance
-                   const alpha = 0.8; // Fixed alpha for consistent appearance
-
-                   ctx.save();
-
-                   // Draw droplet with vibrant blue color
-                   ctx.fillStyle = `rgba(0, 191, 255, ${alpha})`; // bright cyan blue
-                   ctx.beginPath();
-                   ctx.arc(point.x, point.y, dropletSize, 0, Math.PI * 2);
-                   ctx.fill();
-
-                   // Add inner highlight
-                   ctx.fillStyle = `rgba(135, 206, 250, ${alpha * 0.7})`; // light blue highlight
-                   ctx.beginPath();
-                   ctx.arc(point.x, point.y, dropletSize * 0.6, 0, Math.PI * 2);
-                   ctx.fill();
-
-                   // Add subtle glow effect
-                   ctx.shadowColor = `rgba(0, 191, 255, ${alpha * 0.4})`;
-                   ctx.shadowBlur = dropletSize * 1.2;
-                   ctx.fillStyle = `rgba(0, 191, 255, ${alpha * 0.3})`;
-                   ctx.beginPath();
-                   ctx.arc(point.x, point.y, dropletSize * 1.1, 0, Math.PI * 2);
-                   ctx.fill();
-
-                   ctx.restore();
-                 }
-               }
-            }
-          }
+        // Draw the drop schedule itself: each drop is a plug of liquid that
+        // fills the tube bore over width_mm, centred at s_mm along the path,
+        // with its amplitude as opacity. Same input, same picture.
+        const along = resampledPath.length > 1 ? resampledPath : resampleUniform(smooth, sampleStepPx);
+        ctx.save();
+        ctx.lineCap = "butt";
+        ctx.lineJoin = "round";
+        ctx.lineWidth = Math.max(1, tubeWidth);
+        for (const drop of dropSchedule) {
+          if (!(drop.amplitude > 0)) continue;
+          const centerPx = drop.s_mm / mmPerPixel;
+          const halfPx = Math.max(0.5, drop.width_mm / mmPerPixel / 2);
+          const plug = pathSlice(along, sampleStepPx, centerPx - halfPx, centerPx + halfPx);
+          if (plug.length < 2) continue;
+          ctx.strokeStyle = `rgba(0, 191, 255, ${clamp(drop.amplitude, 0, 1)})`;
+          ctx.beginPath();
+          ctx.moveTo(plug[0].x, plug[0].y);
+          for (let k = 1; k < plug.length; k++) ctx.lineTo(plug[k].x, plug[k].y);
+          ctx.stroke();
         }
+        ctx.restore();
+
+        if (showPathIssues && pathCheck?.issues.length) drawPathIssues(ctx, pathCheck, tubeWidth);
       }
     }
 
-    // Droplets are now represented by the blue fill in the tube where it overlaps with content
-
     // Draw content objects (only in content mode)
     if (viewMode === 'content') {
       contentObjects.forEach(obj => {
@@ -1698,7 +1961,7 @@ export default function TubeDropDisplayMVP() {
         }
       }
     }
-  }, [points, resampledPath, dropSchedule, sampleStepPx, mmPerPixel, hoverIdx, canvasW, canvasH, viewMode, contentObjects, selectedObjectId, patternMode, selectedPatternType, patternStartPoint, patternEndPoint, patternParams]);
+  }, [points, resampledPath, dropSchedule, sampleStepPx, mmPerPixel, physicalUnits.tubeDiameterMm, hoverIdx, canvasW, canvasH, viewMode, contentObjects, selectedObjectId, patternMode, selectedPatternType, patternStartPoint, patternEndPoint, patternParams, pathCheck, showPathIssues]);
 
   // ----------------- Drawing: tube visualization -----------------
   useEffect(() => {
@@ -1714,6 +1977,11 @@ export default function TubeDropDisplayMVP() {
 
     // Add error handling and validation
     try {
+      if (simulation) {
+        drawSimulatedTube(ctx, simulation, simulationAt(simulation, simTimeMs), { mmPerPixel, scale: tubeVisualizationScale || 1, dpr });
+        return;
+      }
+
       // Debug logging
       console.log('Tube Visualization render:', {
         pointsLength: points.length,
@@ -1791,8 +2059,8 @@ export default function TubeDropDisplayMVP() {
             let visible = false;
             let alpha = 0;
             let size = 0;
-            if (mode === "PWM") {
-              // PWM: presence when width > min => gVal > 0
+            if (mode === "PWM" || mode === "OPTIMIZE") {
+              // PWM / OPTIMIZE: presence wherever the diffused profile is non-zero
               visible = gVal > 0.001;
               alpha = Math.max(0.15, Math.min(1, gVal));
               size = 3 + 3 * gVal;
@@ -1826,6 +2094,27 @@ export default function TubeDropDisplayMVP() {
           }
         }
 
+      // Highlight the step the device is executing (tube cm -> path px)
+      if (liveStartCm !== null) {
+        const cmToX = (cm) => margin + ((cm * 10) / mmPerPixel) * scale;
+        const startX = cmToX(liveStartCm);
+        const endX = cmToX(liveEndCm);
+        ctx.save();
+        ctx.fillStyle = "rgba(251, 191, 36, 0.15)";
+        ctx.fillRect(startX, tubeY - tubeHeight / 2, endX - startX, tubeHeight);
+        ctx.strokeStyle = "#fbbf24";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(startX, tubeY - tubeHeight / 2, endX - startX, tubeHeight);
+        if (livePositionCm !== null) {
+          const x = cmToX(livePositionCm);
+          ctx.beginPath();
+          ctx.moveTo(x, tubeY - tubeHeight / 2 - 6);
+          ctx.lineTo(x, tubeY + tubeHeight / 2 + 6);
+          ctx.stroke();
+        }
+        ctx.restore();
+      }
+
       // Draw start and end markers
       ctx.fillStyle = "#10b981"; // green for start
       ctx.beginPath();
@@ -1863,6 +2152,10 @@ export default function TubeDropDisplayMVP() {
         ctx.fillText(`First: f=${firstF.toFixed(2)}, g=${firstG.toFixed(2)}`, margin, 65);
         ctx.fillText(`Last: f=${lastF.toFixed(2)}, g=${lastG.toFixed(2)}`, margin, 80);
       }
+      if (synthesisError) {
+        const psnrText = Number.isFinite(synthesisError.psnr) ? `${synthesisError.psnr.toFixed(1)}dB` : '∞';
+        ctx.fillText(`RMSE: ${synthesisError.rmse.toFixed(3)}, PSNR: ${psnrText} (σ=${sigmaMm}mm)`, margin, 95);
+      }
     } else {
       // Show message when no content or path
       const canvasWidth = 800; // Fixed width, independent of parent container
@@ -1921,7 +2214,7 @@ export default function TubeDropDisplayMVP() {
       ctx.textBaseline = "middle";
       ctx.fillText("Visualization Error - Please refresh", canvasWidth / 2, canvasHeight / 2);
     }
-  }, [points, resampledPath, dropSchedule, tubeVisualizationScale, imgData, fSignal, gSignal, mode, threshold, sampleStepPx]);
+  }, [points, resampledPath, dropSchedule, tubeVisualizationScale, imgData, fSignal, gSignal, synthesisError, sigmaMm, mode, threshold, sampleStepPx, mmPerPixel, liveStartCm, liveEndCm, livePositionCm, simulation, simTimeMs]);
 
 
   // ----------------- Pointer interactions -----------------
@@ -2086,9 +2379,14 @@ export default function TubeDropDisplayMVP() {
           setPatternStartPoint({ x, y });
         } else if (!patternEndPoint) {
           setPatternEndPoint({ x, y });
-          // Generate parallel points and REPLACE manual points (unify to manual)
-          const patternPoints = generatePatternPoints('parallel', patternStartPoint, { x, y }, patternParams);
+          // Generate pattern points and REPLACE manual points (unify to manual)
+          const { points: patternPoints, warning } = generatePattern(selectedPatternType, patternStartPoint, { x, y }, patternParams, { mmPerPixel, physicalUnits, image: patternImage, minBendRadiusMm: bendRadiusSetting });
           setPoints(patternPoints);
+          setPatternWarning(warning);
+          if (warning) triggerToast(warning, "warning");
+          if (patternPoints.length === 0 && activePatternGenerator?.usesImage) {
+            triggerToast("範囲内にコンテンツがありません", "warning");
+          }
         } else {
           // Reset and start over
           setPatternStartPoint({ x, y });
@@ -2437,7 +2735,16 @@ export default function TubeDropDisplayMVP() {
   };
 
   // ----------------- Export -----------------
+  // A stale OPTIMIZE schedule no longer matches the path or image
+  const refuseStaleSchedule = () => {
+    if (mode !== "OPTIMIZE" || !optimizeStale) return false;
+    appendLog("Export refused: the OPTIMIZE schedule is out of date", { type: "error" });
+    triggerToast("OPTIMIZE の結果が古いため書き出せません。Run OPTIMIZE を実行してください", "warning");
+    return true;
+  };
+
   const exportJSON = () => {
+    if (refuseStaleSchedule()) return;
     const payload = {
       curve_length_mm: (resampledPath.length * sampleStepPx) * mmPerPixel,
       feed_speed_mm_per_s: feedSpeed,
@@ -2452,6 +2759,10 @@ export default function TubeDropDisplayMVP() {
         width_range_mm: [widthMinMm, widthMaxMm],
         diffusion_sigma_mm: sigmaMm,
       },
+      error: synthesisError ? {
+        rmse: Number(synthesisError.rmse.toFixed(4)),
+        psnr_db: Number.isFinite(synthesisError.psnr) ? Number(synthesisError.psnr.toFixed(2)) : null,
+      } : null,
       mode,
       mm_per_pixel: mmPerPixel,
     };
@@ -2465,6 +2776,7 @@ export default function TubeDropDisplayMVP() {
   };
 
   const exportCSV = () => {
+    if (refuseStaleSchedule()) return;
     const header = ["s_mm", "t_ms", "width_mm", "amplitude"];
     const rows = dropSchedule.map((d) => [
       d.s_mm.toFixed(3),
@@ -2497,7 +2809,7 @@ export default function TubeDropDisplayMVP() {
       const tubeLength = Number.isFinite(json?.tubeLengthCm) ? json.tubeLengthCm : 30;
       const calib = json?.calibration || calibrationParams;
       const feed = Number.isFinite(calib?.feedSpeed) ? calib.feedSpeed : calibrationParams.feedSpeed;
-      const steps = segmentsToEHDSteps(segs, feed, 100, {
+      const steps = segmentsToEHDSteps(segs, feed, {
         denseCh0: calib?.denseCh0 ?? calibrationParams.denseCh0,
         denseDuration: calib?.denseDuration ?? calibrationParams.denseDuration,
         denseResistance: calib?.denseResistance ?? calibrationParams.denseResistance,
@@ -2506,6 +2818,8 @@ export default function TubeDropDisplayMVP() {
         sparseResistance: calib?.sparseResistance ?? calibrationParams.sparseResistance,
         ch1: calib?.ch1 ?? calibrationParams.ch1,
         feedSpeed: feed,
+        points: Array.isArray(calib?.points) ? calib.points : calibrationParams.points,
+        interpolation: calib?.interpolation ?? calibrationParams.interpolation,
       }, tubeLength);
       return steps;
     } catch (_) {
@@ -2539,7 +2853,7 @@ export default function TubeDropDisplayMVP() {
         const steps = extractStepsFromJson(json);
         if (!steps || steps.length === 0) {
           triggerToast("有効なステップが見つかりませんでした", "error");
-          appendLog("Import failed: no valid steps");
+          appendLog("Import failed: no valid steps", { type: "error" });
           setImportedSteps(null);
           setImportedMeta(null);
           return;
@@ -2554,7 +2868,7 @@ export default function TubeDropDisplayMVP() {
         triggerToast("JSONを読み込みました", "success");
       } catch (e) {
         triggerToast("JSONの読み込みに失敗しました", "error");
-        appendLog(`Import error: ${e?.message || e}`);
+        appendLog(`Import error: ${e?.message || e}`, { type: "error" });
       }
     };
     reader.onerror = () => {
@@ -2622,19 +2936,23 @@ export default function TubeDropDisplayMVP() {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [viewMode, selectedObjectId, hoverIdx, points.length, patternMode, editingTextId, contentObjects]);
 
-  // Regenerate pattern points when parameters change (parallel only)
+  // Regenerate pattern points when the type or its parameters change
   useEffect(() => {
     if (patternMode && patternStartPoint && patternEndPoint) {
-      const patternPoints = generatePatternPoints('parallel', patternStartPoint, patternEndPoint, patternParams);
+      const { points: patternPoints, warning } = generatePattern(selectedPatternType, patternStartPoint, patternEndPoint, patternParams, { mmPerPixel, physicalUnits, image: patternImage, minBendRadiusMm: bendRadiusSetting });
       setPoints(patternPoints);
+      setPatternWarning(warning);
+    } else {
+      setPatternWarning(null);
     }
-  }, [patternMode, patternStartPoint, patternEndPoint, patternParams]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [patternMode, patternStartPoint, patternEndPoint, patternParams, selectedPatternType, mmPerPixel, physicalUnits.tubeDiameterMm, physicalUnits.tubeWallThicknessMm, patternImage, bendRadiusSetting]);
 
   // Auto recompute when key params change
   useEffect(() => {
     recompute();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [points, imgData, mode, mmPerPixel, feedSpeed, minSpacingMm, widthMinMm, widthMaxMm, sampleStepPx, threshold, contentObjects]);
+  }, [points, imgData, mode, mmPerPixel, feedSpeed, minSpacingMm, widthMinMm, widthMaxMm, sigmaMm, sampleStepPx, threshold, contentObjects]);
 
   // Responsive sizing in canvas preview environment
   useEffect(() => {
@@ -2680,37 +2998,59 @@ export default function TubeDropDisplayMVP() {
              <p className="text-white/60 text-lg">Draw 2D with a single tube → Synthesize & visualize 1D droplet schedule</p>
            </div>
            <div className="flex items-center gap-6">
-             {/* ESP32 Connection Panel */}
+             <button
+               onClick={emergencyStopAll}
+               className="px-6 py-4 rounded-xl bg-red-600 text-white font-bold tracking-wider border-2 border-red-300 shadow-lg shadow-red-900/50 hover:bg-red-500 active:bg-red-700"
+               title="Emergency stop all devices and zero every channel (Shift+Esc)"
+             >
+               E-STOP
+               <span className="block text-[10px] font-medium tracking-normal text-red-100/80">Shift+Esc</span>
+             </button>
+             {/* Device summary; the full registry opens below the header */}
              <div className="bg-black/40 border border-white/10 rounded-xl p-4 flex items-center gap-4">
-               <div className="flex items-center gap-2">
-                 <span className="text-white/70 text-sm font-medium">ESP32 IP:</span>
+               <button
+                 onClick={() => setShowDevicePanel(v => !v)}
+                 className="px-4 py-2 rounded-lg text-sm font-medium border transition-colors bg-white/20 text-white border-white/30 hover:bg-white/30"
+               >{showDevicePanel ? 'Hide Devices' : `Devices (${devices.length})`}</button>
+               <div className="flex items-center gap-2" title="Drop and reconnect when a device sends nothing for this long (applies on next connect)">
+                 <span className="text-white/70 text-sm font-medium">Timeout (s):</span>
                  <input
-                   type="text"
-                   className="input-field w-32 text-center text-sm"
-                   placeholder="192.168.0.x"
-                   value={espIp}
-                   onChange={(e) => setEspIp(e.target.value.trim())}
+                   type="number"
+                   className="input-field w-14 text-center text-sm"
+                   min={1}
+                   step={1}
+                   value={heartbeatTimeoutMs / 1000}
+                   onChange={(e) => setHeartbeatTimeoutMs(Math.max(1, parseFloat(e.target.value) || 1) * 1000)}
                  />
                </div>
-               {wsStatus !== "connected" ? (
-                 <button
-                   onClick={connectWs}
-                   disabled={wsStatus === "connecting"}
-                   className={`px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${wsStatus === "connecting" ? 'bg-white/10 text-white/50 border-white/10 cursor-not-allowed' : 'bg-white/20 text-white border-white/30 hover:bg-white/30'}`}
-                 >{wsStatus === "connecting" ? 'Connecting…' : 'Connect'}</button>
-               ) : (
-                 <button
-                   onClick={disconnectWs}
-                   className="px-4 py-2 rounded-lg text-sm font-medium bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 transition-colors"
-                 >Disconnect</button>
-               )}
-               <div className={`text-xs px-3 py-1 rounded-full font-medium ${wsStatus === 'connected' ? 'bg-emerald-600/30 text-emerald-200' : wsStatus === 'connecting' ? 'bg-yellow-600/30 text-yellow-200' : 'bg-white/10 text-white/60'}`}>
-                 {wsStatus === 'connected' ? `Connected: ${espIp}` : wsStatus === 'connecting' ? 'Connecting...' : 'No device'}
+               <div className={`text-xs px-3 py-1 rounded-full font-medium ${connectedCount > 0 ? 'bg-emerald-600/30 text-emerald-200' : reconnectingCount > 0 ? 'bg-yellow-600/30 text-yellow-200' : 'bg-white/10 text-white/60'}`}>
+                 {targetDevices.length === 0
+                   ? 'No device'
+                   : `${targetDevices.length} selected • ${connectedCount} connected${reconnectingCount > 0 ? ` • ${reconnectingCount} reconnecting` : ''}`}
                </div>
              </div>
            </div>
          </header>
 
+        {showDevicePanel && (
+          <DevicePanel
+            devices={devices}
+            deviceStates={deviceStates}
+            selectedIds={selectedDeviceIds}
+            focusedId={focusedDeviceId}
+            onAdd={addDevice}
+            onUpdate={updateDevice}
+            onRemove={removeDevice}
+            onToggleSelected={toggleDeviceSelected}
+            onFocus={setFocusedDeviceId}
+            onConnect={connectDevice}
+            onDisconnect={disconnectDevice}
+            onStop={(device) => getSession(device).stop()}
+            onCapacityChange={setDeviceCapacity}
+            onSafetyLimitsChange={setDeviceSafetyLimits}
+          />
+        )}
+
         {/* Main Layout */}
         <div className="flex gap-6">
           {/* Left Sidebar - Controls */}
@@ -3044,6 +3384,64 @@ export default function TubeDropDisplayMVP() {
               </div>
             )}
 
+            {/* Synthesis Controls */}
+            {viewMode === 'display' && (
+              <div className="space-y-6 mb-6">
+                <div>
+                  <label className="block text-sm font-medium text-white/80 mb-3">Synthesis Mode</label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {SYNTHESIS_MODES.map((m) => (
+                      <button
+                        key={m}
+                        onClick={() => setMode(m)}
+                        className={`px-3 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
+                          mode === m
+                            ? 'bg-white/20 text-white border border-white/30'
+                            : 'bg-black/40 text-white/60 border border-white/10 hover:bg-black/60 hover:text-white/80'
+                        }`}
+                      >
+                        {m}
+                      </button>
+                    ))}
+                  </div>
+                  {mode === 'OPTIMIZE' && (
+                    <p className="text-xs text-white/50 mt-2">
+                      Fits droplet positions/widths to the target through the diffusion model (spacing ≥ {minSpacingMm}mm, width {widthMinMm}–{widthMaxMm}mm)
+                    </p>
+                  )}
+                  {mode === 'OPTIMIZE' && (
+                    <button
+                      onClick={() => recompute(true)}
+                      disabled={!optimizeStale}
+                      className="mt-2 w-full px-3 py-2 rounded-lg text-sm font-medium bg-purple-600/40 text-purple-100 border border-purple-400/30 hover:bg-purple-600/60 disabled:opacity-40"
+                    >
+                      {optimizeStale ? 'Run OPTIMIZE' : 'Optimized'}
+                    </button>
+                  )}
+                  {mode === 'OPTIMIZE' && optimizeStale && dropSchedule.length > 0 && (
+                    <p className="text-xs text-amber-300/80 mt-1">
+                      Showing the last solved schedule — out of date until OPTIMIZE runs again
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-white/70 mb-1">
+                    Diffusion σ: {sigmaMm.toFixed(2)}mm
+                  </label>
+                  <input
+                    type="range"
+                    min={0}
+                    max={2}
+                    step={0.01}
+                    value={sigmaMm}
+                    onChange={(e) => setSigmaMm(parseFloat(e.target.value))}
+                    className="w-full h-2 bg-black/40 rounded-lg appearance-none cursor-pointer slider"
+                  />
+                  <p className="text-xs text-white/50 mt-2">Spread of each droplet along the tube, used to simulate g from the drop schedule</p>
+                </div>
+              </div>
+            )}
+
             {/* Path Pattern Controls */}
             {viewMode === 'path' && (
               <div className="space-y-6 mb-6">
@@ -3074,24 +3472,73 @@ export default function TubeDropDisplayMVP() {
                   </div>
                 </div>
 
+                {/* Path Check */}
+                <div className="p-3 bg-black/20 border border-white/10 rounded-lg space-y-2">
+                  <div className="flex items-center justify-between">
+                    <label className="text-sm font-medium text-white/80">Path Check</label>
+                    <span className={`text-xs ${pathCheck?.issues.length ? 'text-amber-300' : 'text-emerald-300'}`}>
+                      {!pathCheck ? '—' : pathCheck.issues.length ? `${pathCheck.issues.length} issue${pathCheck.issues.length === 1 ? '' : 's'}` : 'OK'}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2 text-xs text-white/70">
+                    <label htmlFor="min-bend-radius">Min bend radius (mm)</label>
+                    <input
+                      id="min-bend-radius"
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      className="input-field w-20 text-sm"
+                      placeholder={defaultMinBendRadiusMm(physicalUnits).toFixed(2)}
+                      value={minBendRadiusMm}
+                      onChange={(e) => setMinBendRadiusMm(e.target.value)}
+                      title="空欄のときはチューブ外径から算出"
+                    />
+                    <label className="ml-auto flex items-center gap-1">
+                      <input type="checkbox" checked={showPathIssues} onChange={(e) => setShowPathIssues(e.target.checked)} />
+                      Highlight
+                    </label>
+                  </div>
+                  {pathCheck?.issues.length > 0 && (
+                    <ul className="max-h-32 overflow-y-auto text-xs space-y-0.5">
+                      {pathCheck.issues.map((issue, i) => (
+                        <li key={i} className="flex gap-2 text-white/70">
+                          <span className="uppercase shrink-0" style={{ color: PATH_ISSUE_COLORS[issue.kind] }}>{issue.kind}</span>
+                          <span>{issue.message}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <button
+                    onClick={roundPathCorners}
+                    disabled={!pathCheck?.issues.some(issue => issue.kind === 'bend')}
+                    className="w-full px-3 py-2 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs disabled:opacity-40"
+                    title="曲げ半径を満たさない角を許容半径のフィレットで丸める"
+                  >
+                    Round Tight Corners
+                  </button>
+                </div>
+
                 {/* Pattern Type Selection */}
                 {patternMode && (
                   <div>
                     <label className="block text-sm font-medium text-white/80 mb-3">Pattern Type</label>
                     <div className="grid grid-cols-1 gap-2">
+                      {listPatternGenerators().map((gen) => (
                         <button
-                        onClick={() => setSelectedPatternType('parallel')}
+                          key={gen.id}
+                          onClick={() => setSelectedPatternType(gen.id)}
                           className={`px-3 py-2 rounded-lg text-sm font-medium transition-all duration-200 ${
-                          selectedPatternType === 'parallel'
+                            selectedPatternType === gen.id
                               ? 'bg-white/20 text-white border border-white/30'
                               : 'bg-black/40 text-white/60 border border-white/10 hover:bg-black/60 hover:text-white/80'
                           }`}
                         >
                           <div className="flex items-center gap-2">
-                          <span>||</span>
-                          <span>Parallel</span>
+                            <span>{gen.icon}</span>
+                            <span>{gen.label}</span>
                           </div>
                         </button>
+                      ))}
                     </div>
                   </div>
                 )}
@@ -3107,64 +3554,50 @@ export default function TubeDropDisplayMVP() {
                           <p>2. 再度クリックして終点を設定</p>
                           <p>3. パラメータを調整してパターンを生成</p>
                           <p>4. 黄色の点が制御点、白い線がチューブ</p>
-                          {selectedPatternType === 'zigzag' && <p>5. Zigzag: 上下に折り返すパターン</p>}
-                          {selectedPatternType === 'parallel' && <p>5. Parallel: 始点と終点の間を折り返し数で分割し、上下に交互に点を打つ</p>}
-                          {selectedPatternType === 'wave' && <p>5. Wave: 波状パターン</p>}
+                          {activePatternGenerator && <p>5. {activePatternGenerator.label}: {activePatternGenerator.description}</p>}
                         </div>
+                        {patternWarning && (
+                          <div className="text-xs text-amber-200 bg-amber-500/10 border border-amber-400/30 p-3 rounded-lg">
+                            ⚠ {patternWarning}
+                          </div>
+                        )}
 
-                        {/* Fold Count (for parallel pattern only) */}
-                        {selectedPatternType === 'parallel' && (
-                          <div>
+                        {/* Fields from the generator's parameter schema (lib/patterns.js) */}
+                        {(activePatternGenerator?.params || []).map((param) => (
+                          <div key={param.key}>
                             <label className="block text-xs font-medium text-white/70 mb-1">
-                             Folds: {patternParams.topFolds}
+                              {param.label}: {patternParams[param.key]}{param.unit || ''}
                             </label>
                             <input
                               type="range"
-                              min={1}
-                              max={20}
-                              step={1}
-                              value={patternParams.topFolds}
-                              onChange={(e) => setPatternParams(prev => ({ ...prev, topFolds: parseInt(e.target.value) }))}
+                              min={param.min}
+                              max={param.max}
+                              step={param.step}
+                              value={patternParams[param.key] ?? param.default}
+                              onChange={(e) => setPatternParams(prev => ({ ...prev, [param.key]: parseFloat(e.target.value) }))}
                               className="w-full h-2 bg-black/40 rounded-lg appearance-none cursor-pointer slider"
                             />
-                            <div className="mt-3 grid grid-cols-2 gap-2">
-                              <button
-                                onClick={() => {
-                                  // Build parallel path with fixed 15cm margins
-                                  if (!patternStartPoint || !patternEndPoint) return;
-                                  const pts = generateParallelWithMargins(patternStartPoint, patternEndPoint, patternParams, mmPerPixel, physicalUnits);
-                                  setPoints(pts);
-                                }}
-                                className="px-3 py-2 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
-                              >
-                                Apply 15cm Margins
-                              </button>
-                              <button
-                                onClick={generateThirtyVerticalTubes}
-                                className="px-3 py-2 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
-                              >
-                                Generate 30 Vertical Tubes
-                              </button>
-                            </div>
                           </div>
+                        ))}
+
+                        {selectedObjectId && contentObjects.some(obj => obj.id === selectedObjectId) && (
+                          <button
+                            onClick={fillSelectedObject}
+                            className="w-full px-3 py-2 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                            title="選択中のオブジェクトの外接矩形を始点・終点にする"
+                          >
+                            Fill Selected Object
+                          </button>
                         )}
 
-                        {/* Tube Spacing (Physical) */}
-                        <div>
-                          <label className="block text-xs font-medium text-white/70 mb-1">
-                           Tube Spacing: {physicalPatternParams.tubeSpacingMm.toFixed(1)}mm
-                          </label>
-                          <input
-                            type="range"
-                            min={0.5}
-                            max={10}
-                            step={0.1}
-                            value={physicalPatternParams.tubeSpacingMm}
-                            onChange={(e) => setPhysicalPatternParams(prev => ({ ...prev, tubeSpacingMm: parseFloat(e.target.value) }))}
-                            className="w-full h-2 bg-black/40 rounded-lg appearance-none cursor-pointer slider"
-                          />
-                        </div>
-                        {/* Remove wave-specific params */}
+                        {selectedPatternType === 'parallel' && (
+                          <button
+                            onClick={generateThirtyVerticalTubes}
+                            className="w-full px-3 py-2 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                          >
+                            Generate 30 Vertical Tubes
+                          </button>
+                        )}
                             </div>
                             </div>
                 )}
@@ -3244,6 +3677,13 @@ export default function TubeDropDisplayMVP() {
                     if (e.target) e.target.value = '';
                   }}
                 />
+                <button
+                  onClick={() => setShowDevicePanel(true)}
+                  className="text-xs text-white/50 hover:text-white/80 max-w-48 truncate"
+                  title="Devices that receive Send / Start / Stop"
+                >
+                  → {targetDevices.length > 0 ? targetDevices.map(d => d.name).join(', ') : 'No device selected'}
+                </button>
                 <button
                   onClick={() => fileInputRef.current?.click()}
                   className="px-4 py-2 rounded-lg bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-sm font-medium transition-colors"
@@ -3255,7 +3695,7 @@ export default function TubeDropDisplayMVP() {
                   onClick={sendImportedPattern}
                   disabled={!importedSteps || importedSteps.length === 0}
                   className={`px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${(!importedSteps || importedSteps.length === 0) ? 'bg-white/10 text-white/40 border-white/10 cursor-not-allowed' : 'bg-white/20 text-white border-white/30 hover:bg-white/30'}`}
-                  title="Send imported steps to device"
+                  title="Send imported steps to the selected devices"
                 >
                   Send Imported
                 </button>
@@ -3269,10 +3709,44 @@ export default function TubeDropDisplayMVP() {
                 <button
                   onClick={sendPattern}
                   className="px-4 py-2 rounded-lg bg-white/20 text-white border border-white/30 hover:bg-white/30 text-sm font-medium transition-colors"
-                  title="Send pattern to device"
+                  title="Send pattern to the selected devices"
                 >
                   Send Pattern
                 </button>
+                <button
+                  onClick={sendPatternAndStart}
+                  className="px-4 py-2 rounded-lg bg-emerald-600/20 text-emerald-100 border border-emerald-400/30 hover:bg-emerald-600/40 text-sm font-medium transition-colors"
+                  title="Send the pattern and start it on every selected device as soon as its upload is confirmed"
+                >
+                  Send & Start
+                </button>
+                <button
+                  onClick={queuePattern}
+                  className="px-4 py-2 rounded-lg bg-sky-600/20 text-sky-100 border border-sky-400/30 hover:bg-sky-600/40 text-sm font-medium transition-colors"
+                  title="Add the pattern to the job queue of every selected device"
+                >
+                  Queue Pattern
+                </button>
+                <button
+                  onClick={queueImportedPattern}
+                  disabled={!importedSteps || importedSteps.length === 0}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${(!importedSteps || importedSteps.length === 0) ? 'bg-white/10 text-white/40 border-white/10 cursor-not-allowed' : 'bg-sky-600/20 text-sky-100 border-sky-400/30 hover:bg-sky-600/40'}`}
+                  title="Add the imported steps to the job queue of every selected device"
+                >
+                  Queue Imported
+                </button>
+                <button
+                  onClick={() => setShowJobQueue(v => !v)}
+                  className="px-4 py-2 rounded-lg bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-sm font-medium transition-colors"
+                >
+                  {showJobQueue ? 'Hide Queue' : `Queue (${jobQueueState.jobs.length})`}
+                </button>
+                <button
+                  onClick={() => setShowLogConsole(v => !v)}
+                  className="px-4 py-2 rounded-lg bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-sm font-medium transition-colors"
+                >
+                  {showLogConsole ? 'Hide Log' : `Log${wsLogs.some(e => e.type === 'error') ? ' ⚠' : ''}`}
+                </button>
                 {/* Execute button removed to simplify flow (Import/Send/Start) */}
                 <button
                   onClick={sendStart}
@@ -3281,6 +3755,20 @@ export default function TubeDropDisplayMVP() {
                 >
                   Start
                 </button>
+                <button
+                  onClick={sendPause}
+                  className="px-4 py-2 rounded-lg bg-amber-600/20 text-amber-100 border border-amber-400/30 hover:bg-amber-600/40 text-sm font-medium transition-colors"
+                  title="Pause at the current step (pumps off)"
+                >
+                  Pause
+                </button>
+                <button
+                  onClick={sendResume}
+                  className="px-4 py-2 rounded-lg bg-emerald-600/20 text-emerald-100 border border-emerald-400/30 hover:bg-emerald-600/40 text-sm font-medium transition-colors"
+                  title="Resume from the current step"
+                >
+                  Resume
+                </button>
                 <button
                   onClick={sendStop}
                   className="px-4 py-2 rounded-lg bg-rose-600/40 text-rose-100 border border-rose-400/30 hover:bg-rose-600/60 text-sm font-medium transition-colors"
@@ -3291,6 +3779,94 @@ export default function TubeDropDisplayMVP() {
               </div>
             </div>
           </div>
+          {showJobQueue && (
+            <JobQueuePanel
+              queue={jobQueueState}
+              history={jobHistory}
+              now={clockMs || Date.now()}
+              onPause={() => jobQueueRef.current.pause()}
+              onResume={() => jobQueueRef.current.resume()}
+              onCancel={(id) => jobQueueRef.current.cancel(id)}
+              onMove={(id, delta) => jobQueueRef.current.move(id, delta)}
+              onDelayChange={(ms) => jobQueueRef.current.setDelay(ms)}
+              onSkipWait={(deviceId) => jobQueueRef.current.skipWait(deviceId)}
+              onRequeue={requeueJob}
+              onClearHistory={() => window.confirm('ジョブ履歴をすべて削除しますか？') && setJobHistory([])}
+            />
+          )}
+          {showLogConsole && (
+            <LogConsole
+              entries={wsLogs}
+              devices={devices}
+              onClear={() => setWsLogs([])}
+            />
+          )}
+          {/* Live execution progress, one bar per device with a job */}
+          {devices.some(d => deviceStates[d.id]?.execution) && (
+            <div className="mb-4 p-3 bg-black/40 border border-white/10 rounded-lg space-y-3">
+              {devices.filter(d => deviceStates[d.id]?.execution).map((device) => {
+                const progress = deviceProgress(deviceStates[device.id]);
+                const { execution: job, activeStepIndex: index, activeStep: step, paused } = progress;
+                const queued = deviceStates[device.id].pendingBatches;
+                const session = sessionsRef.current.get(device.id);
+                return (
+                  <div key={device.id}>
+                    <div className="flex items-center justify-between text-xs text-white/70 mb-2">
+                      <span>
+                        <button
+                          onClick={() => setFocusedDeviceId(device.id)}
+                          className={`mr-2 font-medium ${device.id === focusedDeviceId ? 'text-amber-200' : 'text-white/80 hover:text-white'}`}
+                          title="Show this device's job on the canvases"
+                        >{device.name}</button>
+                        {job.finished
+                          ? 'Finished'
+                          : index >= 0
+                            ? `${paused ? 'Paused at step' : 'Step'} ${index + 1}/${job.steps.length}${step?.kind ? ` (${step.kind})` : ''}`
+                            : 'Waiting for device'}
+                        {queued > 0 && ` • ${queued} batches queued`}
+                      </span>
+                      <span className="flex items-center gap-1">
+                        {paused ? (
+                          <>
+                            <button onClick={() => session?.resume()} className="px-2 py-0.5 rounded bg-emerald-600/30 text-emerald-100 border border-emerald-400/30 hover:bg-emerald-600/50">Resume</button>
+                            <button onClick={() => session?.stepOnce()} className="px-2 py-0.5 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20" title="Run this step, then pause again">Step</button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => session?.pause()}
+                            disabled={index < 0}
+                            className="px-2 py-0.5 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 disabled:opacity-40"
+                          >Pause</button>
+                        )}
+                        <input
+                          type="number"
+                          className="input-field w-16 text-center text-xs"
+                          min={1}
+                          max={job.steps.length}
+                          placeholder="#"
+                          title="Step to continue from; Enter to seek"
+                          onKeyDown={(e) => {
+                            if (e.key !== 'Enter') return;
+                            const target = parseInt(e.currentTarget.value);
+                            if (target >= 1 && target <= job.steps.length) session?.seek(target - 1);
+                          }}
+                        />
+                      </span>
+                      <span className="font-mono">
+                        {formatDuration(progress.elapsedMs)} elapsed • {formatDuration(progress.remainingMs)} remaining
+                      </span>
+                    </div>
+                    <div className="h-2 bg-white/10 rounded-full overflow-hidden">
+                      <div
+                        className={`h-full ${job.finished ? 'bg-emerald-400' : 'bg-amber-400'}`}
+                        style={{ width: `${(progress.fraction * 100).toFixed(1)}%` }}
+                      />
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
           <div className="text-sm text-white/60 mb-4">
             {viewMode === 'content' && 'Select tools to add objects • Click to select/drag • Double-click text to edit • Right-click to delete'}
             {viewMode === 'path' && (
@@ -3338,8 +3914,27 @@ export default function TubeDropDisplayMVP() {
             </div>
             <div className="flex items-center gap-4">
               <div className="metric-display">
-                Straightened View
+                {simulation ? 'Simulated Print' : 'Straightened View'}
               </div>
+              <select
+                className="input-field text-sm"
+                value={simSource || ''}
+                onChange={(e) => {
+                  setSimSource(e.target.value || null);
+                  setSimTimeMs(0);
+                  setSimPlaying(false);
+                }}
+                title="Dry run EHD steps on a virtual tube, using the current calibration"
+              >
+                <option value="">Simulate: off</option>
+                <option value="manual">Simulate: manual steps</option>
+                <option value="imported" disabled={!importedSteps || importedSteps.length === 0}>Simulate: imported steps</option>
+              </select>
+              {synthesisError && (
+                <div className="metric-display" title="Target f vs. diffused droplet profile g">
+                  RMSE {synthesisError.rmse.toFixed(3)} • PSNR {Number.isFinite(synthesisError.psnr) ? `${synthesisError.psnr.toFixed(1)} dB` : '∞'}
+                </div>
+              )}
               <div className="flex items-center gap-2">
                 <span className="text-white/60 text-sm">Scale:</span>
                 <input
@@ -3355,8 +3950,40 @@ export default function TubeDropDisplayMVP() {
               </div>
             </div>
           </div>
+          {simSource && (
+            <div className="flex items-center gap-3 mb-3 text-sm">
+              <button
+                onClick={toggleSimPlaying}
+                disabled={!simulation}
+                className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs disabled:opacity-40"
+              >
+                {simPlaying ? 'Pause' : 'Play'}
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={simulation?.totalMs || 0}
+                step={10}
+                value={simTimeMs}
+                disabled={!simulation}
+                onChange={(e) => setSimTimeMs(parseFloat(e.target.value))}
+                className="flex-1 h-2 bg-white/20 rounded-lg appearance-none cursor-pointer"
+              />
+              <span className="text-white/70 font-mono text-xs w-24 text-right">
+                {formatDuration(simTimeMs)} / {formatDuration(simulation?.totalMs || 0)}
+              </span>
+              <select className="input-field text-sm" value={simSpeed} onChange={(e) => setSimSpeed(parseFloat(e.target.value))}>
+                {[0.5, 1, 2, 5, 10, 50].map(v => <option key={v} value={v}>{v}×</option>)}
+              </select>
+              {!simulation && <span className="text-white/50 text-xs">No steps to simulate</span>}
+            </div>
+          )}
           <p className="text-sm text-white/60 mb-4">
-            Straightened tube showing droplet flow from start to end (scroll horizontally to see full length)
+            {simulation
+              ? simulation.densityMeasured
+                ? `Dry run at ${calibrationParams.feedSpeed} mm/s with the current calibration; drops appear as the tube passes the nozzle`
+                : `Dry run at ${calibrationParams.feedSpeed} mm/s; drop spacing is the default estimate until the calibration wizard measures droplet density`
+              : 'Straightened tube showing droplet flow from start to end (scroll horizontally to see full length)'}
           </p>
           <div className="relative overflow-x-auto border border-white/10 rounded-lg">
             <div className="inline-block">
@@ -3451,7 +4078,93 @@ export default function TubeDropDisplayMVP() {
           {/* Calibration Panel */}
           {showCalibration && (
             <div className="mb-4 p-4 bg-purple-900/20 rounded-lg border border-purple-400/20">
-              <h4 className="text-purple-100 font-medium mb-3">EHD Calibration Parameters</h4>
+              <div className="flex items-center justify-between mb-3">
+                <h4 className="text-purple-100 font-medium">EHD Calibration Parameters</h4>
+                <button
+                  onClick={() => setShowCalibrationWizard(!showCalibrationWizard)}
+                  className="px-3 py-1 rounded bg-purple-600/40 text-purple-100 border border-purple-400/30 hover:bg-purple-600/60 text-xs"
+                  title="Print a test strip and fit the parameters from measurements"
+                >
+                  {showCalibrationWizard ? 'Close' : 'Open'} Wizard
+                </button>
+              </div>
+
+              {/* Calibration profiles */}
+              <div className="mb-4 flex flex-wrap items-center gap-2">
+                <label className="text-purple-300 text-xs">Profile</label>
+                <select
+                  className="input-field text-xs py-1"
+                  value={activeProfileId ?? ''}
+                  onChange={(e) => switchCalibrationProfile(e.target.value)}
+                >
+                  {calibrationProfiles.map((p) => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  className="input-field text-xs py-1 w-40"
+                  value={profileNameDraft ?? activeProfile?.name ?? ''}
+                  placeholder="Profile name"
+                  title="Rename profile"
+                  onFocus={() => {
+                    setIsEditingNumeric(true);
+                    setProfileNameDraft(activeProfile?.name ?? '');
+                  }}
+                  onBlur={() => {
+                    setIsEditingNumeric(false);
+                    renameCalibrationProfile(profileNameDraft);
+                    setProfileNameDraft(null);
+                  }}
+                  onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                  onChange={(e) => setProfileNameDraft(e.target.value)}
+                />
+                <span className="text-purple-300/70 text-xs font-mono" title="Calibration hash recorded in exported patterns">
+                  #{hashCalibration(calibrationParams)}
+                </span>
+                <button
+                  onClick={() => addCalibrationProfile('New profile', calibrationParams)}
+                  className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                  title="New profile starting from the current parameters"
+                >
+                  New
+                </button>
+                <button
+                  onClick={() => addCalibrationProfile(`${activeProfile?.name ?? 'Profile'} copy`, calibrationParams)}
+                  className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                >
+                  Duplicate
+                </button>
+                <button
+                  onClick={deleteCalibrationProfile}
+                  disabled={calibrationProfiles.length <= 1}
+                  className="px-3 py-1 rounded bg-rose-600/30 text-rose-100 border border-rose-400/30 hover:bg-rose-600/50 text-xs disabled:opacity-40"
+                >
+                  Delete
+                </button>
+                <button
+                  onClick={() => profileImportRef.current?.click()}
+                  className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                >
+                  Import
+                </button>
+                <button
+                  onClick={exportCalibrationProfiles}
+                  className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                >
+                  Export
+                </button>
+                <input
+                  ref={profileImportRef}
+                  type="file"
+                  accept="application/json,.json"
+                  className="hidden"
+                  onChange={(e) => {
+                    importCalibrationProfiles(e.target.files?.[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </div>
               <div className="grid grid-cols-2 gap-6">
                 <div>
                   <h5 className="text-purple-200 text-sm font-medium mb-2">Dense (Level 10)</h5>
@@ -3479,7 +4192,7 @@ export default function TubeDropDisplayMVP() {
                       />
                     </div>
                     <div>
-                      <label className="block text-purple-300 text-xs mb-1">Resistance Factor</label>
+                      <label className="block text-purple-300 text-xs mb-1">Resistance Factor (per m of column)</label>
                       <input
                         type="number"
                         className="input-field w-full text-sm"
@@ -3518,7 +4231,7 @@ export default function TubeDropDisplayMVP() {
                       />
                     </div>
                     <div>
-                      <label className="block text-purple-300 text-xs mb-1">Resistance Factor</label>
+                      <label className="block text-purple-300 text-xs mb-1">Resistance Factor (per m of column)</label>
                       <input
                         type="number"
                         className="input-field w-full text-sm"
@@ -3557,6 +4270,113 @@ export default function TubeDropDisplayMVP() {
                   />
                 </div>
               </div>
+
+              {/* Multi-point calibration table */}
+              <div className="mt-6 border-t border-purple-400/20 pt-4">
+                <div className="flex items-center justify-between mb-3">
+                  <h5 className="text-purple-200 text-sm font-medium">Calibration Table</h5>
+                  <div className="flex items-center gap-2">
+                    <select
+                      className="input-field text-xs py-1"
+                      value={calibrationParams.interpolation}
+                      onChange={(e) => setCalibrationParams(p => ({ ...p, interpolation: e.target.value }))}
+                      title="Interpolation between measured points"
+                    >
+                      {CALIBRATION_INTERPOLATIONS.map((m) => (
+                        <option key={m} value={m}>{m === 'monotone' ? 'Monotone spline' : 'Piecewise linear'}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => setCalibrationParams(p => ({ ...p, points: seedCalibrationPoints(p) }))}
+                      className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                      title="Replace the table with the Sparse/Dense values above"
+                    >
+                      Seed from Sparse/Dense
+                    </button>
+                    <button
+                      onClick={() => setCalibrationParams(p => {
+                        const last = normalizeCalibrationPoints(p.points).slice(-1)[0];
+                        const level = last ? Math.min(10, last.level + 1) : 1;
+                        return { ...p, points: [...p.points, { level, ch0: last?.ch0 ?? p.sparseCh0, duration: last?.duration ?? p.sparseDuration, density: null }] };
+                      })}
+                      className="px-3 py-1 rounded bg-purple-600/40 text-purple-100 border border-purple-400/30 hover:bg-purple-600/60 text-xs"
+                    >
+                      + Add Point
+                    </button>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-6">
+                  <div>
+                    {calibrationParams.points.length === 0 ? (
+                      <p className="text-purple-300/70 text-xs">No measured points — levels use the linear Sparse → Dense mapping.</p>
+                    ) : (
+                      <table className="w-full text-xs">
+                        <thead className="text-purple-300">
+                          <tr>
+                            <th className="text-left font-normal pb-1">Level</th>
+                            <th className="text-left font-normal pb-1">CH0 (%)</th>
+                            <th className="text-left font-normal pb-1">Duration (ms)</th>
+                            <th className="text-left font-normal pb-1">Density (drops/cm)</th>
+                            <th />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {calibrationParams.points.map((pt, i) => {
+                            const updatePoint = (key, raw) => {
+                              const v = parseFloat(raw);
+                              setCalibrationParams(p => ({
+                                ...p,
+                                points: p.points.map((q, j) => j === i ? { ...q, [key]: Number.isFinite(v) ? v : (key === 'density' ? null : '') } : q)
+                              }));
+                            };
+                            return (
+                              <tr key={i}>
+                                {['level', 'ch0', 'duration', 'density'].map((key) => (
+                                  <td key={key} className="pr-2 pb-1">
+                                    <input
+                                      type="number"
+                                      className="input-field w-full text-xs py-1"
+                                      value={pt[key] ?? ''}
+                                      step={key === 'density' ? 0.1 : 1}
+                                      onFocus={() => setIsEditingNumeric(true)}
+                                      onBlur={() => setIsEditingNumeric(false)}
+                                      onChange={(e) => updatePoint(key, e.target.value)}
+                                    />
+                                  </td>
+                                ))}
+                                <td className="pb-1">
+                                  <button
+                                    onClick={() => setCalibrationParams(p => ({ ...p, points: p.points.filter((_, j) => j !== i) }))}
+                                    className="px-2 py-1 rounded text-rose-200 hover:bg-rose-600/30"
+                                    title="Remove point"
+                                  >
+                                    ×
+                                  </button>
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    )}
+                    {normalizeCalibrationPoints(calibrationParams.points).length >= 2 && (
+                      <p className="text-purple-300/70 text-xs mt-2">
+                        CH0 and duration per level come from this table; Sparse/Dense CH0 and durations above are not used.
+                      </p>
+                    )}
+                  </div>
+                  <CalibrationCurveChart calibration={calibrationParams} />
+                </div>
+              </div>
+
+              {showCalibrationWizard && (
+                <CalibrationWizard
+                  calibration={calibrationParams}
+                  onSend={sendCalibrationStrip}
+                  onApply={applyFittedCalibration}
+                  onClose={() => setShowCalibrationWizard(false)}
+                />
+              )}
             </div>
           )}
 
@@ -3741,8 +4561,12 @@ export default function TubeDropDisplayMVP() {
                     const exportData = {
                       tubeLengthCm: manualTubeLengthCm,
                       segments: manualSegments,
-                      ehdSteps: segmentsToEHDSteps(manualSegments, calibrationParams.feedSpeed, 50, calibrationParams, manualTubeLengthCm),
+                      ehdSteps: manualSteps,
                       calibration: calibrationParams,
+                      calibrationProfile: {
+                        name: activeProfile?.name ?? null,
+                        hash: hashCalibration(calibrationParams)
+                      },
                       timestamp: new Date().toISOString()
                     };
 
@@ -3764,8 +4588,27 @@ export default function TubeDropDisplayMVP() {
                 </button>
 
                 <div className="text-white/60 text-sm">
-                  {manualSegments.length} segments → {segmentsToEHDSteps(manualSegments, calibrationParams.feedSpeed, 50, calibrationParams, manualTubeLengthCm).length} steps
+                  {manualSegments.length} segments → {manualSteps.length} steps
+                  <span className={manualStepPlan.strategy === 'none' ? 'text-white/40' : manualStepPlan.strategy === 'merge' ? 'text-yellow-300' : 'text-rose-300'}>
+                    {' '}/ {manualStepPlan.capacity} max
+                  </span>
                 </div>
+                {manualStepPlan.warning && (
+                  <div className={`text-xs ${manualStepPlan.strategy === 'merge' ? 'text-yellow-300' : 'text-rose-300'}`}>
+                    {manualStepPlan.strategy === 'merge'
+                      ? `Merged to ${manualStepPlan.steps.length} steps`
+                      : `Will be sent as ${manualStepPlan.batches.length} uploads`}
+                  </div>
+                )}
+                {pendingBatchCount > 0 && (
+                  <div className="text-xs text-sky-300">{pendingBatchCount} batches queued</div>
+                )}
+                <button
+                  onClick={() => setShowSteps(!showSteps)}
+                  className="px-3 py-1 rounded bg-white/10 text-white/80 border border-white/20 hover:bg-white/20 text-xs"
+                >
+                  {showSteps ? 'Hide' : 'Show'} Steps
+                </button>
               </div>
 
               <div className="text-white/40 text-xs">
@@ -3773,6 +4616,45 @@ export default function TubeDropDisplayMVP() {
               </div>
             </div>
           )}
+
+          {/* EHD Steps list with per-step resistance correction */}
+          {useManualSchedule && showSteps && (
+            <div className="mt-3 max-h-64 overflow-y-auto border border-white/10 rounded-lg">
+              <table className="w-full text-xs font-mono">
+                <thead className="sticky top-0 bg-black/80 text-white/60">
+                  <tr>
+                    <th className="px-3 py-2 text-left">#</th>
+                    <th className="px-3 py-2 text-left">Type</th>
+                    <th className="px-3 py-2 text-right">CH0 base</th>
+                    <th className="px-3 py-2 text-right">Correction</th>
+                    <th className="px-3 py-2 text-right">CH0</th>
+                    <th className="px-3 py-2 text-right">CH1</th>
+                    <th className="px-3 py-2 text-right">Column</th>
+                    <th className="px-3 py-2 text-right">Duration</th>
+                  </tr>
+                </thead>
+                <tbody className="text-white/80">
+                  {manualSteps.map((step, i) => {
+                    const isGap = step.kind === 'gap';
+                    return (
+                      <tr key={i} className="border-t border-white/5">
+                        <td className="px-3 py-1">{i + 1}</td>
+                        <td className="px-3 py-1 text-white/60">{isGap ? 'gap' : 'segment'}</td>
+                        <td className="px-3 py-1 text-right">{isGap ? '—' : step.ch0Base}</td>
+                        <td className={`px-3 py-1 text-right ${step.saturated ? 'text-rose-300' : 'text-purple-200'}`}>
+                          {isGap ? '—' : `${step.correction >= 0 ? '+' : ''}${step.correction}${step.saturated ? ' (max)' : ''}`}
+                        </td>
+                        <td className="px-3 py-1 text-right">{step.ch0}</td>
+                        <td className="px-3 py-1 text-right">{step.ch1}</td>
+                        <td className="px-3 py-1 text-right">{isGap ? '—' : `${step.columnCm}cm`}</td>
+                        <td className="px-3 py-1 text-right">{step.duration}ms</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
         </section>
 
         {/* Offscreen */}
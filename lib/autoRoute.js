@@ -0,0 +1,153 @@
+import { dist } from "./math.js";
+import { filletCorners, pruneSharpBends } from "./path.js";
+import { grayscaleAt } from "./synthesis.js";
+
+// ---------- Content-aware auto-route ----------
+// One continuous path that spends its length over the inked parts of the
+// content instead of the white background:
+//   1. The content inside the box is sampled on a grid of `spacing` cells and
+//      halftoned (Floyd-Steinberg), so dark areas get a stipple in every cell
+//      and light ones a sparser one. Stipples sit on cell centres, which keeps
+//      any two of them at least one spacing apart. The cell is never smaller
+//      than twice the bend radius, so the right-angle turns of the grid can
+//      always be rounded.
+//   2. The stipples are joined into an open tour: nearest neighbour from the
+//      stipple closest to the start point, then 2-opt, which also undoes the
+//      crossings nearest neighbour leaves behind.
+//   3. Corners too tight for `minBendRadius` are pruned and the rest are
+//      rounded with fillet arcs of that radius.
+// Everything is deterministic: the same content gives the same path.
+
+export const AUTO_ROUTE_DEFAULTS = {
+  threshold: 0.15,    // cells lighter than this (ink 0-1) are never visited
+  maxPoints: 1500,    // stipple budget; the grid coarsens to stay under it
+  maxChecks: 5e6,     // 2-opt work budget (pair checks), ~0.5 s
+};
+
+const inkAt = (image, x, y) => 1 - grayscaleAt(image, x, y);
+
+/**
+ * Halftoned stipples of the ink inside the box.
+ * @returns {{ points: { x, y, ink }[], cell: number }}
+ */
+export function stippleInk(image, startPoint, endPoint, { spacing, threshold = AUTO_ROUTE_DEFAULTS.threshold, maxPoints = AUTO_ROUTE_DEFAULTS.maxPoints }) {
+  const left = Math.min(startPoint.x, endPoint.x);
+  const top = Math.min(startPoint.y, endPoint.y);
+  const w = Math.abs(endPoint.x - startPoint.x);
+  const h = Math.abs(endPoint.y - startPoint.y);
+  let cell = Math.max(1, spacing);
+  for (;;) {
+    const cols = Math.max(1, Math.floor(w / cell));
+    const rows = Math.max(1, Math.floor(h / cell));
+    // Mean ink of each cell from a 3×3 sample
+    const ink = new Float64Array(cols * rows);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        let sum = 0;
+        for (let j = 0; j < 3; j++) {
+          for (let i = 0; i < 3; i++) sum += inkAt(image, left + (c + (i + 0.5) / 3) * cell, top + (r + (j + 0.5) / 3) * cell);
+        }
+        const v = sum / 9;
+        ink[r * cols + c] = v < threshold ? 0 : v;
+      }
+    }
+    // Serpentine Floyd-Steinberg
+    const err = Float64Array.from(ink);
+    const points = [];
+    for (let r = 0; r < rows; r++) {
+      const ltr = r % 2 === 0;
+      for (let k = 0; k < cols; k++) {
+        const c = ltr ? k : cols - 1 - k;
+        const i = r * cols + c;
+        const on = ink[i] > 0 && err[i] >= 0.5;
+        const e = err[i] - (on ? 1 : 0);
+        if (on) points.push({ x: left + (c + 0.5) * cell, y: top + (r + 0.5) * cell, ink: ink[i] });
+        const fwd = ltr ? 1 : -1;
+        const spread = (dc, dr, wgt) => {
+          const cc = c + dc;
+          const rr = r + dr;
+          if (cc >= 0 && cc < cols && rr < rows && ink[rr * cols + cc] > 0) err[rr * cols + cc] += e * wgt;
+        };
+        spread(fwd, 0, 7 / 16);
+        spread(-fwd, 1, 3 / 16);
+        spread(0, 1, 5 / 16);
+        spread(fwd, 1, 1 / 16);
+      }
+    }
+    if (points.length <= maxPoints) return { points, cell };
+    cell *= Math.sqrt(points.length / maxPoints) * 1.05;
+  }
+}
+
+/** Open nearest-neighbour tour over `points`, starting at index `first`. */
+export function nearestNeighbourTour(points, first = 0) {
+  const n = points.length;
+  if (n === 0) return [];
+  const used = new Uint8Array(n);
+  const tour = [first];
+  used[first] = 1;
+  let cur = first;
+  for (let k = 1; k < n; k++) {
+    let best = -1;
+    let bestD = Infinity;
+    for (let i = 0; i < n; i++) {
+      if (used[i]) continue;
+      const d = (points[i].x - points[cur].x) ** 2 + (points[i].y - points[cur].y) ** 2;
+      if (d < bestD) {
+        bestD = d;
+        best = i;
+      }
+    }
+    used[best] = 1;
+    tour.push(best);
+    cur = best;
+  }
+  return tour;
+}
+
+/**
+ * 2-opt on an open tour with a fixed first point (the tail may be reversed).
+ * Stops when a pass finds no improvement or `maxChecks` pair checks are spent.
+ */
+export function twoOpt(points, tour, { maxChecks = AUTO_ROUTE_DEFAULTS.maxChecks } = {}) {
+  const t = tour.slice();
+  const n = t.length;
+  const d = (a, b) => dist(points[t[a]], points[t[b]]);
+  let checks = 0;
+  let improved = true;
+  while (improved && checks < maxChecks) {
+    improved = false;
+    for (let i = 0; i < n - 2 && checks < maxChecks; i++) {
+      for (let j = i + 2; j < n; j++) {
+        checks++;
+        // Replace edges (i,i+1) and (j,j+1) with (i,j) and (i+1,j+1)
+        const before = d(i, i + 1) + (j + 1 < n ? d(j, j + 1) : 0);
+        const after = d(i, j) + (j + 1 < n ? d(i + 1, j + 1) : 0);
+        if (after < before - 1e-9) {
+          for (let a = i + 1, b = j; a < b; a++, b--) [t[a], t[b]] = [t[b], t[a]];
+          improved = true;
+        }
+      }
+    }
+  }
+  return t;
+}
+
+/**
+ * Auto-routed control points over the content in the box.
+ * @param {ImageData} image content raster
+ * @param {{ spacing: number, minBendRadius: number, threshold?: number, maxPoints?: number, maxChecks?: number }} opts px
+ * @returns {{ x, y }[]} empty when the box holds no ink above the threshold
+ */
+export function generateAutoRoute(image, startPoint, endPoint, { spacing, minBendRadius = 0, ...opts }) {
+  if (!image || !(spacing > 0)) return [];
+  const { points: stipples, cell } = stippleInk(image, startPoint, endPoint, { spacing: Math.max(spacing, 2 * minBendRadius), ...opts });
+  if (stipples.length === 0) return [];
+  let first = 0;
+  stipples.forEach((p, i) => {
+    if (dist(p, startPoint) < dist(stipples[first], startPoint)) first = i;
+  });
+  const tour = twoOpt(stipples, nearestNeighbourTour(stipples, first), opts).map((i) => ({ x: stipples[i].x, y: stipples[i].y }));
+  if (!(minBendRadius > 0)) return tour;
+  return filletCorners(pruneSharpBends(tour, minBendRadius), minBendRadius, Math.min(cell / 2, minBendRadius / 3));
+}
@@ -0,0 +1,257 @@
+// ---------- Multi-point calibration curves ----------
+// A calibration table is a list of measured points
+//   { level, ch0, duration, density }
+// where `level` is the schedule density level (1-10), `ch0`/`duration` the
+// EHD parameters that were used and `density` the measured droplet density
+// (drops/cm, optional).
+//
+// Levels between points are interpolated with a monotone cubic
+// (Fritsch–Carlson) or a piecewise-linear lookup. Outside the measured range
+// the nearest point is held.
+
+export const CALIBRATION_INTERPOLATIONS = ["monotone", "linear"];
+
+/** Sort by level, drop incomplete rows and keep the last row per level. */
+export function normalizeCalibrationPoints(points) {
+  if (!Array.isArray(points)) return [];
+  const byLevel = new Map();
+  for (const p of points) {
+    if (!p) continue;
+    const level = Number(p.level);
+    const ch0 = Number(p.ch0);
+    const duration = Number(p.duration);
+    if (!Number.isFinite(level) || !Number.isFinite(ch0) || !Number.isFinite(duration)) continue;
+    const density = Number.isFinite(Number(p.density)) && p.density !== "" && p.density !== null ? Number(p.density) : null;
+    byLevel.set(level, { level, ch0, duration, density });
+  }
+  return [...byLevel.values()].sort((a, b) => a.level - b.level);
+}
+
+/** Piecewise-linear interpolant through (xs[i], ys[i]); xs ascending. */
+export function linearInterpolant(xs, ys) {
+  return (x) => {
+    const n = xs.length;
+    if (n === 0) return NaN;
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[n - 1]) return ys[n - 1];
+    let i = 1;
+    while (xs[i] < x) i++;
+    const t = (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+    return ys[i - 1] + (ys[i] - ys[i - 1]) * t;
+  };
+}
+
+/**
+ * Monotone cubic Hermite interpolant (Fritsch–Carlson). Never overshoots the
+ * data, so a monotone pump response stays monotone between measurements.
+ */
+export function monotoneCubicInterpolant(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return linearInterpolant(xs, ys);
+
+  const h = [];
+  const delta = [];
+  for (let i = 0; i < n - 1; i++) {
+    h.push(xs[i + 1] - xs[i]);
+    delta.push((ys[i + 1] - ys[i]) / h[i]);
+  }
+
+  // Initial tangents: one-sided at the ends, averaged secants inside
+  const m = new Array(n);
+  m[0] = delta[0];
+  m[n - 1] = delta[n - 2];
+  for (let i = 1; i < n - 1; i++) {
+    m[i] = delta[i - 1] * delta[i] <= 0 ? 0 : (delta[i - 1] + delta[i]) / 2;
+  }
+
+  // Limit tangents to keep each interval monotone
+  for (let i = 0; i < n - 1; i++) {
+    if (delta[i] === 0) {
+      m[i] = 0;
+      m[i + 1] = 0;
+      continue;
+    }
+    const a = m[i] / delta[i];
+    const b = m[i + 1] / delta[i];
+    const r = a * a + b * b;
+    if (r > 9) {
+      const tau = 3 / Math.sqrt(r);
+      m[i] = tau * a * delta[i];
+      m[i + 1] = tau * b * delta[i];
+    }
+  }
+
+  return (x) => {
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[n - 1]) return ys[n - 1];
+    let i = 0;
+    while (xs[i + 1] < x) i++;
+    const t = (x - xs[i]) / h[i];
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * ys[i] +
+      (t3 - 2 * t2 + t) * h[i] * m[i] +
+      (-2 * t3 + 3 * t2) * ys[i + 1] +
+      (t3 - t2) * h[i] * m[i + 1];
+  };
+}
+
+/**
+ * Build level -> parameter lookups from a calibration table.
+ * Returns null when fewer than two usable points exist.
+ * @param {object[]} points
+ * @param {"monotone"|"linear"} [interpolation]
+ */
+export function calibrationCurve(points, interpolation = "monotone") {
+  const pts = normalizeCalibrationPoints(points);
+  if (pts.length < 2) return null;
+  const make = interpolation === "linear" ? linearInterpolant : monotoneCubicInterpolant;
+  const xs = pts.map((p) => p.level);
+  const withDensity = pts.filter((p) => p.density !== null);
+  return {
+    points: pts,
+    ch0: make(xs, pts.map((p) => p.ch0)),
+    duration: make(xs, pts.map((p) => p.duration)),
+    density: withDensity.length >= 2
+      ? make(withDensity.map((p) => p.level), withDensity.map((p) => p.density))
+      : null,
+  };
+}
+
+// Fresh table seeded from the two-point (sparse/dense) calibration
+export const seedCalibrationPoints = (calibration) => [
+  { level: 1, ch0: calibration.sparseCh0, duration: calibration.sparseDuration, density: null },
+  { level: 10, ch0: calibration.denseCh0, duration: calibration.denseDuration, density: null },
+];
+
+// ---------- Calibration wizard: test strip + fit ----------
+
+/**
+ * Test strip of one segment per level separated by gaps, in the same
+ * `{ startCm, endCm, densityLevel }` shape as the manual schedule.
+ */
+export function buildCalibrationStrip({ levels = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], segmentCm = 3, gapCm = 2 } = {}) {
+  const segments = [];
+  let cursor = gapCm; // lead-in gap so the first segment starts on a primed tube
+  for (const level of levels) {
+    segments.push({ startCm: cursor, endCm: cursor + segmentCm, densityLevel: level });
+    cursor += segmentCm + gapCm;
+  }
+  return { segments, tubeLengthCm: cursor };
+}
+
+/** Least-squares line y = slope * x + intercept, with r². */
+export function linearFit(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    syy += (ys[i] - my) ** 2;
+  }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = my - slope * mx;
+  const r2 = sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0;
+  return { slope, intercept, r2 };
+}
+
+/**
+ * Fit calibration parameters from measurements of a printed test strip.
+ *
+ * Droplet density (drops/cm) is regressed linearly against the uncorrected
+ * ch0 each segment was printed with (`step.ch0Base`, so the flow-resistance
+ * correction keeps being applied on top). Levels 1..10 are then assigned
+ * densities spaced evenly between the sparse and dense targets and the fit is
+ * inverted to get ch0 per level. The ratio of measured to nominal segment
+ * length corrects the feed speed. Durations are fitted per level: the length
+ * ratio of each measured segment is regressed against its level and every
+ * level's duration (from the calibration the strip was printed with) is
+ * divided by the ratio at that level, so levels that printed long get
+ * shorter durations.
+ *
+ * @param {object} input
+ * @param {{startCm:number,endCm:number,densityLevel:number}[]} input.segments strip segments
+ * @param {object[]} input.steps segment steps as sent (one per segment, in order)
+ * @param {{count:number, lengthMm:number}[]} input.measurements one per segment
+ * @param {object} input.calibration calibration the strip was printed with
+ * @param {{sparseDensity?:number, denseDensity?:number}} [input.targets]
+ *   defaults to the lowest/highest measured density
+ * @returns {{ calibration: object, fit: object, rows: object[] }}
+ * @throws {Error} when the measurements cannot be fitted
+ */
+export function fitCalibration({ segments, steps, measurements, calibration, targets = {} }) {
+  const rows = segments.map((seg, i) => {
+    const m = measurements[i] || {};
+    const nominalMm = (seg.endCm - seg.startCm) * 10;
+    const lengthMm = Number(m.lengthMm);
+    const count = Number(m.count);
+    const valid = Number.isFinite(count) && count >= 0 && Number.isFinite(lengthMm) && lengthMm > 0;
+    return {
+      level: seg.densityLevel,
+      ch0: steps[i]?.ch0Base ?? steps[i]?.ch0,
+      nominalMm,
+      lengthMm: valid ? lengthMm : null,
+      count: valid ? count : null,
+      density: valid ? count / (lengthMm / 10) : null,
+    };
+  });
+
+  const used = rows.filter((r) => r.density !== null && Number.isFinite(r.ch0));
+  if (used.length < 2) throw new Error("Need measurements for at least two segments");
+  if (new Set(used.map((r) => r.ch0)).size < 2) throw new Error("All measured segments used the same CH0; widen the level range");
+
+  const fit = linearFit(used.map((r) => r.ch0), used.map((r) => r.density));
+  if (!(fit.slope > 0)) throw new Error("Measured density does not increase with CH0");
+
+  const densities = used.map((r) => r.density);
+  const sparseDensity = Number.isFinite(targets.sparseDensity) ? targets.sparseDensity : Math.min(...densities);
+  const denseDensity = Number.isFinite(targets.denseDensity) ? targets.denseDensity : Math.max(...densities);
+  const ch0For = (density) => Math.round(Math.max(0, Math.min(100, (density - fit.intercept) / fit.slope)));
+
+  // Segments printed longer than nominal mean the tube moves faster than assumed
+  const lengthRatio = used.reduce((a, r) => a + r.lengthMm, 0) / used.reduce((a, r) => a + r.nominalMm, 0);
+  const feedSpeed = Number((calibration.feedSpeed * lengthRatio).toFixed(2));
+
+  // Length ratio per level; a single measured level falls back to the overall ratio
+  const ratioFit = new Set(used.map((r) => r.level)).size >= 2
+    ? linearFit(used.map((r) => r.level), used.map((r) => r.lengthMm / r.nominalMm))
+    : { slope: 0, intercept: lengthRatio };
+  const ratioAt = (level) => {
+    const ratio = ratioFit.intercept + ratioFit.slope * level;
+    return ratio > 0 ? ratio : lengthRatio;
+  };
+  const curve = calibrationCurve(calibration.points, calibration.interpolation);
+  const durationAt = (level) => curve
+    ? curve.duration(level)
+    : calibration.sparseDuration + (calibration.denseDuration - calibration.sparseDuration) * (level - 1) / 9;
+
+  const points = [];
+  for (let level = 1; level <= 10; level++) {
+    const t = (level - 1) / 9;
+    const density = sparseDensity + (denseDensity - sparseDensity) * t;
+    points.push({
+      level,
+      ch0: ch0For(density),
+      duration: Math.round(durationAt(level) / ratioAt(level)),
+      density: Number(density.toFixed(2)),
+    });
+  }
+
+  return {
+    calibration: {
+      ...calibration,
+      sparseCh0: points[0].ch0,
+      denseCh0: points[9].ch0,
+      sparseDuration: points[0].duration,
+      denseDuration: points[9].duration,
+      feedSpeed,
+      points,
+    },
+    fit: { ...fit, lengthRatio, durationRatio: ratioFit, sparseDensity, denseDensity },
+    rows,
+  };
+}
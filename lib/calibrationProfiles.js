@@ -0,0 +1,109 @@
+// ---------- Named calibration profiles ----------
+// A profile is `{ id, name, calibration, updatedAt }` where `calibration` has
+// the `calibrationParams` shape. Profiles are persisted as one JSON document
+//   { version: 1, activeId, profiles: [...] }
+// under STORAGE_KEY (localStorage in the browser; any object with
+// getItem/setItem works).
+
+export const PROFILE_STORAGE_KEY = "tubedrop.calibrationProfiles";
+
+// Fields that define a calibration; anything else is ignored by the hash/export
+export const CALIBRATION_FIELDS = [
+  "denseCh0",
+  "denseDuration",
+  "denseResistance",
+  "sparseCh0",
+  "sparseDuration",
+  "sparseResistance",
+  "ch1",
+  "feedSpeed",
+  "points",
+  "interpolation",
+];
+
+export const pickCalibration = (calibration) => {
+  const out = {};
+  for (const key of CALIBRATION_FIELDS) {
+    if (calibration?.[key] !== undefined) out[key] = calibration[key];
+  }
+  return out;
+};
+
+/**
+ * Short stable hash (FNV-1a, 32 bit, hex) of the calibration fields, so an
+ * exported pattern can be traced back to the exact parameters it used.
+ */
+export function hashCalibration(calibration) {
+  const text = JSON.stringify(pickCalibration(calibration), CALIBRATION_FIELDS.concat(["level", "ch0", "duration", "density"]));
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, "0");
+}
+
+/** Append " (2)", " (3)", … until the name is not taken. */
+export function uniqueProfileName(name, profiles) {
+  const base = String(name || "").trim() || "Untitled";
+  const taken = new Set(profiles.map((p) => p.name));
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+export function createProfile(name, calibration, profiles = []) {
+  return {
+    id: `profile-${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+    name: uniqueProfileName(name, profiles),
+    calibration: pickCalibration(calibration),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/** Read the profile store; null when nothing (valid) is stored. */
+export function loadProfileStore(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(PROFILE_STORAGE_KEY);
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    const profiles = Array.isArray(data?.profiles) ? data.profiles.filter((p) => p?.id && p?.calibration) : [];
+    if (profiles.length === 0) return null;
+    const activeId = profiles.some((p) => p.id === data.activeId) ? data.activeId : profiles[0].id;
+    return { profiles, activeId };
+  } catch (_) {
+    return null;
+  }
+}
+
+export function saveProfileStore({ profiles, activeId }, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(PROFILE_STORAGE_KEY, JSON.stringify({ version: 1, activeId, profiles }));
+    return true;
+  } catch (_) {
+    return false; // quota exceeded / storage disabled
+  }
+}
+
+/** JSON document for exporting profiles to a file. */
+export const serializeProfiles = (profiles) => JSON.stringify({
+  version: 1,
+  profiles: profiles.map((p) => ({ name: p.name, calibration: pickCalibration(p.calibration), hash: hashCalibration(p.calibration) })),
+}, null, 2);
+
+/**
+ * Parse an exported profiles file (or a single `{ name, calibration }`) into
+ * new profiles whose names do not clash with `existing`.
+ * @throws {Error} when the document contains no profile
+ */
+export function parseProfilesJson(json, existing = []) {
+  const list = Array.isArray(json?.profiles) ? json.profiles : (json?.calibration ? [json] : []);
+  const out = [];
+  for (const entry of list) {
+    if (!entry || typeof entry.calibration !== "object") continue;
+    out.push(createProfile(entry.name, entry.calibration, [...existing, ...out]));
+  }
+  if (out.length === 0) throw new Error("No calibration profiles found");
+  return out;
+}
@@ -0,0 +1,218 @@
+// ---------- Resilient device connection ----------
+// Wraps a WebSocket to the ESP32 with
+//  - heartbeat: `{ type: "ping", t }` every `heartbeatMs`; any incoming message
+//    counts as proof of life, and the socket is dropped when nothing arrives
+//    within `heartbeatTimeoutMs`,
+//  - reconnect with exponential backoff (initialMs * factor^n, capped, with
+//    ±20% jitter) until `close()` is called,
+//  - resume: after a reconnect `{ type: "query", what: "status" }` is sent so
+//    the UI can re-sync to the running job instead of treating it as lost,
+//  - a send queue: messages sent while (re)connecting are held and flushed in
+//    order once the socket is open again.
+//
+// Status is one of "disconnected" | "connecting" | "connected" | "reconnecting".
+
+export const CONNECTION_DEFAULTS = {
+  heartbeatMs: 2000,
+  heartbeatTimeoutMs: 6000,
+  backoffInitialMs: 500,
+  backoffMaxMs: 15000,
+  backoffFactor: 2,
+  maxQueued: 200,
+};
+
+/** Delay before reconnect attempt `attempt` (0-based), without jitter. */
+export const backoffDelay = (attempt, { backoffInitialMs, backoffMaxMs, backoffFactor } = CONNECTION_DEFAULTS) =>
+  Math.min(backoffMaxMs, backoffInitialMs * Math.pow(backoffFactor, attempt));
+
+/**
+ * @param {object} opts
+ * @param {string} opts.url e.g. "ws://192.168.0.10:81"
+ * @param {(data: object, raw: string) => void} [opts.onMessage] parsed JSON messages (pongs excluded)
+ * @param {(raw: string) => void} [opts.onRaw] messages that are not JSON
+ * @param {(status: string) => void} [opts.onStatus]
+ * @param {({ resumed: boolean }) => void} [opts.onOpen] every time the socket opens
+ * @param {(msg: string) => void} [opts.onLog]
+ * @param {typeof WebSocket} [opts.WebSocketImpl] defaults to the global WebSocket
+ */
+export function createDeviceConnection(opts) {
+  const cfg = { ...CONNECTION_DEFAULTS, ...opts };
+  const {
+    url,
+    onMessage = () => {},
+    onRaw = () => {},
+    onStatus = () => {},
+    onOpen = () => {},
+    onLog = () => {},
+    WebSocketImpl = globalThis.WebSocket,
+  } = cfg;
+
+  let socket = null;
+  let status = "disconnected";
+  let closedByUser = false;
+  let everConnected = false;
+  let attempt = 0;
+  let queue = [];
+  let reconnectTimer = null;
+  let heartbeatTimer = null;
+  let lastSeen = 0;
+
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    onStatus(next);
+  };
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  };
+
+  const startHeartbeat = () => {
+    stopHeartbeat();
+    lastSeen = Date.now();
+    heartbeatTimer = setInterval(() => {
+      if (Date.now() - lastSeen > cfg.heartbeatTimeoutMs) {
+        onLog(`Heartbeat timeout (${cfg.heartbeatTimeoutMs} ms without data)`);
+        stopHeartbeat();
+        // A dead peer can hold off onclose for the whole closing handshake or
+        // TCP timeout: abandon the socket and reconnect right away
+        const dead = socket;
+        socket = null;
+        if (dead) {
+          dead.onopen = dead.onmessage = dead.onerror = dead.onclose = null;
+          try { dead.close(); } catch (_) {}
+        }
+        onLog("Connection lost");
+        scheduleReconnect();
+        return;
+      }
+      rawSend({ type: "ping", t: Date.now() });
+    }, cfg.heartbeatMs);
+  };
+
+  const rawSend = (obj) => {
+    if (!socket || socket.readyState !== 1) return false;
+    socket.send(JSON.stringify(obj));
+    return true;
+  };
+
+  const scheduleReconnect = () => {
+    const base = backoffDelay(attempt, cfg);
+    const delay = Math.round(base * (0.8 + Math.random() * 0.4));
+    attempt += 1;
+    setStatus("reconnecting");
+    onLog(`Reconnecting in ${(delay / 1000).toFixed(1)} s (attempt ${attempt})`);
+    reconnectTimer = setTimeout(open, delay);
+  };
+
+  function open() {
+    reconnectTimer = null;
+    let ws;
+    try {
+      ws = new WebSocketImpl(url);
+    } catch (e) {
+      onLog(`Connect failed: ${e?.message || e}`);
+      scheduleReconnect();
+      return;
+    }
+    socket = ws;
+
+    ws.onopen = () => {
+      if (socket !== ws) return;
+      const resumed = everConnected;
+      everConnected = true;
+      attempt = 0;
+      setStatus("connected");
+      startHeartbeat();
+      onOpen({ resumed });
+      if (resumed) rawSend({ type: "query", what: "status" });
+      const pending = queue;
+      queue = [];
+      if (pending.length > 0) onLog(`Flushing ${pending.length} queued messages`);
+      pending.forEach(rawSend);
+    };
+
+    ws.onmessage = (ev) => {
+      if (socket !== ws) return;
+      lastSeen = Date.now();
+      let data;
+      try {
+        data = JSON.parse(ev.data);
+      } catch (_) {
+        onRaw(String(ev.data));
+        return;
+      }
+      if (data?.type === "pong") return;
+      onMessage(data, String(ev.data));
+    };
+
+    ws.onerror = (ev) => {
+      // onclose follows and decides whether to reconnect; browser WebSockets
+      // give no detail, the relay transport does
+      if (socket === ws && ev?.message) onLog(ev.message);
+    };
+
+    ws.onclose = () => {
+      if (socket !== ws) return;
+      socket = null;
+      stopHeartbeat();
+      if (closedByUser) {
+        setStatus("disconnected");
+        return;
+      }
+      onLog(everConnected ? "Connection lost" : "Connection failed");
+      scheduleReconnect();
+    };
+  }
+
+  const connect = () => {
+    if (socket || reconnectTimer) return;
+    closedByUser = false;
+    everConnected = false;
+    attempt = 0;
+    setStatus("connecting");
+    open();
+  };
+
+  const close = () => {
+    closedByUser = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    stopHeartbeat();
+    queue = [];
+    if (socket) {
+      try { socket.close(); } catch (_) {}
+    }
+    socket = null;
+    setStatus("disconnected");
+  };
+
+  /**
+   * Send now, or queue while (re)connecting.
+   * @returns {"sent"|"queued"|false} false when closed or the queue is full
+   */
+  const send = (obj) => {
+    if (rawSend(obj)) return "sent";
+    if (closedByUser || status === "disconnected") return false;
+    if (queue.length >= cfg.maxQueued) return false;
+    queue.push(obj);
+    return "queued";
+  };
+
+  /** Drop everything waiting to be sent (e-stop); returns how many were dropped. */
+  const clearQueue = () => {
+    const n = queue.length;
+    queue = [];
+    return n;
+  };
+
+  return {
+    connect,
+    close,
+    send,
+    clearQueue,
+    getStatus: () => status,
+    queuedCount: () => queue.length,
+  };
+}
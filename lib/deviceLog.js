@@ -0,0 +1,78 @@
+// ---------- Structured device log ----------
+// One entry per line of device traffic or app event:
+//   { id, ts, dir, type, deviceId, jobId, msg, payload }
+//   id        increasing across the whole page (entries from several devices
+//             can be merged and sorted by it)
+//   ts        ISO timestamp
+//   dir       "tx" (to the device) | "rx" (from it) | "local" (app/session)
+//   type      protocol message type for tx/rx ("control", "upload", "status",
+//             "ack", ...); "info" or "error" for local entries
+//   deviceId  null for app-wide entries
+//   jobId     queue job (lib/jobQueue.js) the entry belongs to, or null
+//   payload   the parsed message for tx/rx, otherwise null
+//
+// Categories (`logCategory`) are what the console filters on.
+
+export const LOG_CATEGORIES = ["tx", "rx", "status", "info", "error"];
+
+// Entries the app-wide console keeps (sessions keep their own shorter log)
+export const LOG_CONSOLE_LIMIT = 1000;
+
+let lastId = 0;
+
+export function createLogEntry({ dir = "local", type = "info", deviceId = null, jobId = null, msg, payload = null, ts }) {
+  return {
+    id: ++lastId,
+    ts: ts || new Date().toISOString(),
+    dir,
+    type,
+    deviceId,
+    jobId,
+    msg: String(msg),
+    payload,
+  };
+}
+
+export const logCategory = (entry) => {
+  if (entry.type === "error") return "error";
+  if (entry.type === "status") return "status";
+  return entry.dir === "local" ? "info" : entry.dir;
+};
+
+/** Local time of day for display; entries saved before `ts` existed carry `t`. */
+export const formatLogTime = (entry) => (entry.ts ? new Date(entry.ts).toLocaleTimeString() : entry.t || "");
+
+/**
+ * @param {object[]} entries
+ * @param {{ categories?: string[], deviceId?: string|null, query?: string }} filter
+ *   `deviceId` "" or undefined keeps every device, null keeps app entries only
+ */
+export function filterLogEntries(entries, { categories = LOG_CATEGORIES, deviceId, query = "" } = {}) {
+  const q = query.trim().toLowerCase();
+  return entries.filter((e) =>
+    categories.includes(logCategory(e)) &&
+    (deviceId === undefined || deviceId === "" || e.deviceId === deviceId) &&
+    (!q || e.msg.toLowerCase().includes(q) || (e.jobId || "").toLowerCase().includes(q)));
+}
+
+/** One JSON object per line. */
+export const logToJsonl = (entries) => entries.map((e) => JSON.stringify(e)).join("\n") + (entries.length ? "\n" : "");
+
+const LOG_CSV_COLUMNS = ["id", "ts", "dir", "type", "deviceId", "deviceName", "jobId", "msg", "payload"];
+
+/** CSV with a header row; `deviceNames` maps device id → name for readability. */
+export function logToCsv(entries, deviceNames = {}) {
+  const esc = (s) => `"${String(s ?? "").replaceAll('"', '""')}"`;
+  const rows = entries.map((e) => [
+    e.id,
+    e.ts,
+    e.dir,
+    e.type,
+    e.deviceId,
+    e.deviceId ? deviceNames[e.deviceId] ?? "" : "",
+    e.jobId,
+    e.msg,
+    e.payload ? JSON.stringify(e.payload) : "",
+  ]);
+  return [LOG_CSV_COLUMNS, ...rows].map((row) => row.map(esc).join(",")).join("\n");
+}
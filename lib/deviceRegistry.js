@@ -0,0 +1,123 @@
+// ---------- Device registry ----------
+// Saved tube printers `{ id, name, host, port, via, stepCapacity?, safetyLimits? }`
+// (safetyLimits: lib/safety.js), persisted as
+//   { version: 1, devices: [...] }
+// under DEVICE_STORAGE_KEY, plus a simple LAN scan that finds boards by
+// opening a WebSocket and asking for `{ type: "query", what: "info" }`.
+//
+// `via` is "direct" (browser → ws://host:port) or "relay" (through the
+// server, lib/relayHub.js), which is needed over HTTPS or off the LAN.
+
+export const DEVICE_STORAGE_KEY = "tubedrop.devices";
+export const DEFAULT_DEVICE_PORT = 81;
+export const DEVICE_TRANSPORTS = ["direct", "relay"];
+
+/**
+ * Split "host", "host:port" or "ws://host:port" into `{ host, port }`.
+ * Returns null when no host is given or the port is invalid.
+ */
+export function parseDeviceAddress(text, defaultPort = DEFAULT_DEVICE_PORT) {
+  const raw = String(text || "").trim().replace(/^wss?:\/\//, "").replace(/\/.*$/, "");
+  if (!raw) return null;
+  const m = raw.match(/^(.*?)(?::(\d+))?$/);
+  const host = m[1];
+  const port = m[2] ? Number(m[2]) : defaultPort;
+  if (!host || !(port > 0 && port < 65536)) return null;
+  return { host, port };
+}
+
+export function createDevice({ name, host, port = DEFAULT_DEVICE_PORT, via = "direct", stepCapacity }) {
+  return {
+    id: `device-${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+    name: String(name || "").trim() || host,
+    host,
+    port,
+    via: DEVICE_TRANSPORTS.includes(via) ? via : "direct",
+    ...(stepCapacity ? { stepCapacity } : {}),
+  };
+}
+
+export function loadDevices(storage = globalThis.localStorage) {
+  try {
+    const data = JSON.parse(storage?.getItem(DEVICE_STORAGE_KEY) || "null");
+    return Array.isArray(data?.devices) ? data.devices.filter((d) => d?.id && d?.host && d?.port) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+export function saveDevices(devices, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(DEVICE_STORAGE_KEY, JSON.stringify({ version: 1, devices }));
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Try to reach a board at host:port. Resolves to its info message, `{}` when
+ * it only sent other messages (status) before the timeout, or null when
+ * nothing answered.
+ */
+export function probeDevice({ host, port = DEFAULT_DEVICE_PORT, timeoutMs = 1000, WebSocketImpl = globalThis.WebSocket }) {
+  return new Promise((resolve) => {
+    let ws;
+    let done = false;
+    let answered = null;
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      try { ws?.close(); } catch (_) {}
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish(answered), timeoutMs);
+    try {
+      ws = new WebSocketImpl(`ws://${host}:${port}`);
+    } catch (_) {
+      finish(null);
+      return;
+    }
+    ws.onopen = () => ws.send(JSON.stringify({ type: "query", what: "info" }));
+    ws.onmessage = (ev) => {
+      answered = answered || {};
+      try {
+        const data = JSON.parse(ev.data);
+        if (data?.type === "info") finish(data);
+      } catch (_) {
+        // not JSON; still a sign of life
+      }
+    };
+    ws.onerror = () => finish(answered);
+    ws.onclose = () => finish(answered);
+  });
+}
+
+/**
+ * Probe `${prefix}.${from}` … `${prefix}.${to}` on one port with limited
+ * concurrency. `onFound({ host, port, info })` fires as boards answer.
+ * @returns {Promise<{host:string, port:number, info:object}[]>}
+ */
+export async function scanSubnet({ prefix, port = DEFAULT_DEVICE_PORT, from = 1, to = 254, concurrency = 16, timeoutMs = 800, onFound = () => {}, onProgress = () => {}, WebSocketImpl, signal }) {
+  const hosts = [];
+  for (let i = from; i <= to; i++) hosts.push(`${prefix}.${i}`);
+  const found = [];
+  let next = 0;
+  let checked = 0;
+  const worker = async () => {
+    while (next < hosts.length && !signal?.aborted) {
+      const host = hosts[next++];
+      const info = await probeDevice({ host, port, timeoutMs, WebSocketImpl });
+      checked += 1;
+      onProgress(checked, hosts.length);
+      if (info) {
+        const hit = { host, port, info };
+        found.push(hit);
+        onFound(hit);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, hosts.length) }, worker));
+  return found;
+}
@@ -0,0 +1,397 @@
+import { createDeviceConnection } from "./deviceConnection.js";
+import { createPatternUploader } from "./patternUpload.js";
+import { DEFAULT_STEP_CAPACITY, planStepBudget } from "./stepBudget.js";
+import { toDeviceSteps } from "./ehd.js";
+import { checkSafetyLimits, describeViolations, normalizeSafetyLimits } from "./safety.js";
+import { createLogEntry } from "./deviceLog.js";
+
+// ---------- Per-device session ----------
+// Everything that used to be a single `ws` in the UI, bundled per device:
+// the resilient connection (lib/deviceConnection.js), the acknowledged
+// uploader (lib/patternUpload.js), step-budget batching (lib/stepBudget.js),
+// the device's safety limits (lib/safety.js) and the live execution state
+// parsed from status messages.
+//
+// The session keeps a plain state object and hands a fresh copy to
+// `onChange` whenever it changes:
+//   {
+//     status,        // connection: disconnected | connecting | connected | reconnecting
+//     deviceStatus,  // last { patternActive, paused, currentStep, totalSteps } or null
+//     stepStartedAt, // Date.now() when currentStep started (shifted by time spent paused)
+//     pausedAt,      // Date.now() when the device paused, null while running
+//     capacity,      // steps per upload (reported by the device or set by hand)
+//     execution,     // { steps, source, jobId, batchOffset, finished } of the last job, or null
+//     pendingBatches,
+//     logs,          // last `maxLogs` structured entries (lib/deviceLog.js)
+//   }
+
+export const deviceUrl = (device) => `ws://${device.host}:${device.port}`;
+
+// Relay log entries carry the raw message text
+const parseMessage = (text) => {
+  try {
+    const data = JSON.parse(text);
+    return data && typeof data === "object" ? data : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * @param {object} opts
+ * @param {{id:string, name:string, host:string, port:number, stepCapacity?:number, safetyLimits?:object}} opts.device
+ * @param {(state: object) => void} [opts.onChange]
+ * @param {(entry: object) => void} [opts.onLog] every new log entry
+ * @param {number} [opts.heartbeatTimeoutMs]
+ * @param {typeof WebSocket} [opts.WebSocketImpl]
+ * @param {number} [opts.maxLogs]
+ */
+export function createDeviceSession(opts) {
+  const { device, onChange = () => {}, onLog = () => {}, heartbeatTimeoutMs, WebSocketImpl, maxLogs = 200 } = opts;
+
+  let state = {
+    status: "disconnected",
+    deviceStatus: null,
+    stepStartedAt: 0,
+    pausedAt: null,
+    capacity: device.stepCapacity || DEFAULT_STEP_CAPACITY,
+    execution: null,
+    pendingBatches: 0,
+    logs: [],
+  };
+  const listeners = new Set();
+  const update = (patch) => {
+    state = { ...state, ...patch };
+    onChange(state);
+    listeners.forEach((fn) => fn(state));
+  };
+  let jobId = null; // queue job being uploaded or run, tagged on every entry
+  const logEntry = (msg, fields = {}) => createLogEntry({ deviceId: device.id, jobId, ...fields, msg });
+  /** Log a line; `fields` sets dir/type/payload (defaults: local info). */
+  const log = (msg, fields) => {
+    const entry = logEntry(msg, fields);
+    update({ logs: [...state.logs, entry].slice(-maxLogs) });
+    onLog(entry);
+  };
+  const logError = (msg) => log(msg, { type: "error" });
+
+  /** Extra state listener (besides `onChange`); returns an unsubscribe function. */
+  const subscribe = (fn) => {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  };
+
+  let connection = null;
+  let limits = normalizeSafetyLimits(device.safetyLimits);
+  let batches = [];   // uploads of the current job (several when over capacity)
+  let batchIndex = 0; // the one loaded on the device
+  let wasActive = false;
+  let resumePending = false;
+
+  /** Send one message; queued while reconnecting. False when offline. */
+  const send = (obj) => {
+    const result = connection?.send(obj) || false;
+    if (!result) {
+      logError("WS not connected");
+      return false;
+    }
+    const s = JSON.stringify(obj);
+    log(result === "queued" ? `TX(queued): ${s}` : `TX: ${s}`, { dir: "tx", type: obj.type, payload: obj });
+    return true;
+  };
+
+  const uploader = createPatternUploader({ send, log });
+
+  // Last line of defence: nothing over the limits is ever uploaded
+  const refuse = (steps) => {
+    const violations = checkSafetyLimits(steps, limits);
+    if (violations.length > 0) logError(`Refused by safety limits:\n${describeViolations(violations)}`);
+    return violations;
+  };
+
+  /** Upload steps and wait until the device confirms count + CRC. */
+  const uploadSteps = async (steps) => {
+    if (refuse(steps).length > 0) return false;
+    try {
+      await uploader.upload(toDeviceSteps(steps));
+      return true;
+    } catch (e) {
+      logError(`Upload failed: ${e?.message || e}`);
+      return false;
+    }
+  };
+
+  const start = () => send({ type: "control", cmd: "start" });
+  const clear = () => send({ type: "buffer", cmd: "clear" });
+  const pause = () => send({ type: "control", cmd: "pause" });
+  const resume = () => send({ type: "control", cmd: "resume" });
+  // Run the current step, then pause at the start of the next one
+  const stepOnce = () => send({ type: "control", cmd: "step" });
+
+  const batchOffset = (i) => batches.slice(0, i).reduce((n, b) => n + b.length, 0);
+  const pendingCount = () => Math.max(0, batches.length - batchIndex - 1);
+
+  const dropPending = () => {
+    const n = pendingCount();
+    if (n > 0) log(`Dropped ${n} queued batches`);
+    batches = batches.slice(0, batchIndex + 1);
+    update({ pendingBatches: 0 });
+  };
+
+  const stop = () => {
+    if (uploader.isBusy()) uploader.cancel("Stopped");
+    dropPending();
+    update({ execution: null });
+    const sent = send({ type: "control", cmd: "stop" });
+    jobId = null;
+    return sent;
+  };
+
+  // Upload batch `i` of the current job and make it the loaded one
+  const loadBatch = async (i) => {
+    if (!(await uploadSteps(batches[i]))) return false;
+    batchIndex = i;
+    update({ pendingBatches: pendingCount() });
+    if (state.execution) update({ execution: { ...state.execution, batchOffset: batchOffset(i) } });
+    return true;
+  };
+
+  /**
+   * Upload a job within the step budget: merge equal neighbours or split into
+   * batches; later batches are uploaded and started as each one finishes.
+   * @param {object[]} steps
+   * @param {object} [options]
+   * @param {string} [options.source] tag stored with the execution ("manual", "imported", …)
+   * @param {string|null} [options.jobId] queue job id, tagged on the log entries of this job
+   * @param {(plan: object) => boolean} [options.confirmSplit] asked before splitting
+   * @returns {Promise<{ ok: boolean, plan: object|null, violations?: object[] }>}
+   *   `violations` (lib/safety.js) when the job was refused by the safety limits
+   */
+  const sendSteps = async (steps, { source = "manual", jobId: id = null, confirmSplit = () => true } = {}) => {
+    jobId = id;
+    // The whole job, so on-time and duration limits cannot be split around
+    const violations = refuse(steps);
+    if (violations.length > 0) return { ok: false, plan: null, violations };
+    const plan = planStepBudget(steps, state.capacity);
+    if (plan.warning) {
+      log(`Step budget: ${plan.warning}`);
+      if (plan.strategy === "split" && !confirmSplit(plan)) return { ok: false, plan };
+    }
+    if (!(await uploadSteps(plan.batches[0]))) return { ok: false, plan };
+    batches = plan.batches;
+    batchIndex = 0;
+    update({ execution: { steps: plan.steps, source, jobId, batchOffset: 0, finished: false }, pendingBatches: pendingCount() });
+    if (batches.length > 1) log(`Batch 1/${batches.length} sent, ${batches.length - 1} queued`);
+    return { ok: true, plan };
+  };
+
+  const sendNextBatch = async () => {
+    if (pendingCount() === 0) return;
+    log(`Sending batch ${batchIndex + 2}/${batches.length}`);
+    if (!(await loadBatch(batchIndex + 1))) {
+      dropPending();
+      return;
+    }
+    start();
+  };
+
+  /**
+   * Emergency stop: drop queued messages and batches, then send the stop
+   * ahead of anything else and command every channel to zero.
+   */
+  const emergencyStop = () => {
+    uploader.cancel("Emergency stop");
+    const dropped = connection?.clearQueue() || 0;
+    if (dropped > 0) log(`E-STOP: dropped ${dropped} queued messages`);
+    batches = batches.slice(0, batchIndex + 1);
+    update({ execution: null, pendingBatches: 0 });
+    const stopped = send({ type: "control", cmd: "stop", priority: true });
+    send({ type: "channels", ch0: 0, ch1: 0 });
+    log("E-STOP sent");
+    jobId = null;
+    return stopped;
+  };
+
+  /**
+   * Move to step `index` (0-based) of the current job. An idle device pauses
+   * there and `resume` continues from it; a running one carries on from it.
+   * A step outside the loaded batch loads the batch that holds it first.
+   */
+  const seek = async (index) => {
+    const execution = state.execution;
+    if (!execution) {
+      logError("Seek: no job loaded");
+      return false;
+    }
+    if (!(index >= 0 && index < execution.steps.length)) {
+      logError(`Seek: step ${index + 1} is out of range`);
+      return false;
+    }
+    const target = batches.findIndex((b, i) => index < batchOffset(i) + b.length);
+    if (target !== batchIndex) {
+      log(`Seek: loading batch ${target + 1}/${batches.length}`);
+      if (!(await loadBatch(target))) return false;
+    }
+    if (state.execution?.finished) update({ execution: { ...state.execution, finished: false } });
+    return send({ type: "control", cmd: "seek", index: index - batchOffset(target) });
+  };
+
+  const handleStatus = (data) => {
+    const capacity = Number(data.maxSteps ?? data.stepCapacity);
+    if (Number.isFinite(capacity) && capacity > 0 && capacity !== state.capacity) {
+      update({ capacity });
+      log(`Device step capacity: ${capacity}`);
+    }
+    if (data.type !== "status") return;
+
+    const active = !!data.patternActive;
+    const paused = active && !!data.paused;
+    const currentStep = Number(data.currentStep) || 0;
+    const deviceStatus = { patternActive: active, paused, currentStep, totalSteps: Number(data.totalSteps) || 0 };
+    const prev = state.deviceStatus;
+    const now = Date.now();
+    if (!prev || prev.patternActive !== active || prev.currentStep !== currentStep) {
+      update({ deviceStatus, stepStartedAt: now, pausedAt: paused ? now : null });
+    } else if (prev.paused !== paused) {
+      // Same step: hold the step clock while paused
+      update(paused
+        ? { deviceStatus, pausedAt: now }
+        : { deviceStatus, stepStartedAt: state.stepStartedAt + (now - (state.pausedAt ?? now)), pausedAt: null });
+    }
+    // An upload stops the device too (seek into another batch); that is not the end of a batch
+    if (wasActive && !active && !uploader.isBusy()) {
+      if (pendingCount() > 0) sendNextBatch();
+      else if (state.execution) update({ execution: { ...state.execution, finished: true } });
+    }
+    wasActive = active;
+  };
+
+  // The relay (lib/relayHub.js) replays its job log on every (re)connect and,
+  // when this page has no job of its own (e.g. it was reopened), the pattern
+  // the device is running
+  const restoreFromRelay = ({ upstream, log: entries = [], status, job }) => {
+    const replayed = entries.map((e) => {
+      const payload = e.dir === "relay" ? null : parseMessage(e.msg);
+      return logEntry(`(relay) ${e.dir.toUpperCase()}: ${e.msg}`, {
+        dir: e.dir === "relay" ? "local" : e.dir,
+        type: e.dir === "relay" ? "info" : String(payload?.type ?? "raw"),
+        payload,
+        ts: e.t,
+        jobId: null,
+      });
+    });
+    update({ logs: [...state.logs, ...replayed].slice(-maxLogs) });
+    log(`Relay: device ${upstream}, ${entries.length} log entries`);
+    if (!state.execution && status?.patternActive && job?.steps?.length) {
+      batches = [job.steps];
+      batchIndex = 0;
+      update({ execution: { steps: job.steps, source: "relay", batchOffset: 0, finished: false } });
+      log(`Resumed relayed job: ${job.steps.length} steps`);
+    }
+    if (status) handleStatus(status);
+  };
+
+  const handleMessage = (data, raw) => {
+    const rx = { dir: "rx", type: String(data.type), payload: data };
+    if (data.type === "status") {
+      log(`STATUS active=${data.patternActive}${data.paused ? " paused" : ""} step=${data.currentStep}/${data.totalSteps}`, rx);
+      if (resumePending) {
+        resumePending = false;
+        log(`Resumed: device ${data.patternActive ? "running" : "idle"} at step ${data.currentStep}/${data.totalSteps}`);
+      }
+      handleStatus(data);
+    } else if (data.type === "info") {
+      log(`INFO ${raw}`, rx);
+      handleStatus(data);
+    } else if (data.type === "ack" || data.type === "nack") {
+      if (!uploader.handleMessage(data)) log(`RX(stale ${data.type}): ${raw}`, rx);
+    } else if (data.type === "relayHello") {
+      restoreFromRelay(data);
+    } else if (data.type === "relayStatus") {
+      log(`Relay: device ${data.upstream}`);
+    } else if (data.type === "log") {
+      log(data.msg, rx);
+    } else {
+      log(`RX: ${raw}`, rx);
+    }
+  };
+
+  /** Open the connection; `heartbeatTimeoutMs` may be overridden per connect. */
+  const connect = (overrides = {}) => {
+    if (connection) return;
+    const url = deviceUrl(device);
+    log(`Connecting to ${url} ...`);
+    connection = createDeviceConnection({
+      url,
+      heartbeatTimeoutMs: overrides.heartbeatTimeoutMs ?? heartbeatTimeoutMs,
+      WebSocketImpl,
+      onStatus: (status) => update({ status }),
+      onLog: (msg) => log(`WS: ${msg}`, { type: /lost|failed|timeout/i.test(msg) ? "error" : "info" }),
+      onOpen: ({ resumed }) => {
+        log(`WS ${resumed ? "reconnected" : "connected"} to ${url}`);
+        resumePending = resumed;
+        // Ask for device info (step capacity); older firmware simply ignores it
+        send({ type: "query", what: "info" });
+      },
+      onMessage: handleMessage,
+      onRaw: (raw) => log(`RX(raw): ${raw}`, { dir: "rx", type: "raw" }),
+    });
+    connection.connect();
+  };
+
+  const disconnect = () => {
+    uploader.cancel("Disconnected");
+    connection?.close();
+    connection = null;
+    update({ status: "disconnected" });
+  };
+
+  /**
+   * Wait for the current job to end: "finished" when the device completes
+   * it, "stopped" when it is stopped (aborting `signal` stops the device) and
+   * "disconnected" when the connection is closed.
+   */
+  const whenJobEnds = ({ signal } = {}) => new Promise((resolve) => {
+    let unsubscribe = () => {};
+    const onAbort = () => stop();
+    const done = (result) => {
+      unsubscribe();
+      signal?.removeEventListener("abort", onAbort);
+      resolve(result);
+    };
+    const check = (s) => {
+      if (s.execution?.finished) done("finished");
+      else if (!s.execution) done("stopped");
+      else if (s.status === "disconnected") done("disconnected");
+    };
+    unsubscribe = subscribe(check);
+    signal?.addEventListener("abort", onAbort);
+    if (signal?.aborted) onAbort();
+    else check(state);
+  });
+
+  return {
+    device,
+    connect,
+    disconnect,
+    send,
+    start,
+    stop,
+    clear,
+    pause,
+    resume,
+    stepOnce,
+    seek,
+    uploadSteps,
+    sendSteps,
+    whenJobEnds,
+    subscribe,
+    emergencyStop,
+    setSafetyLimits: (next) => {
+      limits = normalizeSafetyLimits(next);
+    },
+    getSafetyLimits: () => limits,
+    setCapacity: (capacity) => update({ capacity: Math.max(1, Math.floor(capacity) || DEFAULT_STEP_CAPACITY) }),
+    getState: () => state,
+  };
+}
@@ -0,0 +1,75 @@
+import { clamp } from "./math.js";
+
+// ---------- Droplet diffusion forward model ----------
+// A droplet of width w centred at s0 is a plug of dye occupying
+// [s0 - w/2, s0 + w/2] along the tube. Inside the tube it spreads along arc
+// length, modelled as convolution with a Gaussian of std-dev sigma:
+//
+//   g(s) = amplitude * (Φ((s - s0 + w/2) / σ) - Φ((s - s0 - w/2) / σ))
+//
+// Contributions of all droplets add up and the result is clipped to [0,1]
+// (fully saturated tube).
+
+// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7
+export function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-ax * ax);
+  return sign * y;
+}
+
+export const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+/**
+ * Unclipped profile of a single droplet at arc length s (all values in mm).
+ * With sigma <= 0 the droplet does not spread and the profile is a box.
+ */
+export function dropletProfile(s, s0, widthMm, sigmaMm) {
+  const half = widthMm / 2;
+  if (!(sigmaMm > 0)) return Math.abs(s - s0) <= half ? 1 : 0;
+  return normalCdf((s - s0 + half) / sigmaMm) - normalCdf((s - s0 - half) / sigmaMm);
+}
+
+/**
+ * Simulate the signal produced by a drop schedule after diffusion.
+ * @param {{s_mm:number,width_mm:number,amplitude:number}[]} drops
+ * @param {object} opts
+ * @param {number} opts.length number of output samples
+ * @param {number} opts.sampleStepMm arc length between samples (mm)
+ * @param {number} opts.sigmaMm diffusion std-dev (mm)
+ * @param {boolean} [opts.clip=true] clip to [0,1]
+ * @returns {number[]} simulated signal, sample i at s = i * sampleStepMm
+ */
+export function simulateDiffusion(drops, { length, sampleStepMm, sigmaMm, clip = true }) {
+  const g = new Array(length).fill(0);
+  if (!(sampleStepMm > 0)) return g;
+  // Beyond 4 sigma the Gaussian tail is negligible
+  const reachMm = 4 * Math.max(0, sigmaMm);
+  for (const d of drops) {
+    if (!(d.amplitude > 0) || !(d.width_mm > 0)) continue;
+    const lo = Math.max(0, Math.floor((d.s_mm - d.width_mm / 2 - reachMm) / sampleStepMm));
+    const hi = Math.min(length - 1, Math.ceil((d.s_mm + d.width_mm / 2 + reachMm) / sampleStepMm));
+    for (let i = lo; i <= hi; i++) {
+      g[i] += d.amplitude * dropletProfile(i * sampleStepMm, d.s_mm, d.width_mm, sigmaMm);
+    }
+  }
+  return clip ? g.map((v) => clamp(v, 0, 1)) : g;
+}
+
+/**
+ * Error between target and simulated signal (both in [0,1]).
+ * PSNR uses a peak of 1 and is Infinity for a perfect match.
+ */
+export function signalError(f, g) {
+  const n = Math.min(f.length, g.length);
+  if (n === 0) return { rmse: 0, psnr: Infinity };
+  let se = 0;
+  for (let i = 0; i < n; i++) {
+    const e = f[i] - g[i];
+    se += e * e;
+  }
+  const rmse = Math.sqrt(se / n);
+  const psnr = rmse > 0 ? 20 * Math.log10(1 / rmse) : Infinity;
+  return { rmse, psnr };
+}
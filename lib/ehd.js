@@ -0,0 +1,218 @@
+import { clamp, lerp } from "./math.js";
+import { calibrationCurve } from "./calibration.js";
+
+// ---------- Density level -> EHD step conversion ----------
+
+// EHD parameter mapping functions
+// CSV values: dense(80,70,0,1500,0.135), sparse(73,70,0,2000,0.05)
+export const DENSE_PARAMS = { ch0: 80, ch1: 70, ch2: 0, duration_base: 1500, resistance_factor: 0.135 };
+export const SPARSE_PARAMS = { ch0: 73, ch1: 70, ch2: 0, duration_base: 2000, resistance_factor: 0.05 };
+
+// Curves are rebuilt only when the calibration object itself changes
+const curveCache = new WeakMap();
+const curveFor = (calibration) => {
+  if (!calibration || !Array.isArray(calibration.points)) return null;
+  if (!curveCache.has(calibration)) {
+    curveCache.set(calibration, calibrationCurve(calibration.points, calibration.interpolation));
+  }
+  return curveCache.get(calibration);
+};
+
+/**
+ * Convert density level (1-10) to EHD parameters. ch0/duration come from the
+ * calibration table (`calibration.points`, see lib/calibration.js) when it
+ * has at least two points, otherwise from linear interpolation between the
+ * sparse (level 1) and dense (level 10) calibration values.
+ * @param {number} densityLevel
+ * @param {object|null} calibration `calibrationParams` shape; defaults when null
+ */
+export const densityLevelToEHDParams = (densityLevel, calibration = null) => {
+  const level = clamp(densityLevel, 1, 10);
+  const ratio = (level - 1) / 9; // 0-1に正規化 (1→0, 10→1)
+
+  // Use calibration params if provided, otherwise use defaults
+  const denseParams = calibration ? {
+    ch0: calibration.denseCh0,
+    ch1: calibration.ch1,
+    ch2: 0,
+    duration_base: calibration.denseDuration,
+    resistance_factor: calibration.denseResistance
+  } : DENSE_PARAMS;
+
+  const sparseParams = calibration ? {
+    ch0: calibration.sparseCh0,
+    ch1: calibration.ch1,
+    ch2: 0,
+    duration_base: calibration.sparseDuration,
+    resistance_factor: calibration.sparseResistance
+  } : SPARSE_PARAMS;
+
+  // Measured table takes precedence over the two-point lerp
+  const curve = curveFor(calibration);
+
+  return {
+    ch0: Math.round(clamp(curve ? curve.ch0(level) : lerp(sparseParams.ch0, denseParams.ch0, ratio), 0, 100)),
+    ch1: denseParams.ch1, // 共通値
+    ch2: denseParams.ch2, // 共通値
+    duration_base: Math.round(curve ? curve.duration(level) : lerp(sparseParams.duration_base, denseParams.duration_base, ratio)),
+    resistance_factor: lerp(sparseParams.resistance_factor, denseParams.resistance_factor, ratio)
+  };
+};
+
+// ---------- Flow resistance ----------
+// The tube is filled from its start, so by the time a segment is printed the
+// liquid column already inside it equals the length fed so far. Pressure
+// drop grows linearly with that column (Hagen–Poiseuille), so the dye pump
+// (ch0) has to push harder the further along the tube we are:
+//
+//   ch0 = ch0_base * (1 + resistance_factor * column_m)
+//
+// `resistance_factor` is the relative increase per metre of liquid column and
+// comes from the same calibration interpolation as ch0. The column is taken at
+// the middle of the step, i.e. the average load while the step runs.
+
+/**
+ * Compensate a segment's base ch0 for the liquid column in the tube.
+ * @returns {{ ch0:number, correction:number, columnCm:number, saturated:boolean }}
+ */
+export const compensateForResistance = (ch0Base, resistanceFactor, columnCm) => {
+  const factor = 1 + Math.max(0, resistanceFactor) * (Math.max(0, columnCm) / 100);
+  const raw = Math.round(ch0Base * factor);
+  const ch0 = clamp(raw, 0, 100);
+  return { ch0, correction: ch0 - ch0Base, columnCm, saturated: raw > 100 };
+};
+
+/**
+ * Convert density segments on a straight tube into EHD steps
+ * (`{ ch0, ch1, duration }`), inserting ch0=0 gap steps between segments.
+ * Every step records which stretch of tube it prints: `kind` ("segment" or
+ * "gap"), `startCm` and `endCm`. Segment steps also carry the
+ * flow-resistance correction that was applied: `ch0Base` (from calibration),
+ * `correction` (ch0 - ch0Base), `columnCm` and `saturated` when the corrected
+ * value had to be clipped to 100.
+ * The result is not truncated; check it against the device capacity with
+ * `planStepBudget` (lib/stepBudget.js) before sending.
+ * @param {{startCm:number,endCm:number,densityLevel:number}[]} segments
+ * @param {number} feedSpeedMmPerSec
+ * @param {object|null} calibration
+ * @param {number} tubeLengthCm
+ */
+export const segmentsToEHDSteps = (segments, feedSpeedMmPerSec = 10, calibration = null, tubeLengthCm = 30) => {
+  if (!segments || segments.length === 0) {
+    // No segments: return single step covering entire tube with ch0=0, ch1=70, duration=1000
+    return [{
+      ch0: 0,
+      ch1: 70,
+      duration: 1500,
+      kind: "gap",
+      startCm: 0,
+      endCm: tubeLengthCm
+    }];
+  }
+
+  // Sort segments by start position
+  const sortedSegments = [...segments].sort((a, b) => a.startCm - b.startCm);
+  const steps = [];
+  let currentPos = 0;
+
+  for (let i = 0; i < sortedSegments.length; i++) {
+    const seg = sortedSegments[i];
+
+    // Add gap step if there's a gap before this segment
+    if (seg.startCm > currentPos) {
+      const gapLengthCm = seg.startCm - currentPos;
+      const gapDurationMs = Math.round((gapLengthCm * 10 / feedSpeedMmPerSec) * 1000);
+      steps.push({
+        ch0: 0,
+        ch1: 70,
+        duration: Math.max(1000, gapDurationMs), // minimum 1000ms for gaps
+        kind: "gap",
+        startCm: currentPos,
+        endCm: seg.startCm
+      });
+    }
+
+    // Add segment step, compensated for the liquid column already in the tube
+    const ehdParams = densityLevelToEHDParams(seg.densityLevel, calibration);
+    const segmentLengthMm = (seg.endCm - seg.startCm) * 10; // cm to mm
+    const baseDurationMs = (segmentLengthMm / feedSpeedMmPerSec) * 1000;
+    const adjustedDuration = Math.round(baseDurationMs);
+    const columnCm = (seg.startCm + seg.endCm) / 2;
+    const flow = compensateForResistance(ehdParams.ch0, ehdParams.resistance_factor, columnCm);
+
+    steps.push({
+      ch0: flow.ch0,
+      ch1: ehdParams.ch1,
+      duration: Math.max(1000, adjustedDuration), // minimum 1000ms
+      kind: "segment",
+      startCm: seg.startCm,
+      endCm: seg.endCm,
+      ch0Base: ehdParams.ch0,
+      correction: flow.correction,
+      columnCm: Number(columnCm.toFixed(2)),
+      saturated: flow.saturated
+    });
+
+    currentPos = seg.endCm;
+  }
+
+  // Add final gap if there's space after the last segment
+  if (currentPos < tubeLengthCm) {
+    const gapLengthCm = tubeLengthCm - currentPos;
+    const gapDurationMs = Math.round((gapLengthCm * 10 / feedSpeedMmPerSec) * 1000);
+    steps.push({
+      ch0: 0,
+      ch1: 70,
+      duration: Math.max(1000, gapDurationMs), // minimum 1000ms for gaps
+      kind: "gap",
+      startCm: currentPos,
+      endCm: tubeLengthCm
+    });
+  }
+
+  return steps;
+};
+
+/**
+ * Where a running pattern is, from the step index the device reports and the
+ * time spent in that step so far.
+ * @param {{duration:number}[]} steps
+ * @param {number} index 0-based index of the running step
+ * @param {number} [intoStepMs] elapsed time within that step
+ * @returns {{ elapsedMs:number, remainingMs:number, totalMs:number, fraction:number, positionCm:number|null }}
+ *   `positionCm` is interpolated within the step when it carries startCm/endCm
+ */
+export const executionProgress = (steps, index, intoStepMs = 0) => {
+  let totalMs = 0;
+  let elapsedMs = 0;
+  steps.forEach((step, i) => {
+    totalMs += step.duration;
+    if (i < index) elapsedMs += step.duration;
+  });
+  const current = steps[index];
+  let positionCm = null;
+  if (current) {
+    const into = clamp(intoStepMs, 0, current.duration);
+    elapsedMs += into;
+    if (Number.isFinite(current.startCm) && Number.isFinite(current.endCm)) {
+      positionCm = lerp(current.startCm, current.endCm, current.duration > 0 ? into / current.duration : 0);
+    }
+  }
+  return {
+    elapsedMs,
+    remainingMs: Math.max(0, totalMs - elapsedMs),
+    totalMs,
+    fraction: totalMs > 0 ? elapsedMs / totalMs : 0,
+    positionCm,
+  };
+};
+
+/** "m:ss" for progress readouts. */
+export const formatDuration = (ms) => {
+  const total = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// The firmware only understands { ch0, ch1, duration }; bookkeeping fields such
+// as the resistance correction stay in exports and the UI.
+export const toDeviceSteps = (steps) => steps.map(({ ch0, ch1, duration }) => ({ ch0, ch1, duration }));
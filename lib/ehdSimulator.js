@@ -0,0 +1,141 @@
+import { clamp } from "./math.js";
+import { calibrationCurve } from "./calibration.js";
+import { compensateForResistance, densityLevelToEHDParams } from "./ehd.js";
+
+// ---------- Offline EHD playback ----------
+// Dry run of a step list without hardware: a virtual tube is pulled past the
+// nozzle at `feedSpeed`, so step i covers the tube from the time all earlier
+// steps took (times the feed) onwards. That is what the hardware does, so the
+// 1 s minimum step durations show up as the stretch they really print.
+//
+// While a step has both channels on, droplets are deposited at a pitch that
+// follows its density level. The level is read back from ch0 through the same
+// calibration mapping (`densityLevelToEHDParams` + flow-resistance
+// correction) that produced the steps, so imported steps and hand-tuned ch0
+// values preview as the device would print them. The pitch comes from the
+// droplet density the calibration measured (10 / drops-per-cm, from
+// `calibration.points[].density`); until it has measurements, a default
+// sparse -> dense pitch range stands in. Droplets are placed
+// deterministically: a run of "on" steps starts with a drop and continues at
+// the pitch, carrying the remainder across step boundaries.
+
+export const SIMULATOR_DEFAULTS = {
+  densePitchMm: 0.5,  // drop pitch at level 10 without measured density
+  sparsePitchMm: 2,   // drop pitch at level 1 without measured density
+  maxDrops: 20000,    // long jobs are cut off rather than freezing the UI
+};
+
+const LEVEL_GRID = Array.from({ length: 181 }, (_, i) => 1 + i * 0.05);
+
+/**
+ * Density level (1-10) whose calibrated, resistance-corrected ch0 is closest
+ * to `ch0` at a liquid column of `columnCm`. ch0 is an integer, so a range of
+ * levels maps to the same value; the middle of that range is returned.
+ */
+export const ch0ToDensityLevel = (ch0, calibration = null, columnCm = 0) => {
+  let bestErr = Infinity;
+  let matches = [];
+  for (const level of LEVEL_GRID) {
+    const params = densityLevelToEHDParams(level, calibration);
+    const { ch0: expected } = compensateForResistance(params.ch0, params.resistance_factor, columnCm);
+    const err = Math.abs(expected - ch0);
+    if (err < bestErr - 1e-9) {
+      bestErr = err;
+      matches = [level];
+    } else if (err <= bestErr + 1e-9) {
+      matches.push(level);
+    }
+  }
+  const level = (matches[0] + matches[matches.length - 1]) / 2;
+  return Math.round(level * 100) / 100;
+};
+
+/** Default drop pitch (mm) at a level: linear from sparse (1) to dense (10). */
+export const dropPitchMm = (level, opts = SIMULATOR_DEFAULTS) =>
+  opts.sparsePitchMm + (opts.densePitchMm - opts.sparsePitchMm) * (clamp(level, 1, 10) - 1) / 9;
+
+/**
+ * Level -> drop pitch (mm) from the calibration's measured droplet density;
+ * null when fewer than two calibration points carry a density. A level that
+ * measured no drops gets an infinite pitch.
+ * @param {object|null} calibration `calibrationParams` shape
+ */
+export const measuredPitchLookup = (calibration) => {
+  const curve = calibration && Array.isArray(calibration.points)
+    ? calibrationCurve(calibration.points, calibration.interpolation)
+    : null;
+  if (!curve?.density) return null;
+  return (level) => {
+    const density = curve.density(clamp(level, 1, 10));
+    return density > 0 ? 10 / density : Infinity;
+  };
+};
+
+/**
+ * Simulate a step list.
+ * @param {{ ch0:number, ch1:number, duration:number, columnCm?:number }[]} steps
+ * @param {object} [opts]
+ * @param {number} [opts.feedSpeedMmPerSec]
+ * @param {object|null} [opts.calibration] `calibrationParams` shape
+ * @returns {{
+ *   totalMs: number, tubeLengthMm: number, truncated: boolean, densityMeasured: boolean,
+ *   spans: { stepIndex, startMs, endMs, startMm, endMm, ch0, ch1, on, densityLevel }[],
+ *   drops: { tMs, sMm, stepIndex, densityLevel, ch0 }[]   // in time order
+ * }}
+ */
+export function simulateSteps(steps, { feedSpeedMmPerSec = 10, calibration = null, ...rest } = {}) {
+  const opts = { ...SIMULATOR_DEFAULTS, ...rest };
+  const measured = measuredPitchLookup(calibration);
+  const pitchAt = measured || ((level) => dropPitchMm(level, opts));
+  const feed = Math.max(0.001, feedSpeedMmPerSec) / 1000; // mm per ms
+  const spans = [];
+  const drops = [];
+  let t = 0;
+  let truncated = false;
+  let nextDropMm = null; // tube position of the next drop in the current "on" run
+
+  steps.forEach((step, stepIndex) => {
+    const duration = Math.max(0, Number(step.duration) || 0);
+    const startMm = t * feed;
+    const endMm = (t + duration) * feed;
+    const on = step.ch0 > 0 && step.ch1 > 0;
+    const columnCm = Number.isFinite(step.columnCm) ? step.columnCm : (startMm + endMm) / 20;
+    const densityLevel = on ? ch0ToDensityLevel(step.ch0, calibration, columnCm) : 0;
+    spans.push({ stepIndex, startMs: t, endMs: t + duration, startMm, endMm, ch0: step.ch0, ch1: step.ch1, on, densityLevel });
+
+    const pitch = on ? pitchAt(densityLevel) : Infinity;
+    if (!Number.isFinite(pitch)) {
+      nextDropMm = null;
+    } else {
+      if (nextDropMm === null) nextDropMm = startMm;
+      for (; nextDropMm < endMm; nextDropMm += pitch) {
+        if (drops.length >= opts.maxDrops) {
+          truncated = true;
+          break;
+        }
+        drops.push({ tMs: nextDropMm / feed, sMm: nextDropMm, stepIndex, densityLevel, ch0: step.ch0 });
+      }
+    }
+    t += duration;
+  });
+
+  return { totalMs: t, tubeLengthMm: t * feed, truncated, densityMeasured: measured !== null, spans, drops };
+}
+
+/**
+ * Playback position: how much tube has passed the nozzle at `tMs`, which step
+ * is running and how many drops are already deposited.
+ */
+export function simulationAt(sim, tMs) {
+  const t = clamp(tMs, 0, sim.totalMs);
+  const span = sim.spans.find((s) => t < s.endMs) || sim.spans[sim.spans.length - 1] || null;
+  const positionMm = sim.totalMs > 0 ? (t / sim.totalMs) * sim.tubeLengthMm : 0;
+  let lo = 0;
+  let hi = sim.drops.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sim.drops[mid].tMs <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return { tMs: t, positionMm, stepIndex: span ? span.stepIndex : -1, span, dropCount: lo };
+}
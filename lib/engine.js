@@ -0,0 +1,81 @@
+/**
+ * TubeDrop engine — headless entry point.
+ *
+ * Everything exported here is pure (no DOM, no React state) and runs the same
+ * in the browser UI and under Node, e.g. for batch jobs or diffing outputs
+ * between versions:
+ *
+ *   import { synthesize, segmentsToSteps, planStepBudget } from "./lib/engine.js";
+ *
+ *   const { f, g, drops, error } = synthesize({
+ *     path: [{ x: 10, y: 10 }, { x: 200, y: 40 }],
+ *     image: { width, height, data },          // RGBA, e.g. from ImageData
+ *     mode: "PWM",                              // PWM | AM | DITHER | OPTIMIZE
+ *     params: { mmPerPixel: 0.2, feedSpeed: 80, sigmaMm: 0.25 },
+ *   });
+ *   // g: diffused droplet profile, error: { rmse, psnr } of f vs g
+ *
+ *   const steps = segmentsToSteps(segments, feedSpeed, calibration, tubeLengthCm);
+ *   const { batches } = planStepBudget(steps, 50); // device capacity
+ */
+
+export { clamp, lerp, dist, mmToPx, pxToMm } from "./math.js";
+export { catmullRom, sampleCatmullRom, polylineLength, resampleUniform, balanceSegments, pointAtArcLength, pathSlice, pruneSharpBends, filletFits, filletCorners } from "./path.js";
+export { erf, normalCdf, dropletProfile, simulateDiffusion, signalError } from "./diffusion.js";
+export { DEFAULT_OPTIMIZE_PARAMS, optimizeDrops } from "./optimize.js";
+export { SYNTHESIS_MODES, DEFAULT_SYNTHESIS_PARAMS, grayscaleAt, sampleTarget, synthesize } from "./synthesis.js";
+export {
+  CALIBRATION_INTERPOLATIONS,
+  normalizeCalibrationPoints,
+  linearInterpolant,
+  monotoneCubicInterpolant,
+  calibrationCurve,
+  seedCalibrationPoints,
+  buildCalibrationStrip,
+  linearFit,
+  fitCalibration,
+} from "./calibration.js";
+export {
+  DENSE_PARAMS,
+  SPARSE_PARAMS,
+  densityLevelToEHDParams,
+  compensateForResistance,
+  segmentsToEHDSteps,
+  segmentsToEHDSteps as segmentsToSteps,
+  toDeviceSteps,
+  executionProgress,
+  formatDuration,
+} from "./ehd.js";
+export {
+  registerPatternGenerator,
+  getPatternGenerator,
+  listPatternGenerators,
+  defaultPatternParams,
+  generatePattern,
+  generatePatternPoints,
+  generateParallelPattern,
+  generateZigzagPattern,
+  generateWavePattern,
+  fitSpaceFillingCurve,
+  generateSpaceFillingCurve,
+  contentShape,
+} from "./patterns.js";
+export { generateArchimedeanSpiral, generateRectangularSpiral, generateContourSpiral, shapeMask } from "./spirals.js";
+export {
+  AUTO_ROUTE_DEFAULTS,
+  stippleInk,
+  nearestNeighbourTour,
+  twoOpt,
+  generateAutoRoute,
+} from "./autoRoute.js";
+export {
+  BEND_RADIUS_FACTOR,
+  tubeOuterDiameterMm,
+  defaultMinBendRadiusMm,
+  validatePath,
+  filletBendIssues,
+} from "./pathValidation.js";
+export { SIMULATOR_DEFAULTS, ch0ToDensityLevel, dropPitchMm, measuredPitchLookup, simulateSteps, simulationAt } from "./ehdSimulator.js";
+export { DEFAULT_STEP_CAPACITY, mergeAdjacentSteps, splitIntoBatches, planStepBudget } from "./stepBudget.js";
+export { UPLOAD_DEFAULTS, crc32, serializeSteps, stepsCrc, createPatternUploader } from "./patternUpload.js";
+export { DEFAULT_SAFETY_LIMITS, normalizeSafetyLimits, checkSafetyLimits, describeViolations } from "./safety.js";
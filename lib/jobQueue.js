@@ -0,0 +1,190 @@
+import { hashCalibration, pickCalibration } from "./calibrationProfiles.js";
+
+// ---------- Print job queue ----------
+// A job is one pattern for one device:
+//   { id, name, source, steps, calibration, calibrationHash, profileName,
+//     deviceId, deviceName, status, createdAt, startedAt, endedAt, error, log }
+// `status` is "queued" | "running" while in the queue and "done" | "failed" |
+// "cancelled" once finished. Jobs run in queue order, one at a time per
+// device (devices run side by side), with an optional delay after each job
+// for tube changes. Finished jobs go to the history, persisted as
+//   { version: 1, jobs: [...] }   (newest first)
+// under JOB_HISTORY_KEY.
+
+export const JOB_HISTORY_KEY = "tubedrop.jobHistory";
+export const JOB_HISTORY_LIMIT = 50;
+export const JOB_LOG_LIMIT = 300;
+
+export function createJob({ name, source, steps, calibration, profileName = null, deviceId, deviceName }) {
+  return {
+    id: `job-${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+    name: String(name || "").trim() || "Untitled job",
+    source,
+    steps,
+    calibration: calibration ? pickCalibration(calibration) : null,
+    calibrationHash: calibration ? hashCalibration(calibration) : null,
+    profileName,
+    deviceId,
+    deviceName,
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    endedAt: null,
+    error: null,
+    log: [],
+  };
+}
+
+export function loadJobHistory(storage = globalThis.localStorage) {
+  try {
+    const data = JSON.parse(storage?.getItem(JOB_HISTORY_KEY) || "null");
+    return Array.isArray(data?.jobs) ? data.jobs.filter((j) => j?.id && Array.isArray(j.steps)) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/** Persist the newest JOB_HISTORY_LIMIT jobs; older ones are dropped first when over quota. */
+export function saveJobHistory(jobs, storage = globalThis.localStorage) {
+  let list = jobs.slice(0, JOB_HISTORY_LIMIT);
+  while (list.length > 0) {
+    try {
+      storage?.setItem(JOB_HISTORY_KEY, JSON.stringify({ version: 1, jobs: list }));
+      return true;
+    } catch (_) {
+      list = list.slice(0, Math.floor(list.length / 2)); // quota exceeded
+    }
+  }
+  return false;
+}
+
+/**
+ * Scheduler for queued jobs.
+ *
+ * `runJob(job, { signal })` does the actual work and resolves to
+ * `{ status: "done" | "failed" | "cancelled", error?, log? }`; `signal` aborts
+ * when the running job is cancelled. A failed job pauses the queue so the
+ * operator can check the device before the next one starts.
+ *
+ * @param {object} opts
+ * @param {(job: object, ctx: { signal: AbortSignal }) => Promise<object>} opts.runJob
+ * @param {(state: { jobs: object[], paused: boolean, delayMs: number, readyAt: object }) => void} [opts.onChange]
+ * @param {(job: object) => void} [opts.onFinish] every job that leaves the queue
+ * @param {number} [opts.delayMs] wait after each job before the device's next one
+ */
+export function createJobQueue({ runJob, onChange = () => {}, onFinish = () => {}, delayMs = 0 }) {
+  let jobs = [];
+  let paused = false;
+  let delay = delayMs;
+  const running = new Map(); // deviceId -> AbortController
+  const readyAt = new Map(); // deviceId -> Date.now() when the next job may start
+  let timer = null;
+
+  const snapshot = () => ({ jobs, paused, delayMs: delay, readyAt: Object.fromEntries(readyAt) });
+  const changed = () => onChange(snapshot());
+  const replace = (id, patch) => {
+    jobs = jobs.map((j) => (j.id === id ? { ...j, ...patch } : j));
+    return jobs.find((j) => j.id === id);
+  };
+
+  const finish = (job, result) => {
+    running.delete(job.deviceId);
+    jobs = jobs.filter((j) => j.id !== job.id);
+    if (delay > 0) readyAt.set(job.deviceId, Date.now() + delay);
+    if (result.status === "failed") paused = true;
+    onFinish({
+      ...job,
+      status: result.status,
+      error: result.error ?? null,
+      log: (result.log || []).slice(-JOB_LOG_LIMIT),
+      endedAt: new Date().toISOString(),
+    });
+    changed();
+    schedule();
+  };
+
+  const start = (queued) => {
+    const controller = new AbortController();
+    running.set(queued.deviceId, controller);
+    const job = replace(queued.id, { status: "running", startedAt: new Date().toISOString() });
+    changed();
+    Promise.resolve()
+      .then(() => runJob(job, { signal: controller.signal }))
+      .then((result) => finish(job, result), (e) => finish(job, { status: "failed", error: e?.message || String(e) }));
+  };
+
+  // Start the first queued job of every idle device whose delay has passed
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (paused) return;
+    const now = Date.now();
+    let wakeAt = Infinity;
+    const seen = new Set();
+    for (const job of jobs) {
+      if (job.status !== "queued" || seen.has(job.deviceId)) continue;
+      seen.add(job.deviceId);
+      if (running.has(job.deviceId)) continue;
+      const at = readyAt.get(job.deviceId) || 0;
+      if (at > now) {
+        wakeAt = Math.min(wakeAt, at);
+        continue;
+      }
+      readyAt.delete(job.deviceId);
+      start(job);
+    }
+    if (wakeAt < Infinity) timer = setTimeout(schedule, wakeAt - now);
+  }
+
+  return {
+    enqueue(job) {
+      jobs = [...jobs, { ...job, status: "queued" }];
+      changed();
+      schedule();
+    },
+    /** Remove a queued job or abort the running one. */
+    cancel(id) {
+      const job = jobs.find((j) => j.id === id);
+      if (!job) return;
+      if (job.status === "running") {
+        running.get(job.deviceId)?.abort();
+        return;
+      }
+      jobs = jobs.filter((j) => j.id !== id);
+      onFinish({ ...job, status: "cancelled", endedAt: new Date().toISOString() });
+      changed();
+    },
+    /** Move a queued job up (-1) or down (+1). */
+    move(id, delta) {
+      const i = jobs.findIndex((j) => j.id === id);
+      const k = i + delta;
+      if (i < 0 || k < 0 || k >= jobs.length || jobs[i].status !== "queued" || jobs[k].status !== "queued") return;
+      const next = jobs.slice();
+      [next[i], next[k]] = [next[k], next[i]];
+      jobs = next;
+      changed();
+      schedule();
+    },
+    pause() {
+      paused = true;
+      clearTimeout(timer);
+      changed();
+    },
+    resume() {
+      paused = false;
+      changed();
+      schedule();
+    },
+    setDelay(ms) {
+      delay = Math.max(0, ms || 0);
+      changed();
+    },
+    /** Skip the remaining delay for a device (tube already changed). */
+    skipWait(deviceId) {
+      readyAt.delete(deviceId);
+      changed();
+      schedule();
+    },
+    getState: snapshot,
+  };
+}
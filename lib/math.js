@@ -0,0 +1,10 @@
+// ---------- Shared numeric helpers ----------
+// Kept free of DOM/React so the engine can run under plain Node.
+
+export const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+export const lerp = (a, b, t) => a + (b - a) * t;
+export const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Physical unit conversion functions
+export const mmToPx = (mm, mmPerPixel) => mm / mmPerPixel;
+export const pxToMm = (px, mmPerPixel) => px * mmPerPixel;
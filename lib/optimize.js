@@ -0,0 +1,168 @@
+import { clamp } from "./math.js";
+import { dropletProfile } from "./diffusion.js";
+
+// ---------- Closed-loop synthesis (OPTIMIZE mode) ----------
+// Chooses droplet positions and widths so that the diffused profile
+// (see lib/diffusion.js) matches the target f in the least-squares sense.
+//
+// Candidates start on a grid at the minimum spacing and are refined with
+// projected gradient descent on E = Σ_i (G_i - f_i)^2, where G is the
+// unclipped sum of droplet profiles. After each step positions are projected
+// back onto "ordered, >= minSpacingMm apart, inside the path" and widths onto
+// [0, widthMaxMm]. Finally widths below widthMinMm are either dropped or
+// raised to widthMinMm, and the surviving droplets are polished once more.
+
+const SQRT_2PI = Math.sqrt(2 * Math.PI);
+const pdf = (z) => Math.exp(-0.5 * z * z) / SQRT_2PI;
+
+export const DEFAULT_OPTIMIZE_PARAMS = {
+  iterations: 80,       // relaxed phase
+  polishIterations: 30, // after dropping sub-minimum droplets
+  initialStepMm: 0.05,
+};
+
+function simulate(pos, wid, n, stepMm, sigmaMm, reachMm) {
+  const G = new Float64Array(n);
+  for (let k = 0; k < pos.length; k++) {
+    if (!(wid[k] > 0)) continue;
+    const lo = Math.max(0, Math.floor((pos[k] - wid[k] / 2 - reachMm) / stepMm));
+    const hi = Math.min(n - 1, Math.ceil((pos[k] + wid[k] / 2 + reachMm) / stepMm));
+    for (let i = lo; i <= hi; i++) G[i] += dropletProfile(i * stepMm, pos[k], wid[k], sigmaMm);
+  }
+  return G;
+}
+
+function energy(G, f) {
+  let e = 0;
+  for (let i = 0; i < f.length; i++) {
+    const r = G[i] - f[i];
+    e += r * r;
+  }
+  return e;
+}
+
+// Keep order, enforce spacing and stay inside [0, endMm]
+function projectPositions(pos, minSpacingMm, endMm) {
+  const K = pos.length;
+  for (let k = 0; k < K; k++) {
+    const lo = k === 0 ? 0 : pos[k - 1] + minSpacingMm;
+    pos[k] = Math.max(pos[k], lo);
+  }
+  for (let k = K - 1; k >= 0; k--) {
+    const hi = k === K - 1 ? endMm : pos[k + 1] - minSpacingMm;
+    pos[k] = Math.min(pos[k], hi);
+  }
+}
+
+function descend(f, pos, wid, opts) {
+  const { stepMm, sigmaMm, reachMm, minSpacingMm, endMm, widthLo, widthHi, iterations, initialStepMm } = opts;
+  const n = f.length;
+  let G = simulate(pos, wid, n, stepMm, sigmaMm, reachMm);
+  let E = energy(G, f);
+  let lr = initialStepMm;
+
+  for (let it = 0; it < iterations; it++) {
+    // Gradient of E w.r.t. each droplet's position and width
+    const gp = new Float64Array(pos.length);
+    const gw = new Float64Array(pos.length);
+    let norm = 0;
+    for (let k = 0; k < pos.length; k++) {
+      const half = wid[k] / 2;
+      const lo = Math.max(0, Math.floor((pos[k] - half - reachMm) / stepMm));
+      const hi = Math.min(n - 1, Math.ceil((pos[k] + half + reachMm) / stepMm));
+      for (let i = lo; i <= hi; i++) {
+        const r = 2 * (G[i] - f[i]);
+        const a = pdf((i * stepMm - pos[k] + half) / sigmaMm);
+        const b = pdf((i * stepMm - pos[k] - half) / sigmaMm);
+        gp[k] += r * (b - a) / sigmaMm;
+        gw[k] += r * (a + b) / (2 * sigmaMm);
+      }
+      norm = Math.max(norm, Math.abs(gp[k]), Math.abs(gw[k]));
+    }
+    if (norm < 1e-9) break;
+
+    // Backtracking: shrink the step until the projected move lowers E
+    let accepted = false;
+    for (let tries = 0; tries < 12 && !accepted; tries++) {
+      const scale = lr / norm;
+      const nextPos = Float64Array.from(pos, (p, k) => p - scale * gp[k]);
+      const nextWid = Float64Array.from(wid, (w, k) => clamp(w - scale * gw[k], widthLo, widthHi));
+      projectPositions(nextPos, minSpacingMm, endMm);
+      const nextG = simulate(nextPos, nextWid, n, stepMm, sigmaMm, reachMm);
+      const nextE = energy(nextG, f);
+      if (nextE < E) {
+        pos.set(nextPos);
+        wid.set(nextWid);
+        G = nextG;
+        E = nextE;
+        lr *= 1.2;
+        accepted = true;
+      } else {
+        lr *= 0.5;
+      }
+    }
+    if (!accepted) break;
+  }
+  return E;
+}
+
+/**
+ * Fit a droplet layout to a target signal.
+ * @param {number[]} f target intensity per sample, in [0,1]
+ * @param {object} opts
+ * @param {number} opts.sampleStepMm arc length between samples of f
+ * @param {number} opts.sigmaMm diffusion std-dev
+ * @param {number} opts.minSpacingMm minimum centre-to-centre spacing
+ * @param {number} opts.widthMinMm smallest printable droplet
+ * @param {number} opts.widthMaxMm largest printable droplet
+ * @returns {{ drops: {s_mm:number, width_mm:number}[], energy: number }}
+ */
+export function optimizeDrops(f, opts) {
+  const { sampleStepMm, sigmaMm, minSpacingMm, widthMinMm, widthMaxMm } = opts;
+  const { iterations, polishIterations, initialStepMm } = { ...DEFAULT_OPTIMIZE_PARAMS, ...opts };
+  const n = f.length;
+  if (n === 0 || !(sampleStepMm > 0)) return { drops: [], energy: 0 };
+
+  const endMm = (n - 1) * sampleStepMm;
+  const spacingMm = Math.max(minSpacingMm, sampleStepMm);
+  // A near-zero sigma makes the gradient a comb of spikes; never optimise
+  // against a kernel narrower than half a sample.
+  const sigmaEff = Math.max(sigmaMm, sampleStepMm / 2);
+  const reachMm = 4 * sigmaEff;
+  const widthHi = Math.max(widthMinMm, widthMaxMm);
+
+  // Initial guess: grid at the minimum spacing, width ∝ local target so that
+  // neighbouring plugs just touch in fully inked regions.
+  const K = Math.max(1, Math.floor(endMm / spacingMm) + 1);
+  const pos = new Float64Array(K);
+  const wid = new Float64Array(K);
+  for (let k = 0; k < K; k++) {
+    pos[k] = k * spacingMm;
+    const v = clamp(f[Math.min(n - 1, Math.round(pos[k] / sampleStepMm))], 0, 1);
+    wid[k] = clamp(v * spacingMm, 0, widthHi);
+  }
+
+  const common = { stepMm: sampleStepMm, sigmaMm: sigmaEff, reachMm, minSpacingMm: spacingMm, endMm, initialStepMm };
+
+  // Phase 1: relaxed widths in [0, widthMax]
+  descend(f, pos, wid, { ...common, widthLo: 0, widthHi, iterations });
+
+  // Snap to printable widths: drop tiny droplets, raise the rest to widthMin
+  const keepPos = [];
+  const keepWid = [];
+  for (let k = 0; k < K; k++) {
+    if (wid[k] < widthMinMm / 2) continue;
+    keepPos.push(pos[k]);
+    keepWid.push(clamp(wid[k], widthMinMm, widthHi));
+  }
+  const pos2 = Float64Array.from(keepPos);
+  const wid2 = Float64Array.from(keepWid);
+
+  // Phase 2: polish the surviving droplets with widths in [widthMin, widthMax]
+  const E = pos2.length > 0
+    ? descend(f, pos2, wid2, { ...common, widthLo: widthMinMm, widthHi, iterations: polishIterations })
+    : energy(new Float64Array(n), f);
+
+  const drops = Array.from(pos2, (s_mm, k) => ({ s_mm, width_mm: wid2[k] }));
+  return { drops, energy: E };
+}
@@ -0,0 +1,230 @@
+import { dist, lerp } from "./math.js";
+
+// ---------- Path sampling ----------
+
+export function catmullRom(p0, p1, p2, p3, t) {
+  // Catmull-Rom with tension=0.5 (centripetal variant would need different parameterization)
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return {
+    x:
+      0.5 *
+      ((2 * p1.x) +
+        (-p0.x + p2.x) * t +
+        (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) * t2 +
+        (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t3),
+    y:
+      0.5 *
+      ((2 * p1.y) +
+        (-p0.y + p2.y) * t +
+        (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) * t2 +
+        (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t3),
+  };
+}
+
+/**
+ * Densify control points into a smooth polyline through every point.
+ * @param {{x:number,y:number}[]} points control points (px)
+ * @param {number} samplesPerSegment samples between consecutive control points
+ */
+export function sampleCatmullRom(points, samplesPerSegment = 20) {
+  if (points.length < 2) return points.slice();
+  const n = points.length;
+  const out = [];
+  for (let i = 0; i < n - 1; i++) {
+    const p0 = i === 0 ? points[0] : points[i - 1];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = i + 2 < n ? points[i + 2] : points[n - 1];
+    for (let j = 0; j < samplesPerSegment; j++) {
+      const t = j / samplesPerSegment;
+      out.push(catmullRom(p0, p1, p2, p3, t));
+    }
+  }
+  out.push(points[points.length - 1]);
+  return out;
+}
+
+export function polylineLength(pts) {
+  let L = 0;
+  for (let i = 1; i < pts.length; i++) L += dist(pts[i - 1], pts[i]);
+  return L;
+}
+
+/**
+ * Resample a polyline at a constant arc-length step, so that sample i sits at
+ * s = i * stepPx along the path.
+ */
+export function resampleUniform(pts, stepPx = 2) {
+  if (pts.length === 0) return [];
+  const out = [pts[0]];
+  let acc = 0;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1];
+    const b = pts[i];
+    const segLen = dist(a, b);
+    let t = stepPx - acc;
+    while (t <= segLen) {
+      const u = t / segLen;
+      out.push({ x: lerp(a.x, b.x, u), y: lerp(a.y, b.y, u) });
+      t += stepPx;
+    }
+    acc = (segLen + acc) % stepPx;
+  }
+  return out;
+}
+
+/**
+ * Split segments that are much longer than their neighbours. Uniform
+ * Catmull-Rom gives every control point a tangent from its two neighbours, so
+ * where a long segment meets a short one the curve overshoots and loops.
+ * Points are added geometrically from the short side (2×, 4×, … its length)
+ * until the segment's middle, so neighbouring segments differ by about 2× at
+ * most.
+ */
+export function balanceSegments(points) {
+  if (points.length < 3) return points.slice();
+  const len = (i) => (i >= 0 && i < points.length - 1 ? dist(points[i], points[i + 1]) : Infinity);
+  const out = [points[0]];
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const L = len(i);
+    const along = (d) => ({ x: lerp(a.x, b.x, d / L), y: lerp(a.y, b.y, d / L) });
+    const fromEnd = (short) => {
+      const ds = [];
+      if (!(short > 1e-6) || short * 2 >= L) return ds;
+      for (let inc = short * 2, d = inc; d < L / 2; inc *= 2, d += inc) ds.push(d);
+      return ds;
+    };
+    const head = fromEnd(len(i - 1));
+    const tail = fromEnd(len(i + 1)).map((d) => L - d).reverse();
+    for (const d of [...head, ...tail]) out.push(along(d));
+    out.push(b);
+  }
+  return out;
+}
+
+/**
+ * Point at arc length `s` on a path from `resampleUniform(pts, stepPx)`,
+ * or null when `s` lies outside it.
+ */
+export function pointAtArcLength(uniform, stepPx, s) {
+  const last = (uniform.length - 1) * stepPx;
+  if (uniform.length === 0 || s < 0 || s > last) return null;
+  const i = Math.min(uniform.length - 2, Math.floor(s / stepPx));
+  if (i < 0) return uniform[0];
+  const u = (s - i * stepPx) / stepPx;
+  return { x: lerp(uniform[i].x, uniform[i + 1].x, u), y: lerp(uniform[i].y, uniform[i + 1].y, u) };
+}
+
+/**
+ * The part of a uniform path between arc lengths `s0` and `s1` (clipped to
+ * the path) as a polyline that follows its bends; empty when they miss it.
+ */
+export function pathSlice(uniform, stepPx, s0, s1) {
+  const last = (uniform.length - 1) * stepPx;
+  const a = Math.max(0, Math.min(s0, s1));
+  const b = Math.min(last, Math.max(s0, s1));
+  if (uniform.length < 2 || a > b) return [];
+  const out = [pointAtArcLength(uniform, stepPx, a)];
+  for (let i = Math.floor(a / stepPx) + 1; i * stepPx < b; i++) out.push(uniform[i]);
+  out.push(pointAtArcLength(uniform, stepPx, b));
+  return out;
+}
+
+// ---------- Corner rounding ----------
+// Fillet arcs for polylines that a tube of limited bend radius has to follow
+// (auto-route, spirals, the path check's auto-fix).
+
+// Turn angle at b (0 = straight on, π = full reversal)
+const turnAngle = (a, b, c) => {
+  const ux = b.x - a.x;
+  const uy = b.y - a.y;
+  const vx = c.x - b.x;
+  const vy = c.y - b.y;
+  const cos = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy) || 1);
+  return Math.acos(Math.max(-1, Math.min(1, cos)));
+};
+
+/**
+ * Whether a fillet of `radius` fits at corner b: it takes radius·tan(θ/2) of
+ * each neighbouring segment, and may use only half of it (the corner at the
+ * other end needs the other half).
+ */
+export const filletFits = (a, b, c, radius) => {
+  const theta = turnAngle(a, b, c);
+  if (theta >= Math.PI - 1e-6) return false;
+  return radius * Math.tan(theta / 2) <= Math.min(dist(a, b), dist(b, c)) / 2 + 1e-9;
+};
+
+/**
+ * Drop corners that cannot be rounded with `radius` until every remaining one
+ * can. The end points are kept.
+ */
+export function pruneSharpBends(points, radius, { maxPasses = 50 } = {}) {
+  let pts = points.slice();
+  for (let pass = 0; pass < maxPasses && pts.length > 2; pass++) {
+    const keep = [pts[0]];
+    let removed = false;
+    for (let i = 1; i < pts.length - 1; i++) {
+      // Judge against the last kept point so neighbours are not both removed blindly
+      if (!removed && !filletFits(keep[keep.length - 1], pts[i], pts[i + 1], radius)) {
+        removed = true;
+        continue;
+      }
+      keep.push(pts[i]);
+      removed = false;
+    }
+    keep.push(pts[pts.length - 1]);
+    if (keep.length === pts.length) break;
+    pts = keep;
+  }
+  return pts;
+}
+
+/**
+ * Replace corners with circular arcs of `radius`, sampled at most `step` px
+ * apart; `shouldRound(i)` limits which points are rounded. Corners that do
+ * not fit (see `pruneSharpBends`) are left as they are. The straight runs
+ * between arcs get extra points (`balanceSegments`) so the Catmull-Rom path
+ * keeps to the arcs.
+ */
+export function filletCorners(points, radius, step, shouldRound = () => true) {
+  if (points.length < 3 || !(radius > 0)) return points.slice();
+  const out = [points[0]];
+  for (let i = 1; i < points.length - 1; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const c = points[i + 1];
+    const theta = turnAngle(a, b, c);
+    // A corner pruning could not settle is left sharp rather than overshooting its segments
+    if (theta < 1e-3 || !shouldRound(i) || !filletFits(a, b, c, radius)) {
+      out.push(b);
+      continue;
+    }
+    const t = radius * Math.tan(theta / 2);
+    const lin = dist(a, b);
+    const lout = dist(b, c);
+    const p0 = { x: b.x + ((a.x - b.x) / lin) * t, y: b.y + ((a.y - b.y) / lin) * t };
+    const p1 = { x: b.x + ((c.x - b.x) / lout) * t, y: b.y + ((c.y - b.y) / lout) * t };
+    // Centre lies on the bisector, radius/cos(θ/2) from the corner
+    const bx = (p0.x + p1.x) / 2 - b.x;
+    const by = (p0.y + p1.y) / 2 - b.y;
+    const bl = Math.hypot(bx, by) || 1;
+    const dc = radius / Math.cos(theta / 2);
+    const centre = { x: b.x + (bx / bl) * dc, y: b.y + (by / bl) * dc };
+    const a0 = Math.atan2(p0.y - centre.y, p0.x - centre.x);
+    let sweep = Math.atan2(p1.y - centre.y, p1.x - centre.x) - a0;
+    if (sweep > Math.PI) sweep -= 2 * Math.PI;
+    if (sweep < -Math.PI) sweep += 2 * Math.PI;
+    const k = Math.max(1, Math.ceil(Math.abs(sweep) * radius / step));
+    for (let s = 0; s <= k; s++) {
+      const ang = a0 + (sweep * s) / k;
+      const p = { x: centre.x + radius * Math.cos(ang), y: centre.y + radius * Math.sin(ang) };
+      if (dist(p, out[out.length - 1]) > 1e-6) out.push(p); // arcs that meet share an end point
+    }
+  }
+  out.push(points[points.length - 1]);
+  return balanceSegments(out);
+}
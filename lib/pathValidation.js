@@ -0,0 +1,209 @@
+import { dist, mmToPx, pxToMm } from "./math.js";
+import { filletCorners, filletFits, polylineLength, resampleUniform } from "./path.js";
+
+// ---------- Tube path validation ----------
+// Checks the smooth (Catmull-Rom) path against what a physical tube can do:
+//   bend     local radius of curvature below the minimum bend radius
+//   cross    the path crosses itself
+//   overlap  two stretches of the path come closer than the tube's outer
+//            diameter (the tubes would press into each other)
+//   bounds   the tube leaves the physical canvas
+// The path is resampled at a fine uniform step first; every issue refers to
+// a run of those samples so the canvas can highlight it.
+
+// Default minimum bend radius as a multiple of the tube's outer diameter
+export const BEND_RADIUS_FACTOR = 2;
+
+// Radii within this fraction of the minimum pass (Catmull-Rom sampling noise)
+const BEND_TOLERANCE = 0.9;
+
+// Stretches at the outer diameter less this fraction still pass (tubes that
+// just touch, e.g. spiral turns exactly one diameter apart)
+const OVERLAP_TOLERANCE = 0.99;
+
+// Resampling budget: long paths are checked at a coarser step
+const MAX_SAMPLES = 20000;
+
+export const tubeOuterDiameterMm = ({ tubeDiameterMm = 0, tubeWallThicknessMm = 0 } = {}) =>
+  tubeDiameterMm + 2 * tubeWallThicknessMm;
+
+export const defaultMinBendRadiusMm = (physicalUnits) => BEND_RADIUS_FACTOR * tubeOuterDiameterMm(physicalUnits);
+
+// Radius of the circle through a, b, c (Infinity when they are collinear)
+const circumradius = (a, b, c) => {
+  const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  if (Math.abs(cross) < 1e-9) return Infinity;
+  return (dist(a, b) * dist(b, c) * dist(a, c)) / (2 * Math.abs(cross));
+};
+
+const segmentsCross = (p1, p2, p3, p4) => {
+  const d = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  const d1 = d(p3, p4, p1);
+  const d2 = d(p3, p4, p2);
+  const d3 = d(p1, p2, p3);
+  const d4 = d(p1, p2, p4);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+};
+
+// Group flagged sample indices into runs of consecutive indices
+function runs(flags) {
+  const out = [];
+  let from = -1;
+  for (let i = 0; i <= flags.length; i++) {
+    if (i < flags.length && flags[i]) {
+      if (from < 0) from = i;
+    } else if (from >= 0) {
+      out.push({ from, to: i - 1 });
+      from = -1;
+    }
+  }
+  return out;
+}
+
+function checkBends(samples, step, minRadiusPx, mmPerPixel) {
+  // Measure over about half the allowed radius so the estimate is not noise
+  const k = Math.max(1, Math.round(minRadiusPx / 2 / step));
+  const radius = new Float64Array(samples.length).fill(Infinity);
+  for (let i = k; i < samples.length - k; i++) radius[i] = circumradius(samples[i - k], samples[i], samples[i + k]);
+  const flags = Array.from(radius, (r) => r < minRadiusPx * BEND_TOLERANCE);
+  return runs(flags).map(({ from, to }) => {
+    let at = from;
+    for (let i = from; i <= to; i++) if (radius[i] < radius[at]) at = i;
+    const valueMm = pxToMm(radius[at], mmPerPixel);
+    return {
+      kind: "bend",
+      from: Math.max(0, from - k),
+      to: Math.min(samples.length - 1, to + k),
+      at: samples[at],
+      valueMm,
+      message: `Bend radius ${valueMm.toFixed(2)} mm < ${pxToMm(minRadiusPx, mmPerPixel).toFixed(2)} mm`,
+    };
+  });
+}
+
+function checkOverlaps(samples, step, outerPx, minRadiusPx, mmPerPixel) {
+  // Samples this close along the path are neighbours, not overlaps: a bend at
+  // the minimum radius brings the path back no closer than 2·radius
+  const window = Math.ceil(Math.max(Math.PI * minRadiusPx, 2 * outerPx) / step);
+  const cell = Math.max(outerPx, step);
+  const grid = new Map();
+  const key = (cx, cy) => `${cx},${cy}`;
+  samples.forEach((p, i) => {
+    const k = key(Math.floor(p.x / cell), Math.floor(p.y / cell));
+    if (!grid.has(k)) grid.set(k, []);
+    grid.get(k).push(i);
+  });
+  // Closest other-stretch sample for each sample (only j > i + window)
+  const hits = [];
+  samples.forEach((p, i) => {
+    const cx = Math.floor(p.x / cell);
+    const cy = Math.floor(p.y / cell);
+    let best = null;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        for (const j of grid.get(key(cx + dx, cy + dy)) || []) {
+          if (j <= i + window) continue;
+          const d = dist(p, samples[j]);
+          if (d < outerPx * OVERLAP_TOLERANCE && (!best || d < best.d)) best = { i, j, d };
+        }
+      }
+    }
+    if (best) hits.push(best);
+  });
+  // One issue per stretch of consecutive hits
+  const issues = [];
+  let group = [];
+  const flush = () => {
+    if (group.length === 0) return;
+    const closest = group.reduce((a, b) => (b.d < a.d ? b : a));
+    const crosses = group.some(({ i, j }) =>
+      i + 1 < samples.length && j + 1 < samples.length && segmentsCross(samples[i], samples[i + 1], samples[j], samples[j + 1]));
+    const valueMm = pxToMm(closest.d, mmPerPixel);
+    issues.push({
+      kind: crosses ? "cross" : "overlap",
+      from: group[0].i,
+      to: group[group.length - 1].i,
+      other: { from: Math.min(...group.map((h) => h.j)), to: Math.max(...group.map((h) => h.j)) },
+      at: samples[closest.i],
+      valueMm,
+      message: crosses
+        ? "Path crosses itself"
+        : `Tubes ${valueMm.toFixed(2)} mm apart < outer diameter ${pxToMm(outerPx, mmPerPixel).toFixed(2)} mm`,
+    });
+    group = [];
+  };
+  for (const hit of hits) {
+    const prev = group[group.length - 1];
+    if (prev && hit.i - prev.i > 2) flush();
+    group.push(hit);
+  }
+  flush();
+  return issues;
+}
+
+function checkBounds(samples, outerPx, widthPx, heightPx) {
+  const r = outerPx / 2;
+  const flags = samples.map((p) => p.x < r || p.y < r || p.x > widthPx - r || p.y > heightPx - r);
+  return runs(flags).map(({ from, to }) => ({
+    kind: "bounds",
+    from,
+    to,
+    at: samples[Math.round((from + to) / 2)],
+    valueMm: null,
+    message: "Tube leaves the canvas",
+  }));
+}
+
+/**
+ * Validate a smooth path (e.g. `sampleCatmullRom(points, 24)`, in px).
+ * @param {{ x, y }[]} smooth
+ * @param {{ mmPerPixel: number, physicalUnits: object, minBendRadiusMm?: number|null }} opts
+ *   `physicalUnits` supplies the tube (`tubeDiameterMm`, `tubeWallThicknessMm`)
+ *   and the canvas (`canvasWidthMm`, `canvasHeightMm`); the bend radius
+ *   defaults to `defaultMinBendRadiusMm`.
+ * @returns {{ samples: { x, y }[], step: number, minBendRadiusMm: number, outerDiameterMm: number,
+ *   issues: { kind, from, to, at, valueMm, message, other? }[] }}
+ *   `from`/`to` (and `other`) are indices into `samples`
+ */
+export function validatePath(smooth, { mmPerPixel, physicalUnits, minBendRadiusMm = null }) {
+  const outerDiameterMm = tubeOuterDiameterMm(physicalUnits);
+  const bendMm = minBendRadiusMm > 0 ? minBendRadiusMm : defaultMinBendRadiusMm(physicalUnits);
+  const empty = { samples: [], step: 1, minBendRadiusMm: bendMm, outerDiameterMm, issues: [] };
+  if (smooth.length < 2) return empty;
+  const outerPx = mmToPx(outerDiameterMm, mmPerPixel);
+  const minRadiusPx = mmToPx(bendMm, mmPerPixel);
+  const length = polylineLength(smooth);
+  const step = Math.max(0.5, Math.min(outerPx / 2, minRadiusPx / 4), length / MAX_SAMPLES);
+  const samples = resampleUniform(smooth, step);
+  if (samples.length < 3) return { ...empty, samples, step };
+  const issues = [
+    ...checkBends(samples, step, minRadiusPx, mmPerPixel),
+    ...checkOverlaps(samples, step, outerPx, minRadiusPx, mmPerPixel),
+    ...checkBounds(samples, outerPx, mmToPx(physicalUnits.canvasWidthMm, mmPerPixel), mmToPx(physicalUnits.canvasHeightMm, mmPerPixel)),
+  ];
+  return { samples, step, minBendRadiusMm: bendMm, outerDiameterMm, issues };
+}
+
+/**
+ * Auto-fix for bend issues: the control point nearest to each one is replaced
+ * by a fillet arc of `radiusPx`. Where the arc does not fit between the
+ * neighbouring control points, the corner is left unchanged and its issue is
+ * returned in `unfixed`; no control point is ever dropped.
+ * @returns {{ points: { x, y }[], rounded: number, unfixed: object[] }}
+ */
+export function filletBendIssues(points, issues, radiusPx) {
+  const corners = new Set();
+  const unfixed = [];
+  for (const issue of issues) {
+    if (issue.kind !== "bend") continue;
+    let nearest = -1;
+    for (let i = 1; i < points.length - 1; i++) {
+      if (nearest < 0 || dist(points[i], issue.at) < dist(points[nearest], issue.at)) nearest = i;
+    }
+    if (nearest > 0 && filletFits(points[nearest - 1], points[nearest], points[nearest + 1], radiusPx)) corners.add(nearest);
+    else unfixed.push(issue);
+  }
+  if (corners.size === 0) return { points: points.slice(), rounded: 0, unfixed };
+  const out = filletCorners(points, radiusPx, Math.max(1, radiusPx / 3), (i) => corners.has(i));
+  return { points: out, rounded: corners.size, unfixed };
+}
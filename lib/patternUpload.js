@@ -0,0 +1,152 @@
+// ---------- Acknowledged pattern upload ----------
+// Replaces the bare `{ type: "pattern", steps }` message with a chunked
+// upload the firmware confirms step by step:
+//
+//   → { type: "upload", cmd: "begin",  id, count, crc, chunks }
+//   ← { type: "ack",    cmd: "begin",  id }
+//   → { type: "upload", cmd: "chunk",  id, seq, offset, steps, crc }
+//   ← { type: "ack",    cmd: "chunk",  id, seq, crc }         (crc of the chunk as received)
+//   → { type: "upload", cmd: "commit", id }
+//   ← { type: "ack",    cmd: "commit", id, count, crc }       (whole buffer as held)
+//
+// `begin` clears the device buffer. Every request is re-sent when its ack
+// does not arrive within `ackTimeoutMs`, when a `{ type: "nack", cmd, id,
+// seq? }` comes back, or when an ack carries the wrong checksum. The upload
+// only resolves once the commit ack confirms both step count and CRC, so the
+// caller can send `start` safely.
+//
+// CRCs are CRC-32 (IEEE) over the steps serialised as "ch0,ch1,duration"
+// joined with ";", which is cheap to reproduce on the ESP32.
+
+export const UPLOAD_DEFAULTS = {
+  chunkSize: 10,      // steps per chunk
+  ackTimeoutMs: 1000,
+  maxRetries: 3,      // re-sends per request before giving up
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/** CRC-32 (IEEE 802.3) of an ASCII string. */
+export function crc32(text) {
+  let c = 0xffffffff;
+  for (let i = 0; i < text.length; i++) c = CRC_TABLE[(c ^ text.charCodeAt(i)) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+export const serializeSteps = (steps) => steps.map((s) => `${s.ch0},${s.ch1},${s.duration}`).join(";");
+
+export const stepsCrc = (steps) => crc32(serializeSteps(steps));
+
+/**
+ * Create an uploader bound to a transport.
+ * @param {object} opts
+ * @param {(msg:object) => boolean} opts.send sends one JSON message, false when offline
+ * @param {(msg:string) => void} [opts.log] progress messages
+ * @param {number} [opts.chunkSize]
+ * @param {number} [opts.ackTimeoutMs]
+ * @param {number} [opts.maxRetries]
+ * @returns {{
+ *   upload: (steps: {ch0:number,ch1:number,duration:number}[]) => Promise<{ id:number, count:number, crc:number }>,
+ *   handleMessage: (data: object) => boolean,
+ *   cancel: (reason?: string) => void,
+ *   isBusy: () => boolean,
+ * }}
+ */
+export function createPatternUploader(opts) {
+  const { send, log = () => {}, chunkSize, ackTimeoutMs, maxRetries } = { ...UPLOAD_DEFAULTS, ...opts };
+  let nextId = 1;
+  let pending = null; // { match, resolve, reject, timer }
+  let active = null;  // { id, cancelled }
+
+  const settle = (fn, value) => {
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    const p = pending;
+    pending = null;
+    p[fn](value);
+  };
+
+  // Send `msg` and wait for a matching ack; retried up to maxRetries times
+  const request = async (msg, isAck, label) => {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (active?.cancelled) throw new Error("Upload cancelled");
+      if (attempt > 0) log(`Upload: retry ${attempt}/${maxRetries} for ${label}`);
+      if (!send(msg)) throw new Error("Not connected");
+      const outcome = await new Promise((resolve, reject) => {
+        pending = {
+          match: (data) => data.id === msg.id && data.cmd === msg.cmd && (msg.seq === undefined || data.seq === msg.seq),
+          resolve,
+          reject,
+          timer: setTimeout(() => settle("resolve", { timeout: true }), ackTimeoutMs),
+        };
+      });
+      if (outcome.timeout) continue;
+      if (outcome.type === "nack") {
+        log(`Upload: device rejected ${label}${outcome.reason ? ` (${outcome.reason})` : ""}`);
+        continue;
+      }
+      if (isAck(outcome)) return outcome;
+      log(`Upload: checksum mismatch on ${label}`);
+    }
+    throw new Error(`No valid ack for ${label}`);
+  };
+
+  const upload = async (steps) => {
+    if (active) throw new Error("Upload already in progress");
+    const id = nextId++;
+    active = { id, cancelled: false };
+    try {
+      const count = steps.length;
+      const crc = stepsCrc(steps);
+      const chunks = Math.ceil(count / chunkSize);
+      log(`Upload #${id}: ${count} steps in ${chunks} chunks (crc ${crc.toString(16)})`);
+
+      await request({ type: "upload", cmd: "begin", id, count, crc, chunks }, () => true, "begin");
+
+      for (let seq = 0; seq < chunks; seq++) {
+        const offset = seq * chunkSize;
+        const part = steps.slice(offset, offset + chunkSize);
+        const partCrc = stepsCrc(part);
+        await request(
+          { type: "upload", cmd: "chunk", id, seq, offset, steps: part, crc: partCrc },
+          (ack) => ack.crc === partCrc,
+          `chunk ${seq + 1}/${chunks}`
+        );
+        log(`Upload #${id}: chunk ${seq + 1}/${chunks} acknowledged (${Math.min(count, offset + part.length)}/${count} steps)`);
+      }
+
+      await request(
+        { type: "upload", cmd: "commit", id },
+        (ack) => ack.count === count && ack.crc === crc,
+        "commit"
+      );
+      log(`Upload #${id}: device holds ${count} steps, crc verified`);
+      return { id, count, crc };
+    } finally {
+      active = null;
+    }
+  };
+
+  // Feed every incoming ack/nack here; returns true when it was consumed
+  const handleMessage = (data) => {
+    if (!pending || (data?.type !== "ack" && data?.type !== "nack")) return false;
+    if (!pending.match(data)) return false;
+    settle("resolve", data);
+    return true;
+  };
+
+  const cancel = (reason = "Upload cancelled") => {
+    if (active) active.cancelled = true;
+    settle("reject", new Error(reason));
+  };
+
+  return { upload, handleMessage, cancel, isBusy: () => active !== null };
+}
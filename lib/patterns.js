@@ -0,0 +1,464 @@
+import { mmToPx, pxToMm } from "./math.js";
+import { grayscaleAt } from "./synthesis.js";
+import { generateAutoRoute } from "./autoRoute.js";
+import { defaultMinBendRadiusMm } from "./pathValidation.js";
+import { generateArchimedeanSpiral, generateContourSpiral, generateRectangularSpiral, shapeMask } from "./spirals.js";
+
+// ---------- Path pattern generators ----------
+// A pattern fills the box between two clicked points with control points for
+// the one-stroke tube path. Generators are registered by id together with a
+// parameter schema, so the UI can list them and build their inputs:
+//
+//   registerPatternGenerator({
+//     id: "parallel",
+//     label: "Parallel",
+//     icon: "||",
+//     description: "…",                        // shown under the parameters
+//     params: [{ key, label, min, max, step, default, unit? }],
+//     usesImage: false,                        // regenerate when the content changes
+//     generate(startPoint, endPoint, params, { mmPerPixel, physicalUnits, image, minBendRadiusMm })
+//       → [{ x, y }] | { points: [{ x, y }], warning }
+//   });
+//
+// Parameter keys are shared between generators (e.g. `tubeSpacingMm`), so one
+// params object holds the values for all of them. Lengths are in mm and
+// converted with `mmPerPixel`; counts are plain numbers. `image` is the
+// content raster (ImageData) for generators that follow the artwork;
+// `minBendRadiusMm` is the path check's bend radius (null: the tube default).
+// A generator that cannot honour its parameters returns a `warning` (shown
+// with the pattern) next to its points.
+
+const generators = new Map();
+
+export function registerPatternGenerator(def) {
+  if (!def?.id || typeof def.generate !== "function") throw new Error("Pattern generator needs an id and generate()");
+  generators.set(def.id, { params: [], ...def });
+}
+
+export const getPatternGenerator = (id) => generators.get(id) || null;
+export const listPatternGenerators = () => [...generators.values()];
+
+/** Default value of every registered parameter, keyed by parameter key. */
+export function defaultPatternParams() {
+  const out = {};
+  for (const gen of generators.values()) {
+    for (const p of gen.params) if (!(p.key in out)) out[p.key] = p.default;
+  }
+  return out;
+}
+
+/**
+ * Control points for `patternType` and the generator's warning (null when it
+ * honoured its parameters); parameters missing from `params` take their
+ * defaults.
+ * @returns {{ points: { x, y }[], warning: string|null }}
+ */
+export function generatePattern(patternType, startPoint, endPoint, params = {}, ctx = {}) {
+  const gen = generators.get(patternType);
+  if (!gen) throw new Error(`Unknown pattern type: ${patternType}`);
+  const values = { ...Object.fromEntries(gen.params.map((p) => [p.key, p.default])), ...params };
+  const out = gen.generate(startPoint, endPoint, values, { mmPerPixel: 0.2, ...ctx });
+  return Array.isArray(out) ? { points: out, warning: null } : { points: out.points, warning: out.warning || null };
+}
+
+/** Control points only; see `generatePattern`. */
+export const generatePatternPoints = (...args) => generatePattern(...args).points;
+
+// Top-left / bottom-right of the box spanned by two points
+const normalizeBox = (a, b) => ({
+  start: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y) },
+  end: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y) },
+});
+
+// ---------- Built-in generators ----------
+
+export function generateParallelPattern(startPoint, endPoint, params) {
+  const { topFolds } = params; // Use topFolds as the fold count
+  const points = [];
+
+  const startX = startPoint.x;
+  const startY = startPoint.y;
+  const endX = endPoint.x;
+  const endY = endPoint.y;
+  const width = endX - startX;
+
+  // Calculate control points Z1-Z10 based on fold count
+  const foldCount = topFolds; // Use topFolds as the number of folds
+  const totalPoints = foldCount * 2; // Double the fold count for alternating points
+
+  // Generate control points along X-axis
+  for (let i = 0; i <= totalPoints; i++) {
+    const x = startX + (width * i) / totalPoints;
+
+    // Alternate between startY and endY
+    const y = (i % 2 === 0) ? startY : endY;
+
+    points.push({ x, y });
+  }
+
+  return points;
+}
+
+/**
+ * Rows `tubeWidth` px apart, alternating between the top fold positions
+ * (`topFolds` divisions of the width) and the bottom ones (`bottomFolds`).
+ */
+export function generateZigzagPattern(startPoint, endPoint, params) {
+  const { topFolds, bottomFolds, tubeWidth } = params;
+  const points = [];
+
+  const startX = startPoint.x;
+  const startY = startPoint.y;
+  const endX = endPoint.x;
+  const endY = endPoint.y;
+  const width = endX - startX;
+
+  // Calculate fold positions
+  const topFoldPositions = [];
+  const bottomFoldPositions = [];
+
+  for (let i = 0; i <= topFolds; i++) {
+    topFoldPositions.push(startX + (width * i) / topFolds);
+  }
+
+  for (let i = 0; i <= bottomFolds; i++) {
+    bottomFoldPositions.push(startX + (width * i) / bottomFolds);
+  }
+
+  // Generate zigzag path: alternate between top and bottom fold positions
+  let currentY = startY;
+  let goingDown = true;
+  let topIndex = 0;
+  let bottomIndex = 0;
+  let stepCount = 0;
+  const maxSteps = 1000; // Safety limit
+
+  while (currentY <= endY && stepCount < maxSteps) {
+    const x = goingDown
+      ? topFoldPositions[topIndex % topFoldPositions.length]
+      : bottomFoldPositions[bottomIndex % bottomFoldPositions.length];
+    points.push({ x, y: currentY });
+
+    // Move down by tube width
+    currentY += tubeWidth;
+    if (currentY >= endY) {
+      points.push({ x, y: endY });
+      break;
+    }
+
+    if (goingDown) topIndex++;
+    else bottomIndex++;
+    goingDown = !goingDown;
+    stepCount++;
+  }
+
+  return points;
+}
+
+/**
+ * Sine rows `spacing` px apart (centre to centre); `frequency` is in radians
+ * per px. The first row sits one amplitude below the top so it is not
+ * clipped, and rows run alternately left→right and right→left so the tube
+ * stays one stroke.
+ */
+export function generateWavePattern(startPoint, endPoint, params) {
+  const { spacing, amplitude, frequency } = params;
+  const points = [];
+
+  const startX = startPoint.x;
+  const startY = startPoint.y;
+  const endX = endPoint.x;
+  const endY = endPoint.y;
+  const width = endX - startX;
+  const height = endY - startY;
+  const numLines = height >= 2 * amplitude ? Math.floor((height - 2 * amplitude) / spacing) + 1 : 0;
+
+  // Use adaptive step size for smoother curves
+  const stepSize = Math.max(1, width / 100);
+  for (let i = 0; i < numLines; i++) {
+    const lineY = startY + amplitude + i * spacing;
+    const row = [];
+    for (let j = 0; j <= width; j += stepSize) {
+      const waveY = lineY + Math.sin(j * frequency) * amplitude;
+      if (waveY >= startY && waveY <= endY) {
+        row.push({ x: startX + j, y: waveY });
+      }
+    }
+    // Ensure we always have the end point
+    if (width > 0) {
+      const endWaveY = lineY + Math.sin(width * frequency) * amplitude;
+      if (endWaveY >= startY && endWaveY <= endY) {
+        row.push({ x: endX, y: endWaveY });
+      }
+    }
+    points.push(...(i % 2 === 0 ? row : row.reverse()));
+  }
+
+  return points;
+}
+
+// ---------- Space-filling curves ----------
+// Hilbert, Peano and Gosper curves from their L-systems: one stroke that
+// visits the whole area without the single direction of serpentine rows.
+// Every F is one pass of length `cell`, so neighbouring passes are one cell
+// apart; the order is the highest whose cell is still at least the tube
+// spacing (or the one asked for). From order 3 on, the Gosper curve's turtle
+// path comes back to lattice vertices it has already passed (24 of them at
+// order 3), so a tube would press on itself there; it stops at order 2.
+
+const CURVES = {
+  hilbert: { axiom: "A", rules: { A: "+BF-AFA-FB+", B: "-AF+BFB+FA-" }, angle: 90, draw: "F", maxOrder: 6 },
+  peano: { axiom: "L", rules: { L: "LFRFL-F-RFLFR+F+LFRFL", R: "RFLFR+F+LFRFL-F-RFLFR" }, angle: 90, draw: "F", maxOrder: 4 },
+  gosper: { axiom: "A", rules: { A: "A-B--B+A++AA+B-", B: "+A-AA--B-A++A+B" }, angle: 60, draw: "AB", maxOrder: 2 },
+};
+
+// Turtle walk of an L-system with unit steps
+function lSystemPoints({ axiom, rules, angle, draw }, order) {
+  let program = axiom;
+  for (let i = 0; i < order; i++) program = program.replace(/[A-Z]/g, (c) => rules[c] ?? c);
+  const turn = (angle * Math.PI) / 180;
+  let x = 0;
+  let y = 0;
+  let heading = 0;
+  const points = [{ x, y }];
+  for (const c of program) {
+    if (c === "+") heading += turn;
+    else if (c === "-") heading -= turn;
+    else if (draw.includes(c)) {
+      x += Math.cos(heading);
+      y += Math.sin(heading);
+      points.push({ x: Math.round(x * 1e9) / 1e9, y: Math.round(y * 1e9) / 1e9 });
+    }
+  }
+  return points;
+}
+
+// Map unit-step points into the box; square-grid curves stretch to fill it,
+// Gosper keeps its shape and is centred. Returns the resulting step length.
+function fitToBox(points, start, end, keepAspect) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX || 1;
+  const spanY = Math.max(...ys) - minY || 1;
+  let sx = (end.x - start.x) / spanX;
+  let sy = (end.y - start.y) / spanY;
+  let ox = start.x;
+  let oy = start.y;
+  if (keepAspect) {
+    sx = sy = Math.min(sx, sy);
+    ox += (end.x - start.x - spanX * sx) / 2;
+    oy += (end.y - start.y - spanY * sy) / 2;
+  }
+  return {
+    cell: Math.min(sx, sy),
+    points: points.map((p) => ({ x: ox + (p.x - minX) * sx, y: oy + (p.y - minY) * sy })),
+  };
+}
+
+/**
+ * Space-filling curve `curve` ("hilbert" | "peano" | "gosper") in the box
+ * between the two points, with the pass length `cell` (px) it ended up with.
+ * `order` 0 picks the highest order whose passes are at least `spacing` px
+ * apart; `maxOrder` may stop it short of that in a large box.
+ * @returns {{ points: { x, y }[], cell: number, order: number }}
+ */
+export function fitSpaceFillingCurve(curve, startPoint, endPoint, { spacing, order = 0 }) {
+  const def = CURVES[curve];
+  if (!def) throw new Error(`Unknown curve: ${curve}`);
+  const { start, end } = normalizeBox(startPoint, endPoint);
+  const fit = (n) => ({ ...fitToBox(lSystemPoints(def, n), start, end, curve === "gosper"), order: n });
+  if (order > 0) return fit(Math.min(order, def.maxOrder));
+  let best = fit(1);
+  for (let n = 2; n <= def.maxOrder; n++) {
+    const next = fit(n);
+    if (next.cell < spacing) break;
+    best = next;
+  }
+  return best;
+}
+
+/** Control points of `fitSpaceFillingCurve`. */
+export const generateSpaceFillingCurve = (...args) => fitSpaceFillingCurve(...args).points;
+
+const FOLDS = { key: "topFolds", label: "Folds", min: 1, max: 20, step: 1, default: 5 };
+const TUBE_SPACING = { key: "tubeSpacingMm", label: "Tube Spacing", min: 0.5, max: 10, step: 0.1, default: 2, unit: "mm" };
+
+registerPatternGenerator({
+  id: "parallel",
+  label: "Parallel",
+  icon: "||",
+  description: "始点と終点の間を折り返し数で分割し、上下に交互に点を打つ",
+  params: [FOLDS],
+  generate: (start, end, p) => generateParallelPattern(start, end, p),
+});
+
+// Clear band kept along every canvas edge by "parallelMargins"
+const CANVAS_MARGIN_MM = 150;
+
+registerPatternGenerator({
+  id: "parallelMargins",
+  label: "Parallel (15cm Margins)",
+  icon: "[||]",
+  description: "平行パターンと同じ折り返しを、キャンバスの上下左右から15cmの余白の内側に収めて打つ",
+  params: [FOLDS],
+  generate: (start, end, p, { mmPerPixel, physicalUnits }) => {
+    const margin = mmToPx(CANVAS_MARGIN_MM, mmPerPixel);
+    const right = mmToPx(physicalUnits.canvasWidthMm, mmPerPixel) - margin;
+    const bottom = mmToPx(physicalUnits.canvasHeightMm, mmPerPixel) - margin;
+    return generateParallelPattern(
+      { x: Math.max(start.x, margin), y: Math.max(start.y, margin) },
+      { x: Math.min(end.x, right), y: Math.min(end.y, bottom) },
+      p,
+    );
+  },
+});
+
+registerPatternGenerator({
+  id: "zigzag",
+  label: "Zigzag",
+  icon: "/\\/",
+  description: "チューブ間隔ごとに上側・下側の折り返し位置を交互にたどる",
+  params: [
+    { ...FOLDS, label: "Top Folds" },
+    { key: "bottomFolds", label: "Bottom Folds", min: 1, max: 20, step: 1, default: 4 },
+    TUBE_SPACING,
+  ],
+  generate: (a, b, p, { mmPerPixel }) => {
+    const { start, end } = normalizeBox(a, b);
+    return generateZigzagPattern(start, end, { ...p, tubeWidth: mmToPx(p.tubeSpacingMm, mmPerPixel) });
+  },
+});
+
+registerPatternGenerator({
+  id: "wave",
+  label: "Wave",
+  icon: "∿",
+  description: "波状の行を並べ、行ごとに向きを反転する（チューブ間隔は隣の行の波との隙間）",
+  params: [
+    TUBE_SPACING,
+    { key: "amplitudeMm", label: "Amplitude", min: 0.5, max: 20, step: 0.5, default: 4, unit: "mm" },
+    { key: "frequencyPerMm", label: "Frequency", min: 0.01, max: 1, step: 0.01, default: 0.1, unit: "/mm" },
+  ],
+  generate: (a, b, p, { mmPerPixel }) => {
+    const { start, end } = normalizeBox(a, b);
+    return generateWavePattern(start, end, {
+      spacing: mmToPx(p.tubeSpacingMm + 2 * p.amplitudeMm, mmPerPixel),
+      amplitude: mmToPx(p.amplitudeMm, mmPerPixel),
+      frequency: 2 * Math.PI * p.frequencyPerMm * mmPerPixel, // cycles per mm -> rad per px
+    });
+  },
+});
+
+const CURVE_ORDER = { key: "curveOrder", label: "Order (0 = auto)", min: 0, max: 6, step: 1, default: 0 };
+
+for (const [id, label, icon, description] of [
+  ["hilbert", "Hilbert", "⊓", "ヒルベルト曲線で領域を一筆書きで埋める（次数はチューブ間隔から自動選択）"],
+  ["peano", "Peano", "≋", "ペアノ曲線（3×3 分割）で領域を埋める"],
+  ["gosper", "Gosper", "✻", "ゴスパー曲線（六角形状）で領域を埋める。縦横比は保たれる。自己接触を避けるため次数は 2 まで（広い領域では間隔が粗くなる）"],
+]) {
+  registerPatternGenerator({
+    id,
+    label,
+    icon,
+    description,
+    params: [TUBE_SPACING, { ...CURVE_ORDER, max: CURVES[id].maxOrder }],
+    generate: (a, b, p, { mmPerPixel }) => {
+      const { points, cell, order } = fitSpaceFillingCurve(id, a, b, { spacing: mmToPx(p.tubeSpacingMm, mmPerPixel), order: p.curveOrder });
+      // Automatic orders land within one refinement step (≤ 3×) of the spacing
+      const spacingMm = pxToMm(cell, mmPerPixel);
+      const warning = !(p.curveOrder > 0) && spacingMm > 3 * p.tubeSpacingMm
+        ? `最大次数 ${order} でも通過間隔が ${spacingMm.toFixed(1)} mm（指定 ${p.tubeSpacingMm} mm）。領域を小さくするか別のパターンを選んでください`
+        : null;
+      return { points, warning };
+    },
+  });
+}
+
+// ---------- Spirals ----------
+
+// Centre-to-centre distance of adjacent turns: the requested spacing, but never
+// less than the tube's outer diameter so neighbouring turns cannot overlap
+const turnPitchMm = (p, { tubeDiameterMm = 0, tubeWallThicknessMm = 0 } = {}) =>
+  Math.max(p.tubeSpacingMm, tubeDiameterMm + 2 * tubeWallThicknessMm);
+
+// Keeps the outermost turn's wall inside the box / shape
+const outerRadiusMm = ({ tubeDiameterMm = 0, tubeWallThicknessMm = 0 } = {}) => tubeDiameterMm / 2 + tubeWallThicknessMm;
+
+// The path check's bend radius (`minBendRadiusMm` in ctx, else the default
+// for the tube), so generated spirals pass it
+const bendRadiusMm = ({ minBendRadiusMm, physicalUnits }) =>
+  (minBendRadiusMm > 0 ? minBendRadiusMm : defaultMinBendRadiusMm(physicalUnits));
+
+const spiralOptions = (p, ctx) => ({
+  pitch: mmToPx(turnPitchMm(p, ctx.physicalUnits), ctx.mmPerPixel),
+  inset: mmToPx(outerRadiusMm(ctx.physicalUnits), ctx.mmPerPixel),
+  bendRadius: mmToPx(bendRadiusMm(ctx), ctx.mmPerPixel),
+});
+
+registerPatternGenerator({
+  id: "archimedean",
+  label: "Spiral",
+  icon: "@",
+  description: "領域に内接するアルキメデス螺旋を外側から中心へ（ピッチはチューブ間隔、外径未満にはならない）",
+  params: [TUBE_SPACING],
+  generate: (a, b, p, ctx) => generateArchimedeanSpiral(a, b, spiralOptions(p, ctx)),
+});
+
+registerPatternGenerator({
+  id: "squareSpiral",
+  label: "Square Spiral",
+  icon: "▣",
+  description: "領域の外周から内側へ矩形の渦巻き",
+  params: [TUBE_SPACING],
+  generate: (a, b, p, ctx) => generateRectangularSpiral(a, b, spiralOptions(p, ctx)),
+});
+
+/**
+ * Inside/outside grid of the content inside the box: dark pixels of `image`
+ * (the content raster) count as the shape. Without an image, or when the box
+ * holds no content, the whole box is the shape.
+ */
+export function contentShape(startPoint, endPoint, image, cell) {
+  const whole = () => true;
+  const ink = image ? (x, y) => grayscaleAt(image, x, y) < 0.5 : whole;
+  const shape = shapeMask(startPoint, endPoint, cell, ink);
+  return shape.mask.includes(1) ? shape : shapeMask(startPoint, endPoint, cell, whole);
+}
+
+registerPatternGenerator({
+  id: "contourSpiral",
+  label: "Contour Spiral",
+  icon: "◎",
+  description: "領域内のコンテンツの輪郭に沿って、チューブ間隔ずつ内側へオフセットしながら周回する（コンテンツがなければ領域の矩形）",
+  params: [TUBE_SPACING],
+  usesImage: true,
+  generate: (a, b, p, ctx) => {
+    const opts = spiralOptions(p, ctx);
+    // A quarter pitch keeps the offset rings smooth without a huge grid
+    const shape = contentShape(a, b, ctx.image, Math.max(1, opts.pitch / 4));
+    return generateContourSpiral(shape, opts);
+  },
+});
+
+// ---------- Auto-route ----------
+
+registerPatternGenerator({
+  id: "autoRoute",
+  label: "Auto Route",
+  icon: "✎",
+  description: "コンテンツの濃い部分に点を打ち、最短経路でつないで一筆書きにする（白地を通る長さを減らす）。曲げ半径未満の角は間引いて丸める",
+  params: [
+    TUBE_SPACING,
+    { key: "inkThreshold", label: "Ink Threshold", min: 0.05, max: 0.9, step: 0.05, default: 0.15 },
+  ],
+  usesImage: true,
+  // Same bend radius as the path check (see `bendRadiusMm`)
+  generate: (a, b, p, ctx) =>
+    generateAutoRoute(ctx.image, a, b, {
+      spacing: mmToPx(turnPitchMm(p, ctx.physicalUnits), ctx.mmPerPixel),
+      minBendRadius: mmToPx(bendRadiusMm(ctx), ctx.mmPerPixel),
+      threshold: p.inkThreshold,
+    }),
+});
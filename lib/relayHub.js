@@ -0,0 +1,165 @@
+import WebSocket from "ws";
+import { createDeviceConnection } from "./deviceConnection.js";
+
+// ---------- Device relay (server side) ----------
+// Keeps one upstream WebSocket per device (`host:port`) on the server so the
+// browser never has to reach the ESP32 directly: pages served over HTTPS or
+// from outside the device's LAN talk to /api/relay instead (see
+// lib/relaySocket.js for the browser half).
+//
+// Per device the hub keeps
+//  - the upstream connection (lib/deviceConnection.js: heartbeat, reconnect,
+//    send queue),
+//  - a ring buffer of the job log (TX/RX except status/ping chatter),
+//  - the last status and the last committed pattern,
+// so a page that is reopened mid-run gets everything in one `relayHello`.
+//
+// Messages to the browser, besides everything the device sends:
+//   { type: "relayHello", upstream, log: [{ seq, t, dir, msg }], status, job }
+//   { type: "relayStatus", upstream }
+//   { type: "pong", t }  answered by the hub while the upstream is connected
+//
+// The hub lives on globalThis so dev-mode reloads of the route module reuse
+// the open connections.
+
+export const RELAY_DEFAULTS = {
+  logSize: 500,
+  idleMs: 5 * 60 * 1000, // close upstreams nobody watches once the device is idle
+};
+
+// Comma-separated `host` or `host:port` list. The relay opens connections
+// from the server, so with the list unset or empty it refuses every target
+// rather than acting as an open proxy into the server's network.
+const allowedHosts = () =>
+  (process.env.TUBEDROP_RELAY_HOSTS || "").split(",").map((h) => h.trim()).filter(Boolean);
+
+export const isRelayEnabled = () => allowedHosts().length > 0;
+
+export function isRelayTargetAllowed(host, port) {
+  const allowed = allowedHosts();
+  return allowed.includes(host) || allowed.includes(`${host}:${port}`);
+}
+
+const QUIET_TYPES = new Set(["status", "ping", "pong"]);
+
+function createRelayChannel(host, port, onIdle) {
+  const subscribers = new Set();
+  const log = [];
+  let seq = 0;
+  let upstream = "disconnected";
+  let status = null;
+  let job = null;          // { steps, committedAt, startedAt } of the last committed upload
+  let staging = null;      // upload being assembled from begin/chunk messages
+  let idleTimer = null;
+
+  const emit = (obj) => {
+    const text = JSON.stringify(obj);
+    subscribers.forEach((fn) => fn(text));
+  };
+
+  const record = (dir, msg) => {
+    log.push({ seq: ++seq, t: new Date().toISOString(), dir, msg });
+    if (log.length > RELAY_DEFAULTS.logSize) log.shift();
+  };
+
+  // Track the committed pattern from the upload traffic passing through
+  const trackOutgoing = (obj) => {
+    if (obj.type === "upload" && obj.cmd === "begin") staging = { id: obj.id, steps: new Array(obj.count) };
+    else if (obj.type === "upload" && obj.cmd === "chunk" && staging?.id === obj.id && Array.isArray(obj.steps)) {
+      staging.steps.splice(obj.offset, obj.steps.length, ...obj.steps);
+    } else if (obj.type === "pattern" && Array.isArray(obj.steps)) {
+      job = { steps: obj.steps, committedAt: Date.now(), startedAt: null };
+    } else if (obj.type === "control" && obj.cmd === "start" && job) {
+      job = { ...job, startedAt: Date.now() };
+    }
+  };
+  const trackIncoming = (data) => {
+    if (data.type === "status") status = data;
+    if (data.type === "ack" && data.cmd === "commit" && staging?.id === data.id) {
+      job = { steps: staging.steps.filter(Boolean), committedAt: Date.now(), startedAt: null };
+      staging = null;
+    }
+  };
+
+  const connection = createDeviceConnection({
+    url: `ws://${host}:${port}`,
+    WebSocketImpl: WebSocket,
+    onStatus: (next) => {
+      upstream = next;
+      record("relay", `upstream ${next}`);
+      emit({ type: "relayStatus", upstream: next });
+    },
+    onLog: (msg) => record("relay", msg),
+    onMessage: (data, raw) => {
+      trackIncoming(data);
+      if (!QUIET_TYPES.has(data.type)) record("rx", raw);
+      emit(data);
+    },
+    onRaw: (raw) => {
+      record("rx", raw);
+      subscribers.forEach((fn) => fn(raw));
+    },
+  });
+
+  const scheduleIdleCheck = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (subscribers.size > 0) return;
+      if (status?.patternActive) scheduleIdleCheck();
+      else onIdle();
+    }, RELAY_DEFAULTS.idleMs);
+  };
+
+  return {
+    subscribe(fn) {
+      clearTimeout(idleTimer);
+      connection.connect();
+      subscribers.add(fn);
+      fn(JSON.stringify({ type: "relayHello", upstream, log, status, job }));
+      return () => {
+        subscribers.delete(fn);
+        if (subscribers.size === 0) scheduleIdleCheck();
+      };
+    },
+    /** @returns {"sent"|"queued"|"pong"|false} */
+    send(obj) {
+      if (obj?.type === "ping") {
+        // Only answer while the device is reachable, so the browser's
+        // heartbeat still notices a dead upstream
+        if (upstream !== "connected") return false;
+        emit({ type: "pong", t: obj.t });
+        return "pong";
+      }
+      connection.connect();
+      if (subscribers.size === 0) scheduleIdleCheck();
+      // Priority messages (e-stop) must not wait behind a backlog
+      if (obj.priority) connection.clearQueue();
+      const result = connection.send(obj);
+      if (result) {
+        trackOutgoing(obj);
+        if (!QUIET_TYPES.has(obj.type)) record("tx", JSON.stringify(obj));
+      }
+      return result;
+    },
+    close() {
+      clearTimeout(idleTimer);
+      connection.close();
+    },
+  };
+}
+
+const hub = (globalThis.__tubedropRelayHub ??= new Map()); // "host:port" -> channel
+
+/** Channel for one device, created (and connected) on first use. */
+export function getRelayChannel(host, port) {
+  const key = `${host}:${port}`;
+  let channel = hub.get(key);
+  if (!channel) {
+    channel = createRelayChannel(host, port, () => {
+      channel.close();
+      hub.delete(key);
+    });
+    hub.set(key, channel);
+  }
+  return channel;
+}
@@ -0,0 +1,63 @@
+// ---------- Relay transport (browser side) ----------
+// A WebSocket look-alike that reaches the device through /api/relay
+// (lib/relayHub.js): messages arrive over Server-Sent Events and are sent
+// with POST. Pass it as `WebSocketImpl` to lib/deviceConnection.js, which
+// keeps its heartbeat, reconnect and queueing unchanged.
+
+export const RELAY_PATH = "/api/relay";
+
+/**
+ * @param {string} [base] relay endpoint, e.g. "/api/relay"
+ * @returns {new (url: string) => object} constructor taking the device url "ws://host:port"
+ */
+export function createRelayWebSocket(base = RELAY_PATH) {
+  return function RelayWebSocket(url) {
+    const { hostname, port } = new URL(url);
+    const endpoint = `${base}?host=${encodeURIComponent(hostname)}&port=${port || 81}`;
+    let sending = Promise.resolve(); // POSTs go out one at a time to keep message order
+    const socket = {
+      url,
+      readyState: 0, // CONNECTING
+      onopen: null,
+      onmessage: null,
+      onerror: null,
+      onclose: null,
+      send(text) {
+        if (socket.readyState !== 1) throw new Error("Relay not open");
+        sending = sending
+          .then(() => fetch(endpoint, { method: "POST", headers: { "Content-Type": "application/json" }, body: text }))
+          .then((res) => {
+            // 503: the relay could not forward it, the device is not connected
+            if (res.status === 503) throw new Error("upstream not connected");
+            if (!res.ok) throw new Error(`Relay HTTP ${res.status}`);
+          })
+          .catch((e) => {
+            // The message is lost: report it and drop the socket so the
+            // connection reconnects instead of carrying on as if it was sent
+            socket.onerror?.({ message: `Relay send failed: ${e?.message || e}` });
+            socket.close();
+          });
+      },
+      close() {
+        if (socket.readyState === 3) return;
+        socket.readyState = 3; // CLOSED
+        source.close();
+        socket.onclose?.({});
+      },
+    };
+
+    const source = new EventSource(endpoint);
+    source.onopen = () => {
+      if (socket.readyState !== 0) return;
+      socket.readyState = 1; // OPEN
+      socket.onopen?.({});
+    };
+    source.onmessage = (ev) => socket.onmessage?.({ data: ev.data });
+    // EventSource would retry on its own; leave backoff to the connection
+    source.onerror = () => {
+      socket.onerror?.({});
+      socket.close();
+    };
+    return socket;
+  };
+}
@@ -0,0 +1,113 @@
+// ---------- Safety limits ----------
+// Per-device interlocks checked before any pattern reaches the hardware:
+//   maxCh0, maxCh1   highest channel value a step may command (0-100)
+//   maxOnTimeMs      longest continuous time the EHD output (ch0) may stay
+//                    above 0; consecutive steps with ch0 on add up (ch1 is
+//                    held for the whole job, gaps included)
+//   maxJobMs         longest total job duration
+// A channel value below zero breaks the "minCh0"/"minCh1" rule. A step whose
+// duration is not a finite, non-negative number breaks the "duration" rule:
+// the time limits cannot be checked against it.
+// A missing or invalid (negative, non-numeric) limit falls back to
+// DEFAULT_SAFETY_LIMITS; a limit of 0 is kept and forbids any use.
+
+export const DEFAULT_SAFETY_LIMITS = {
+  maxCh0: 100,
+  maxCh1: 100,
+  maxOnTimeMs: 5 * 60 * 1000,
+  maxJobMs: 60 * 60 * 1000,
+};
+
+export const normalizeSafetyLimits = (limits) => {
+  const out = { ...DEFAULT_SAFETY_LIMITS };
+  for (const key of Object.keys(DEFAULT_SAFETY_LIMITS)) {
+    // parseFloat, not Number: null and "" are unset, not 0
+    const v = parseFloat(limits?.[key]);
+    if (Number.isFinite(v) && v >= 0) out[key] = v;
+  }
+  return out;
+};
+
+const seconds = (ms) => `${Math.round(ms / 100) / 10} s`;
+
+/**
+ * Check steps against the limits.
+ * @param {{ ch0:number, ch1:number, duration:number }[]} steps
+ * @param {object} [limits]
+ * @returns {{ rule: string, stepIndex: number|null, value: number, limit: number|null, message: string }[]}
+ *   one entry per broken rule (first offending step), empty when the job is safe
+ */
+export function checkSafetyLimits(steps, limits) {
+  const lim = normalizeSafetyLimits(limits);
+  const violations = [];
+
+  for (const ch of ["ch0", "ch1"]) {
+    const max = ch === "ch0" ? lim.maxCh0 : lim.maxCh1;
+    const rules = [
+      { rule: ch === "ch0" ? "minCh0" : "minCh1", limit: 0, broken: (v) => v < 0, text: "is below zero" },
+      { rule: ch === "ch0" ? "maxCh0" : "maxCh1", limit: max, broken: (v) => !(v <= max) && !(v < 0), text: `exceeds the limit of ${max}` },
+    ];
+    for (const { rule, limit, broken, text } of rules) {
+      const i = steps.findIndex((s) => broken(s[ch]));
+      if (i < 0) continue;
+      const count = steps.filter((s) => broken(s[ch])).length;
+      violations.push({
+        rule,
+        stepIndex: i,
+        value: steps[i][ch],
+        limit,
+        message: `${ch.toUpperCase()} ${steps[i][ch]} at step ${i + 1} ${text}${count > 1 ? ` (${count} steps)` : ""}`,
+      });
+    }
+  }
+
+  const validDuration = (s) => Number.isFinite(s.duration) && s.duration >= 0;
+  const badDuration = steps.findIndex((s) => !validDuration(s));
+  if (badDuration >= 0) {
+    const count = steps.filter((s) => !validDuration(s)).length;
+    violations.push({
+      rule: "duration",
+      stepIndex: badDuration,
+      value: steps[badDuration].duration,
+      limit: null,
+      message: `Step ${badDuration + 1} has no valid duration (${steps[badDuration].duration})${count > 1 ? ` (${count} steps)` : ""}`,
+    });
+    return violations; // the time limits cannot be measured
+  }
+
+  let runMs = 0;
+  let runStart = 0;
+  for (let i = 0; i < steps.length; i++) {
+    if (!(steps[i].ch0 > 0)) {
+      runMs = 0;
+      continue;
+    }
+    if (runMs === 0) runStart = i;
+    runMs += steps[i].duration;
+    if (!(runMs <= lim.maxOnTimeMs)) {
+      violations.push({
+        rule: "maxOnTimeMs",
+        stepIndex: runStart,
+        value: runMs,
+        limit: lim.maxOnTimeMs,
+        message: `CH0 stays on for more than ${seconds(lim.maxOnTimeMs)} from step ${runStart + 1} to ${i + 1}`,
+      });
+      break;
+    }
+  }
+
+  const totalMs = steps.reduce((sum, s) => sum + s.duration, 0);
+  if (!(totalMs <= lim.maxJobMs)) {
+    violations.push({
+      rule: "maxJobMs",
+      stepIndex: null,
+      value: totalMs,
+      limit: lim.maxJobMs,
+      message: `Job takes ${seconds(totalMs)}, longer than the limit of ${seconds(lim.maxJobMs)}`,
+    });
+  }
+
+  return violations;
+}
+
+export const describeViolations = (violations) => violations.map((v) => `• ${v.message}`).join("\n");
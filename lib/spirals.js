@@ -0,0 +1,376 @@
+import { dist } from "./math.js";
+import { filletCorners, pruneSharpBends } from "./path.js";
+
+// ---------- Spiral path generators ----------
+// Spirals for round and framed pieces. Adjacent turns are `pitch` px apart
+// (centre to centre); callers pass the larger of the tube spacing and the
+// tube's outer diameter so neighbouring turns never overlap. All spirals run
+// from the outside in, so the tube enters at the edge of the piece, and keep
+// to `bendRadius` (the tube's minimum bend radius, px) on the way.
+
+// Top-left / bottom-right of the box spanned by two points
+const box = (a, b) => ({
+  left: Math.min(a.x, b.x),
+  top: Math.min(a.y, b.y),
+  right: Math.max(a.x, b.x),
+  bottom: Math.max(a.y, b.y),
+});
+
+/**
+ * Archimedean spiral inscribed in the box, from radius R (minus `inset`) in
+ * to `bendRadius`: the curvature of the spiral is about 1/r, so going further
+ * in would bend the tube too tightly. Points are spaced at most about half a
+ * pitch apart.
+ */
+export function generateArchimedeanSpiral(startPoint, endPoint, { pitch, inset = 0, bendRadius = 0 }) {
+  const { left, top, right, bottom } = box(startPoint, endPoint);
+  const cx = (left + right) / 2;
+  const cy = (top + bottom) / 2;
+  const maxR = Math.min(right - left, bottom - top) / 2 - inset;
+  const minR = Math.max(bendRadius, pitch / 2);
+  if (!(pitch > 0) || maxR <= minR) return [];
+  const totalAngle = ((maxR - minR) / pitch) * 2 * Math.PI;
+  const point = (theta) => {
+    const r = maxR - (pitch * theta) / (2 * Math.PI);
+    return { x: cx + r * Math.cos(theta), y: cy + r * Math.sin(theta) };
+  };
+  const points = [];
+  for (let theta = 0; theta < totalAngle; theta += Math.min(Math.PI / 12, pitch / 2 / (maxR - (pitch * theta) / (2 * Math.PI)))) {
+    points.push(point(theta));
+  }
+  points.push(point(totalAngle));
+  return points;
+}
+
+/**
+ * Rectangular spiral: along the box edges, then one pitch further in on
+ * every turn. Uniform Catmull-Rom through the bare corners would bulge far
+ * past them on long edges, so the corners are filleted (radius: half a pitch,
+ * at least `bendRadius`) and the innermost ones that are too short for that
+ * are dropped.
+ */
+export function generateRectangularSpiral(startPoint, endPoint, { pitch, inset = 0, bendRadius = 0 }) {
+  let { left: l, top: t, right: r, bottom: b } = box(startPoint, endPoint);
+  l += inset;
+  t += inset;
+  r -= inset;
+  b -= inset;
+  if (!(pitch > 0) || r <= l || b <= t) return [];
+  const points = [{ x: l, y: t }];
+  for (let guard = 0; guard < 10000; guard++) {
+    points.push({ x: r, y: t });
+    if (b - t < pitch) break;
+    points.push({ x: r, y: b });
+    if (r - l < pitch) break;
+    points.push({ x: l, y: b });
+    t += pitch;
+    if (b - t < pitch) break;
+    points.push({ x: l, y: t }); // one pitch below the previous top edge
+    l += pitch;
+    r -= pitch;
+    b -= pitch;
+    if (r - l < pitch) break;
+  }
+  const radius = Math.max(pitch / 2, bendRadius);
+  return filletCorners(pruneSharpBends(points, radius), radius, radius / 3);
+}
+
+// ---------- Contour-parallel spiral ----------
+
+// Squared Euclidean distance transform along one row/column (Felzenszwalb & Huttenlocher)
+function edt1d(f, n) {
+  const d = new Float64Array(n);
+  const v = new Int32Array(n);
+  const z = new Float64Array(n + 1);
+  let k = 0;
+  v[0] = 0;
+  z[0] = -Infinity;
+  z[1] = Infinity;
+  for (let q = 1; q < n; q++) {
+    let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    while (s <= z[k]) {
+      k--;
+      s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = Infinity;
+  }
+  k = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[k + 1] < q) k++;
+    d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+  }
+  return d;
+}
+
+/** Distance (in cells) from every inside cell to the nearest outside cell. */
+export function distanceToOutside(mask, width, height) {
+  const INF = 1e20;
+  const grid = new Float64Array(width * height);
+  for (let i = 0; i < grid.length; i++) grid[i] = mask[i] ? INF : 0;
+  const col = new Float64Array(height);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) col[y] = grid[y * width + x];
+    const d = edt1d(col, height);
+    for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+  }
+  const row = new Float64Array(width);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) row[x] = grid[y * width + x];
+    const d = edt1d(row, width);
+    for (let x = 0; x < width; x++) grid[y * width + x] = Math.sqrt(d[x]);
+  }
+  return grid;
+}
+
+// Largest 4-connected component of `inside` cells, as a Uint8Array mask
+function largestComponent(inside, width, height) {
+  const label = new Int32Array(width * height);
+  let best = 0;
+  let bestSize = 0;
+  let next = 0;
+  const queue = new Int32Array(width * height);
+  for (let i = 0; i < inside.length; i++) {
+    if (!inside[i] || label[i]) continue;
+    next++;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = i;
+    label[i] = next;
+    while (head < tail) {
+      const c = queue[head++];
+      const x = c % width;
+      const y = (c - x) / width;
+      for (const n of [x > 0 ? c - 1 : -1, x < width - 1 ? c + 1 : -1, y > 0 ? c - width : -1, y < height - 1 ? c + width : -1]) {
+        if (n >= 0 && inside[n] && !label[n]) {
+          label[n] = next;
+          queue[tail++] = n;
+        }
+      }
+    }
+    if (tail > bestSize) {
+      bestSize = tail;
+      best = next;
+    }
+  }
+  const out = new Uint8Array(width * height);
+  if (best) for (let i = 0; i < out.length; i++) out[i] = label[i] === best ? 1 : 0;
+  return { mask: out, size: bestSize };
+}
+
+// Clockwise (screen coordinates) 8-neighbourhood, starting west
+const DIRS = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+const dirIndex = (dx, dy) => DIRS.findIndex(([x, y]) => x === dx && y === dy);
+
+// Outer boundary of a component by Moore-neighbour tracing, clockwise
+function traceBoundary(mask, width, height) {
+  const start = mask.indexOf(1);
+  if (start < 0) return [];
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+  const sx = start % width;
+  const sy = (start - sx) / width;
+  const out = [{ x: sx, y: sy }];
+  let cx = sx;
+  let cy = sy;
+  let back = 0; // entered from the west: raster order guarantees it is outside
+  const startBack = back;
+  for (let guard = 0; guard < 4 * width * height; guard++) {
+    let moved = false;
+    for (let i = 1; i <= 8; i++) {
+      const d = (back + i) % 8;
+      const nx = cx + DIRS[d][0];
+      const ny = cy + DIRS[d][1];
+      if (!inside(nx, ny)) continue;
+      const [px, py] = DIRS[(d + 7) % 8];
+      back = dirIndex(cx + px - nx, cy + py - ny);
+      cx = nx;
+      cy = ny;
+      moved = true;
+      break;
+    }
+    if (!moved) break; // single cell
+    if (cx === sx && cy === sy && back === startBack) break;
+    if (cx === sx && cy === sy && out.length > 2) break;
+    out.push({ x: cx, y: cy });
+  }
+  return out;
+}
+
+// Douglas-Peucker: drop points within `tol` of the chord between kept ones
+function simplify(points, tol) {
+  if (points.length < 3) return points.slice();
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [a, b] = stack.pop();
+    const pa = points[a];
+    const pb = points[b];
+    const len = dist(pa, pb) || 1;
+    let far = -1;
+    let farD = tol;
+    for (let i = a + 1; i < b; i++) {
+      const d = Math.abs((pb.x - pa.x) * (pa.y - points[i].y) - (pa.x - points[i].x) * (pb.y - pa.y)) / len;
+      if (d > farD) {
+        farD = d;
+        far = i;
+      }
+    }
+    if (far < 0) continue;
+    keep[far] = 1;
+    stack.push([a, far], [far, b]);
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Closed loop simplified as two halves split at the point farthest from the first
+function simplifyLoop(loop, tol) {
+  if (loop.length < 4) return loop.slice();
+  let far = 0;
+  loop.forEach((p, i) => {
+    if (dist(p, loop[0]) > dist(loop[far], loop[0])) far = i;
+  });
+  const first = simplify(loop.slice(0, far + 1), tol);
+  const second = simplify([...loop.slice(far), loop[0]], tol);
+  return [...first, ...second.slice(1, -1)];
+}
+
+// Closed loop opened at the point of its outline nearest to `p`; it starts
+// and ends there
+function openLoopAt(loop, p) {
+  const n = loop.length;
+  let best = { d: Infinity, i: 0, q: loop[0] };
+  for (let i = 0; i < n; i++) {
+    const a = loop[i];
+    const b = loop[(i + 1) % n];
+    const l2 = (b.x - a.x) ** 2 + (b.y - a.y) ** 2 || 1;
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / l2));
+    const q = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    if (dist(p, q) < best.d) best = { d: dist(p, q), i, q };
+  }
+  const out = [best.q];
+  for (let k = 1; k <= n; k++) out.push(loop[(best.i + k) % n]);
+  out.push(best.q);
+  return out.filter((q, k) => k === 0 || dist(q, out[k - 1]) > 1e-9);
+}
+
+// Point `at` px along a polyline (clamped to its ends)
+function pointAlong(points, at) {
+  let walked = 0;
+  for (let i = 1; i < points.length; i++) {
+    const d = dist(points[i - 1], points[i]);
+    if (walked + d >= at) {
+      const t = d > 0 ? Math.max(0, at - walked) / d : 0;
+      return { x: points[i - 1].x + (points[i].x - points[i - 1].x) * t, y: points[i - 1].y + (points[i].y - points[i - 1].y) * t };
+    }
+    walked += d;
+  }
+  return points[points.length - 1];
+}
+
+// The stretch of a polyline from `from` to `to` px along it
+function slicePolyline(points, from, to) {
+  const out = [pointAlong(points, from)];
+  let walked = 0;
+  for (let i = 1; i < points.length; i++) {
+    walked += dist(points[i - 1], points[i]);
+    if (walked > from && walked < to) out.push(points[i]);
+  }
+  out.push(pointAlong(points, to));
+  return out;
+}
+
+/**
+ * Rasterise a shape to an inside/outside grid at `cell` px resolution.
+ * `isInside(x, y)` is asked for the centre of every cell in the box.
+ */
+export function shapeMask(startPoint, endPoint, cell, isInside) {
+  const { left, top, right, bottom } = box(startPoint, endPoint);
+  const width = Math.max(1, Math.ceil((right - left) / cell));
+  const height = Math.max(1, Math.ceil((bottom - top) / cell));
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      mask[y * width + x] = isInside(left + (x + 0.5) * cell, top + (y + 0.5) * cell) ? 1 : 0;
+    }
+  }
+  return { mask, width, height, left, top, cell };
+}
+
+/**
+ * Contour-parallel spiral: offset curves of the shape's boundary, `pitch`
+ * apart, walked from the outside in. Where the shape splits into parts, only
+ * the largest part is followed (one tube cannot cover both). Rings are traced
+ * as polygons and, as in the square spiral, the corners are filleted (radius:
+ * half a pitch, at least `bendRadius`). Each ring stops short of its own start
+ * and slants in to the next one, entering beside where it left off; rings too
+ * small for the bends are left out.
+ * @param {{ mask: Uint8Array, width: number, height: number, left: number, top: number, cell: number }} shape from `shapeMask`
+ */
+export function generateContourSpiral(shape, { pitch, inset = 0, bendRadius = 0, maxRings = 500 }) {
+  const { width, height, left, top, cell } = shape;
+  if (!(pitch > 0)) return [];
+  const radius = Math.max(pitch / 2, bendRadius);
+  // Pad by one cell so the box edge counts as boundary
+  const pw = width + 2;
+  const ph = height + 2;
+  const padded = new Uint8Array(pw * ph);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) padded[(y + 1) * pw + x + 1] = shape.mask[y * width + x];
+  }
+  const distance = distanceToOutside(padded, pw, ph);
+  const toPx = ({ x, y }) => ({ x: left + (x - 1 + 0.5) * cell, y: top + (y - 1 + 0.5) * cell });
+  const at = (x, y) => distance[Math.min(ph - 1, Math.max(0, y)) * pw + Math.min(pw - 1, Math.max(0, x))];
+  // Boundary cells lie up to a cell inside the offset curve; moving each down
+  // the distance gradient onto the level keeps the rings a pitch apart
+  const onLevel = ({ x, y }, level) => {
+    const gx = (at(x + 1, y) - at(x - 1, y)) / 2;
+    const gy = (at(x, y + 1) - at(x, y - 1)) / 2;
+    const g = Math.hypot(gx, gy);
+    if (!(g > 0)) return { x, y };
+    const step = (at(x, y) - level) / g;
+    return { x: x - (gx / g) * step, y: y - (gy / g) * step };
+  };
+
+  let deepest = 0;
+  for (let i = 1; i < distance.length; i++) if (distance[i] > distance[deepest]) deepest = i;
+  deepest = toPx({ x: deepest % pw, y: Math.floor(deepest / pw) });
+
+  const points = [];
+  for (let ring = 0; ring < maxRings; ring++) {
+    // Cell centres sit half a cell inside the edge they are measured from
+    const level = (inset + ring * pitch) / cell + 0.5;
+    const region = new Uint8Array(pw * ph);
+    for (let i = 0; i < region.length; i++) region[i] = distance[i] >= level ? 1 : 0;
+    const { mask, size } = largestComponent(region, pw, ph);
+    if (size === 0) break;
+    const outline = simplifyLoop(traceBoundary(mask, pw, ph).map((c) => toPx(onLevel(c, level))), cell / 4);
+    const xs = outline.map((p) => p.x);
+    const ys = outline.map((p) => p.y);
+    // A fillet on either side plus the step in must fit across the ring
+    if (Math.min(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) < 2 * (radius + pitch)) break;
+    // Enter this ring where the previous one ended. The first ring starts at
+    // the vertex nearest the deepest cell, so parts of the shape that run out
+    // sooner are passed mid-ring rather than left behind at a step in
+    let loop;
+    if (points.length > 0) loop = openLoopAt(outline, points[points.length - 1]);
+    else {
+      const k = outline.reduce((best, p, i) => (dist(p, deepest) < dist(outline[best], deepest) ? i : best), 0);
+      loop = [...outline.slice(k), ...outline.slice(0, k + 1)];
+    }
+    let length = 0;
+    for (let i = 1; i < loop.length; i++) length += dist(loop[i - 1], loop[i]);
+    // The step in lands `lane` further along than the entry point, so it is a
+    // gentle slant rather than two tight corners a pitch apart; each ring
+    // stops a pitch plus that stretch short of its own start, leaving room for
+    // the next step in
+    const lane = 2 * radius;
+    const from = points.length > 0 ? lane : 0;
+    const to = points.length > 0 ? length - pitch : length - pitch - lane;
+    if (to - from <= pitch) break;
+    points.push(...slicePolyline(loop, from, to));
+  }
+  return filletCorners(pruneSharpBends(points, radius), radius, radius / 3);
+}
@@ -0,0 +1,82 @@
+// ---------- Device step budget ----------
+// The firmware holds a fixed number of steps per uploaded pattern. Patterns
+// longer than that are first compacted by merging adjacent steps that drive
+// the pumps identically (same ch0/ch1, durations add up); if that is not
+// enough the job is split into consecutive uploads of at most `capacity`
+// steps each.
+
+export const DEFAULT_STEP_CAPACITY = 50;
+
+/**
+ * Merge runs of adjacent steps with identical ch0/ch1 into one step.
+ * Bookkeeping fields are taken from the first step of the run (`endCm` from
+ * the last) and `merged` records how many steps were combined.
+ */
+export function mergeAdjacentSteps(steps) {
+  const out = [];
+  for (const step of steps) {
+    const prev = out[out.length - 1];
+    if (prev && prev.ch0 === step.ch0 && prev.ch1 === step.ch1) {
+      out[out.length - 1] = {
+        ...prev,
+        duration: prev.duration + step.duration,
+        endCm: step.endCm ?? prev.endCm,
+        merged: (prev.merged || 1) + 1,
+      };
+    } else {
+      out.push({ ...step });
+    }
+  }
+  return out;
+}
+
+/** Split steps into consecutive batches of at most `capacity` steps. */
+export function splitIntoBatches(steps, capacity) {
+  const size = Math.max(1, Math.floor(capacity));
+  const batches = [];
+  for (let i = 0; i < steps.length; i += size) batches.push(steps.slice(i, i + size));
+  return batches;
+}
+
+/**
+ * Check a step list against the device capacity and pick a strategy.
+ * @param {object[]} steps
+ * @param {number} capacity steps the device accepts per upload
+ * @returns {{
+ *   strategy: "none"|"merge"|"split",
+ *   count: number,          // steps before any compaction
+ *   capacity: number,
+ *   steps: object[],        // steps to send (merged when that helped)
+ *   batches: object[][],    // one entry per upload
+ *   warning: string|null,
+ * }}
+ */
+export function planStepBudget(steps, capacity = DEFAULT_STEP_CAPACITY) {
+  const cap = Math.max(1, Math.floor(capacity) || DEFAULT_STEP_CAPACITY);
+  const count = steps.length;
+  if (count <= cap) {
+    return { strategy: "none", count, capacity: cap, steps, batches: [steps], warning: null };
+  }
+
+  const merged = mergeAdjacentSteps(steps);
+  if (merged.length <= cap) {
+    return {
+      strategy: "merge",
+      count,
+      capacity: cap,
+      steps: merged,
+      batches: [merged],
+      warning: `${count} steps exceed the device capacity of ${cap}; merged equal neighbours to ${merged.length}`,
+    };
+  }
+
+  const batches = splitIntoBatches(merged, cap);
+  return {
+    strategy: "split",
+    count,
+    capacity: cap,
+    steps: merged,
+    batches,
+    warning: `${count} steps (${merged.length} after merging) exceed the device capacity of ${cap}; the job will be sent as ${batches.length} uploads`,
+  };
+}
@@ -0,0 +1,164 @@
+import { clamp } from "./math.js";
+import { sampleCatmullRom, resampleUniform } from "./path.js";
+import { simulateDiffusion, signalError } from "./diffusion.js";
+import { optimizeDrops } from "./optimize.js";
+
+// ---------- Drop schedule synthesis ----------
+
+export const SYNTHESIS_MODES = ["PWM", "AM", "DITHER", "OPTIMIZE"];
+
+export const DEFAULT_SYNTHESIS_PARAMS = {
+  mmPerPixel: 0.2,     // physical scale
+  feedSpeed: 80,       // mm/s
+  minSpacingMm: 0.3,
+  widthMinMm: 0.2,
+  widthMaxMm: 1.0,
+  sigmaMm: 0.25,       // droplet diffusion along the tube
+  sampleStepPx: 2,
+  threshold: 0.5,      // for dithering/2bit
+  samplesPerSegment: 24, // Catmull-Rom density between control points
+};
+
+/**
+ * Perceptual grayscale of an RGBA image at (x, y), normalized to [0,1].
+ * `imageData` only needs `{ width, height, data }`, so a plain object works
+ * outside the browser.
+ */
+export function grayscaleAt(imageData, x, y) {
+  const { width, data } = imageData;
+  const xi = Math.floor(clamp(x, 0, width - 1));
+  const yi = Math.floor(clamp(y, 0, imageData.height - 1));
+  const idx = (yi * width + xi) * 4;
+  const r = data[idx];
+  const g = data[idx + 1];
+  const b = data[idx + 2];
+  // normalized [0,1], perceptual grayscale
+  const gray = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return gray;
+}
+
+/**
+ * Sample the target image along a path: the uniformly resampled path and the
+ * target intensity `f` per sample (1 = ink), as used by `synthesize`.
+ * @returns {{ path: {x:number,y:number}[], f: number[] }}
+ */
+export function sampleTarget({ path, image, params = {} }) {
+  const { sampleStepPx, samplesPerSegment } = { ...DEFAULT_SYNTHESIS_PARAMS, ...params };
+  if (!image || !path || path.length < 2) return { path: [], f: [] };
+
+  // Smooth sample along Catmull-Rom, then resample uniformly
+  const smooth = sampleCatmullRom(path, samplesPerSegment);
+  const uniform = resampleUniform(smooth, Math.max(1, sampleStepPx));
+
+  // Convert image grayscale: intensity = 1 - gray
+  return { path: uniform, f: uniform.map((p) => 1 - grayscaleAt(image, p.x, p.y)) };
+}
+
+/**
+ * Sample the target image along a path and synthesize a droplet schedule.
+ *
+ * @param {object} input
+ * @param {{x:number,y:number}[]} input.path control points in image pixels
+ * @param {{width:number,height:number,data:ArrayLike<number>}} input.image RGBA pixels
+ * @param {"PWM"|"AM"|"DITHER"|"OPTIMIZE"} input.mode
+ * @param {Partial<typeof DEFAULT_SYNTHESIS_PARAMS>} [input.params]
+ * @returns {{ path: {x:number,y:number}[], f: number[], g: number[], drops: object[], error: {rmse:number, psnr:number} }}
+ *   `path` is the uniformly resampled path, `f` the target intensity per sample
+ *   (1 = ink), `drops` the schedule as `{ s_px, s_mm, t_ms, width_mm, amplitude }`,
+ *   `g` the signal those drops produce after diffusion (see `lib/diffusion.js`)
+ *   and `error` compares `f` against `g`.
+ */
+export function synthesize({ path, image, mode = "PWM", params = {} }) {
+  const {
+    mmPerPixel,
+    feedSpeed,
+    minSpacingMm,
+    widthMinMm,
+    widthMaxMm,
+    sigmaMm,
+    sampleStepPx,
+    threshold,
+  } = { ...DEFAULT_SYNTHESIS_PARAMS, ...params };
+
+  if (!image || !path || path.length < 2) {
+    return { path: [], f: [], g: [], drops: [], error: signalError([], []) };
+  }
+
+  const minSpacingPx = minSpacingMm / mmPerPixel;
+  const widthMinPx = widthMinMm / mmPerPixel;
+  const widthMaxPx = widthMaxMm / mmPerPixel;
+
+  // 1) + 2) Resampled path and intensity in [0,1] along it, where 1 means "ink"
+  const { path: uniform, f } = sampleTarget({ path, image, params });
+
+  // 3) Synthesize droplets according to mode
+  const drops = [];
+
+  const stepPx = Math.max(minSpacingPx, sampleStepPx);
+  const stepIdx = Math.max(1, Math.round(stepPx / sampleStepPx));
+
+  if (mode === "PWM") {
+    const widthRangePx = Math.max(0, widthMaxPx - widthMinPx);
+    for (let i = 0; i < f.length; i += stepIdx) {
+      const v = clamp(f[i], 0, 1);
+      const wpx = widthMinPx + v * widthRangePx;
+      const wmm = wpx * mmPerPixel;
+      const s_px = i * sampleStepPx;
+      const s_mm = s_px * mmPerPixel;
+      const t_ms = (s_mm / feedSpeed) * 1000;
+      drops.push({ s_px, s_mm, t_ms, width_mm: wmm, amplitude: 1.0 });
+    }
+  } else if (mode === "AM") {
+    const w0mm = 0.5 * (widthMinMm + widthMaxMm);
+    for (let i = 0; i < f.length; i += stepIdx) {
+      const v = clamp(f[i], 0, 1);
+      const s_px = i * sampleStepPx;
+      const s_mm = s_px * mmPerPixel;
+      const t_ms = (s_mm / feedSpeed) * 1000;
+      drops.push({ s_px, s_mm, t_ms, width_mm: w0mm, amplitude: v });
+    }
+  } else if (mode === "DITHER") {
+    // 1D Floyd–Steinberg style error diffusion to next 4 samples
+    const fCopy = f.slice();
+    const weights = [7 / 16, 5 / 16, 3 / 16, 1 / 16];
+    const w0mm = 0.5 * (widthMinMm + widthMaxMm);
+    for (let i = 0; i < fCopy.length; i++) {
+      const v = clamp(fCopy[i], 0, 1);
+      const out = v >= threshold ? 1 : 0;
+      const err = v - out;
+      for (let k = 1; k <= 4; k++) {
+        if (i + k < fCopy.length) fCopy[i + k] += err * weights[k - 1];
+      }
+      // Place droplets sparsely by stepIdx
+      if (i % stepIdx === 0 && out > 0) {
+        const s_px = i * sampleStepPx;
+        const s_mm = s_px * mmPerPixel;
+        const t_ms = (s_mm / feedSpeed) * 1000;
+        drops.push({ s_px, s_mm, t_ms, width_mm: w0mm, amplitude: 1.0 });
+      }
+    }
+  } else if (mode === "OPTIMIZE") {
+    // Closed loop: fit positions/widths against the diffusion model
+    const fitted = optimizeDrops(f, {
+      sampleStepMm: sampleStepPx * mmPerPixel,
+      sigmaMm,
+      minSpacingMm,
+      widthMinMm,
+      widthMaxMm,
+    });
+    for (const d of fitted.drops) {
+      const s_px = d.s_mm / mmPerPixel;
+      const t_ms = (d.s_mm / feedSpeed) * 1000;
+      drops.push({ s_px, s_mm: d.s_mm, t_ms, width_mm: d.width_mm, amplitude: 1.0 });
+    }
+  }
+
+  // 4) Forward model: what the placed droplets look like after spreading
+  const g = simulateDiffusion(drops, {
+    length: f.length,
+    sampleStepMm: sampleStepPx * mmPerPixel,
+    sigmaMm,
+  });
+
+  return { path: uniform, f, g, drops, error: signalError(f, g) };
+}
@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // The device relay (app/api/relay) opens WebSockets with `ws` on the server
+  serverExternalPackages: ["ws"],
+};
 
 module.exports = nextConfig;
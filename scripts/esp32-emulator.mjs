@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * ESP32 pump controller emulator.
+ *
+ * Speaks the same WebSocket JSON protocol as the firmware so the control
+ * panel can be developed without hardware:
+ *
+ *   { type: "control", cmd: "start" | "stop" | "pause" | "resume" | "step" }
+ *   { type: "control", cmd: "seek", index }                     (0-based; pauses an idle device there)
+ *   { type: "channels", ch0, ch1 }                              (direct output; stops a running pattern)
+ *   { type: "buffer",  cmd: "clear" }
+ *   { type: "pattern", steps: [{ ch0, ch1, duration }] }        (legacy upload; nacked over capacity)
+ *   { type: "upload",  cmd: "begin" | "chunk" | "commit", ... } (see lib/patternUpload.js)
+ *   { type: "query",   what: "info" | "status" }
+ *   { type: "ping",    t }                                      (answered with pong)
+ *
+ * and streams back `{ type: "status", patternActive, paused, currentStep, totalSteps }`
+ * (currentStep is the 0-based index of the running step) plus
+ * `{ type: "log", msg }` lines. Steps run on a virtual clock, so `--speed 10`
+ * plays a pattern ten times faster than real time.
+ *
+ * Usage:
+ *   npm run emulator -- [--port 81] [--speed 1] [--max-steps 50]
+ *                       [--drop 0.1] [--delay 300] [--disconnect 30]
+ *
+ *   --drop p        drop each incoming and outgoing message with probability p
+ *   --delay ms      delay every outgoing message by a random 0..ms
+ *   --disconnect s  drop the connection at random, on average every s seconds
+ *
+ * Then add `localhost:<port>` as a device in the UI and connect.
+ */
+
+import { WebSocketServer } from "ws";
+import { stepsCrc } from "../lib/patternUpload.js";
+
+// ---------- Options ----------
+const parseArgs = (argv) => {
+  const opts = { port: 81, speed: 1, maxSteps: 50, drop: 0, delay: 0, disconnect: 0, statusMs: 500 };
+  const names = { "--port": "port", "--speed": "speed", "--max-steps": "maxSteps", "--drop": "drop", "--delay": "delay", "--disconnect": "disconnect", "--status-ms": "statusMs" };
+  for (let i = 0; i < argv.length; i++) {
+    const key = names[argv[i]];
+    if (!key) {
+      console.error(`Unknown option ${argv[i]}`);
+      process.exit(1);
+    }
+    const value = Number(argv[++i]);
+    if (!Number.isFinite(value) || value < 0) {
+      console.error(`Invalid value for ${argv[i - 1]}`);
+      process.exit(1);
+    }
+    opts[key] = value;
+  }
+  return opts;
+};
+
+const opts = parseArgs(process.argv.slice(2));
+const TICK_MS = 50;
+
+// ---------- Device state ----------
+const device = {
+  buffer: [],          // committed steps
+  upload: null,        // { id, count, crc, steps }
+  active: false,
+  paused: false,       // active but holding at currentStep (pumps off)
+  stepping: false,     // running one step, then pausing again
+  currentStep: 0,
+  stepElapsedMs: 0,    // virtual time spent in the current step
+  channels: { ch0: 0, ch1: 0 },
+};
+
+const clients = new Set();
+
+const send = (socket, obj) => {
+  if (opts.drop > 0 && Math.random() < opts.drop) {
+    console.log(`[fault] dropped TX ${obj.type}${obj.cmd ? `/${obj.cmd}` : ""}`);
+    return;
+  }
+  const text = JSON.stringify(obj);
+  const deliver = () => {
+    if (socket.readyState === socket.OPEN) socket.send(text);
+  };
+  if (opts.delay > 0) setTimeout(deliver, Math.random() * opts.delay);
+  else deliver();
+};
+
+const broadcast = (obj) => {
+  for (const socket of clients) send(socket, obj);
+};
+
+const log = (msg) => {
+  console.log(`[device] ${msg}`);
+  broadcast({ type: "log", msg });
+};
+
+const statusMessage = () => ({
+  type: "status",
+  patternActive: device.active,
+  paused: device.paused,
+  currentStep: device.currentStep,
+  totalSteps: device.buffer.length,
+});
+
+const applyStep = () => {
+  const step = device.buffer[device.currentStep];
+  device.channels = { ch0: step.ch0, ch1: step.ch1 };
+  log(`Step ${device.currentStep + 1}/${device.buffer.length}: ch0=${step.ch0} ch1=${step.ch1} ${step.duration}ms`);
+};
+
+const hold = (reason) => {
+  device.paused = true;
+  device.stepping = false;
+  device.channels = { ch0: 0, ch1: 0 };
+  log(reason);
+  broadcast(statusMessage());
+};
+
+const stop = (reason) => {
+  device.active = false;
+  device.paused = false;
+  device.stepping = false;
+  device.channels = { ch0: 0, ch1: 0 };
+  log(reason);
+  broadcast(statusMessage());
+};
+
+// ---------- Virtual clock ----------
+setInterval(() => {
+  if (!device.active || device.paused) return;
+  device.stepElapsedMs += TICK_MS * opts.speed;
+  while (device.active && device.stepElapsedMs >= device.buffer[device.currentStep].duration) {
+    device.stepElapsedMs -= device.buffer[device.currentStep].duration;
+    if (device.currentStep + 1 >= device.buffer.length) {
+      device.currentStep = device.buffer.length - 1;
+      stop("Pattern complete");
+      return;
+    }
+    device.currentStep += 1;
+    if (device.stepping) {
+      hold(`Stepped to ${device.currentStep + 1}/${device.buffer.length}`);
+      return;
+    }
+    applyStep();
+    broadcast(statusMessage());
+  }
+}, TICK_MS);
+
+setInterval(() => broadcast(statusMessage()), opts.statusMs);
+
+// ---------- Message handling ----------
+const validSteps = (steps) => Array.isArray(steps) && steps.every((s) =>
+  Number.isFinite(s?.ch0) && Number.isFinite(s?.ch1) && Number.isFinite(s?.duration) && s.duration > 0
+);
+
+const handleUpload = (socket, msg) => {
+  const nack = (reason) => send(socket, { type: "nack", cmd: msg.cmd, id: msg.id, seq: msg.seq, reason });
+
+  if (msg.cmd === "begin") {
+    if (!(msg.count <= opts.maxSteps)) return nack(`capacity ${opts.maxSteps} exceeded`);
+    if (device.active) stop("Stopped for upload");
+    device.buffer = [];
+    device.upload = { id: msg.id, count: msg.count, crc: msg.crc, steps: new Array(msg.count) };
+    log(`Upload #${msg.id} begin: ${msg.count} steps`);
+    return send(socket, { type: "ack", cmd: "begin", id: msg.id });
+  }
+
+  const upload = device.upload;
+  if (!upload || upload.id !== msg.id) return nack("unknown upload");
+
+  if (msg.cmd === "chunk") {
+    if (!validSteps(msg.steps) || !(msg.offset >= 0) || msg.offset + msg.steps.length > upload.count) {
+      return nack("bad chunk");
+    }
+    upload.steps.splice(msg.offset, msg.steps.length, ...msg.steps);
+    return send(socket, { type: "ack", cmd: "chunk", id: msg.id, seq: msg.seq, crc: stepsCrc(msg.steps) });
+  }
+
+  if (msg.cmd === "commit") {
+    // Never run a partial upload: every slot must have arrived
+    const steps = Array.from(upload.steps);
+    const missing = steps.filter((s) => !s).length;
+    if (missing > 0) {
+      log(`Upload #${msg.id} incomplete: ${missing}/${upload.count} steps missing`);
+      return nack("missing chunks");
+    }
+    device.buffer = steps;
+    device.currentStep = 0;
+    device.stepElapsedMs = 0;
+    log(`Upload #${msg.id} committed: ${steps.length}/${upload.count} steps`);
+    broadcast(statusMessage());
+    return send(socket, { type: "ack", cmd: "commit", id: msg.id, count: steps.length, crc: stepsCrc(steps) });
+  }
+
+  return nack("unknown command");
+};
+
+const handleMessage = (socket, msg) => {
+  if (msg.type === "control" && msg.cmd === "start") {
+    if (device.buffer.length === 0) return log("No pattern loaded");
+    device.active = true;
+    device.paused = false;
+    device.stepping = false;
+    device.currentStep = 0;
+    device.stepElapsedMs = 0;
+    log("Pattern started");
+    applyStep();
+    broadcast(statusMessage());
+  } else if (msg.type === "control" && msg.cmd === "stop") {
+    if (device.active) stop("Pattern stopped");
+  } else if (msg.type === "control" && msg.cmd === "pause") {
+    if (device.active && !device.paused) hold(`Paused at step ${device.currentStep + 1}`);
+  } else if (msg.type === "control" && msg.cmd === "resume") {
+    if (!device.active || !device.paused) return log("Not paused");
+    device.paused = false;
+    log(`Resumed at step ${device.currentStep + 1}`);
+    applyStep();
+    broadcast(statusMessage());
+  } else if (msg.type === "control" && msg.cmd === "step") {
+    if (!device.active || !device.paused) return log("Step needs a paused pattern");
+    device.paused = false;
+    device.stepping = true;
+    applyStep();
+    broadcast(statusMessage());
+  } else if (msg.type === "control" && msg.cmd === "seek") {
+    if (!(Number.isInteger(msg.index) && msg.index >= 0 && msg.index < device.buffer.length)) {
+      return log(`Seek out of range: ${msg.index}`);
+    }
+    device.currentStep = msg.index;
+    device.stepElapsedMs = 0;
+    if (!device.active || device.paused) {
+      device.active = true;
+      hold(`Seek: paused at step ${msg.index + 1}`);
+    } else {
+      log(`Seek: step ${msg.index + 1}`);
+      applyStep();
+      broadcast(statusMessage());
+    }
+  } else if (msg.type === "channels") {
+    if (device.active) stop("Stopped for channel command");
+    device.channels = { ch0: Number(msg.ch0) || 0, ch1: Number(msg.ch1) || 0 };
+    log(`Channels set: ch0=${device.channels.ch0} ch1=${device.channels.ch1}`);
+  } else if (msg.type === "buffer" && msg.cmd === "clear") {
+    if (device.active) stop("Stopped for clear");
+    device.buffer = [];
+    device.currentStep = 0;
+    log("Buffer cleared");
+    broadcast(statusMessage());
+  } else if (msg.type === "pattern") {
+    if (!validSteps(msg.steps)) return log("Invalid pattern");
+    if (msg.steps.length > opts.maxSteps) {
+      const reason = `capacity ${opts.maxSteps} exceeded`;
+      send(socket, { type: "nack", cmd: "pattern", reason });
+      return log(`Pattern rejected: ${msg.steps.length} steps, ${reason}`);
+    }
+    device.buffer = msg.steps.slice();
+    device.currentStep = 0;
+    log(`Pattern loaded: ${device.buffer.length} steps`);
+    broadcast(statusMessage());
+  } else if (msg.type === "upload") {
+    handleUpload(socket, msg);
+  } else if (msg.type === "query" && msg.what === "info") {
+    send(socket, { type: "info", firmware: "emulator", maxSteps: opts.maxSteps });
+  } else if (msg.type === "query" && msg.what === "status") {
+    send(socket, statusMessage());
+  } else if (msg.type === "ping") {
+    send(socket, { type: "pong", t: msg.t });
+  } else {
+    log(`Unknown message: ${JSON.stringify(msg)}`);
+  }
+};
+
+// ---------- Server ----------
+const server = new WebSocketServer({ port: opts.port });
+
+server.on("connection", (socket, req) => {
+  clients.add(socket);
+  console.log(`[ws] client connected from ${req.socket.remoteAddress}`);
+
+  let faultTimer = null;
+  const scheduleDisconnect = () => {
+    if (!(opts.disconnect > 0)) return;
+    // Exponentially distributed, mean `disconnect` seconds
+    const ms = -Math.log(1 - Math.random()) * opts.disconnect * 1000;
+    faultTimer = setTimeout(() => {
+      console.log("[fault] dropping connection");
+      socket.terminate();
+    }, ms);
+  };
+  scheduleDisconnect();
+
+  socket.on("message", (data) => {
+    if (opts.drop > 0 && Math.random() < opts.drop) {
+      console.log("[fault] dropped RX");
+      return;
+    }
+    let msg;
+    try {
+      msg = JSON.parse(String(data));
+    } catch (_) {
+      return log(`Bad JSON: ${String(data).slice(0, 80)}`);
+    }
+    handleMessage(socket, msg);
+  });
+
+  socket.on("close", () => {
+    clearTimeout(faultTimer);
+    clients.delete(socket);
+    console.log("[ws] client disconnected");
+  });
+
+  send(socket, statusMessage());
+});
+
+server.on("listening", () => {
+  console.log(`ESP32 emulator on ws://localhost:${opts.port} (speed x${opts.speed}, max ${opts.maxSteps} steps)`);
+});
+
+server.on("error", (e) => {
+  console.error(`Emulator failed: ${e.message}`);
+  process.exit(1);
+});